@@ -1,8 +1,10 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import './App.css';
 import './theme.css';
 import Navbar from './components/Navbar';
 import GameLayout from './components/GameLayout';
+import { GameProvider } from './context';
+import { startAutoSync } from './offline';
 
 /**
  * PUBLIC_INTERFACE
@@ -10,14 +12,19 @@ import GameLayout from './components/GameLayout';
  * - Top Navbar
  * - Centered 3x3 board placeholder
  * - Right sidebar for history and leaderboard
- * It contains no gameplay logic.
+ * It contains no gameplay logic; it provides the shared GameContext and starts the offline sync queue.
  */
 function App() {
+  // Replay API calls queued while the backend was unreachable
+  useEffect(() => startAutoSync(), []);
+
   return (
-    <div className="App" role="application" aria-label="Tic Tac Toe - Ocean Professional">
-      <Navbar />
-      <GameLayout />
-    </div>
+    <GameProvider>
+      <div className="App" role="application" aria-label="Tic Tac Toe - Ocean Professional">
+        <Navbar />
+        <GameLayout />
+      </div>
+    </GameProvider>
   );
 }
 
@@ -0,0 +1,210 @@
+//
+// Computer opponent for single-player games
+// - Easy: picks a random legal move
+// - Medium: takes an immediate win, otherwise blocks the opponent's, otherwise a
+//   random move that doesn't lose on the spot
+// - Hard: perfect minimax play (never loses) once few enough moves remain;
+//   larger boards use a depth-limited alpha-beta search with a line-count heuristic
+//   (on Ultimate, lines of claimed small boards count far more than lines of marks;
+//   on Misère the count is reversed, and Wild and Notakto rely on the search alone)
+// Moves are generated and scored through the game engine so the AI and the
+// board always agree on the rules. A move is a play { position, mark }, as the
+// mark is the player's choice on Wild.
+//
+
+import {
+  applyMove,
+  getGameLines,
+  getLegalPlays,
+  getWinningLines,
+  isNotakto,
+  isQubic,
+  isUltimate,
+  otherPlayer,
+  toBoardCell,
+} from '../engine';
+
+// Positions with at most this many moves left are searched to the end
+const FULL_SEARCH_MAX_MOVES = 9;
+// Search depth (plies) for larger positions
+const HEURISTIC_DEPTH = 2;
+const WIN_SCORE = 1e9;
+// On Ultimate a line of small boards is worth this many lines of marks
+const META_LINE_WEIGHT = 100;
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+export const DIFFICULTY_LABELS = {
+  easy: 'Easy',
+  medium: 'Medium',
+  hard: 'Hard',
+};
+
+// PUBLIC_INTERFACE
+export function chooseComputerMove(state, difficulty, random = Math.random) {
+  /**
+   * Pick a position for `state.currentPlayer` according to `difficulty`.
+   * Returns null when there is no legal move. On Wild use chooseComputerPlay,
+   * which also picks the mark.
+   */
+  const play = chooseComputerPlay(state, difficulty, random);
+  return play ? play.position : null;
+}
+
+// PUBLIC_INTERFACE
+export function chooseComputerPlay(state, difficulty, random = Math.random) {
+  /**
+   * Pick a play { position, mark } for `state.currentPlayer` according to `difficulty`.
+   * Returns null when there is no legal move.
+   */
+  const legal = getLegalPlays(state);
+  if (legal.length === 0) return null;
+
+  if (difficulty === 'hard') {
+    return bestMinimaxPlay(state);
+  }
+  if (difficulty === 'medium') {
+    const win = findImmediateWin(state, state.currentPlayer);
+    if (win !== null) return win;
+    const block = findImmediateWin(state, otherPlayer(state.currentPlayer));
+    if (block !== null) return { position: block.position, mark: legal[0].mark };
+    // On Misère and Notakto most lost games are lost by one careless move
+    const safe = legal.filter((play) => applyPlay(state, play).winner !== otherPlayer(state.currentPlayer));
+    if (safe.length > 0) return safe[Math.floor(random() * safe.length)];
+  }
+  return legal[Math.floor(random() * legal.length)];
+}
+
+function findImmediateWin(state, symbol) {
+  // Evaluate as if `symbol` were to move, so blocking uses the same check as winning
+  const asSymbol = symbol === state.currentPlayer ? state : { ...state, currentPlayer: symbol };
+  for (const play of getLegalPlays(asSymbol)) {
+    if (applyPlay(asSymbol, play).winner === symbol) return play;
+  }
+  return null;
+}
+
+function bestMinimaxPlay(state) {
+  const legal = getLegalPlays(state);
+  const fullSearch = movesLeft(state, legal) <= FULL_SEARCH_MAX_MOVES;
+  const depthLimit = fullSearch ? Infinity : HEURISTIC_DEPTH;
+  const candidates = fullSearch ? legal : nearbyPlays(state, legal);
+
+  let bestScore = -Infinity;
+  let bestPlay = candidates[0];
+  for (const play of candidates) {
+    const score = -negamax(applyPlay(state, play), 1, depthLimit, -Infinity, -bestScore);
+    if (score > bestScore) {
+      bestScore = score;
+      bestPlay = play;
+    }
+  }
+  return bestPlay;
+}
+
+/**
+ * Upper bound on the moves still to be chosen from. Ultimate restricts the legal
+ * moves to one board, so there the empty cells of undecided boards tell how long
+ * the game can last.
+ */
+function movesLeft(state, legal) {
+  if (!isUltimate(state)) return legal.length;
+  return state.board.filter((v, i) => !v && !state.subBoards[toBoardCell(i).board]).length;
+}
+
+function applyPlay(state, play) {
+  return applyMove(state, play.position, { mark: play.mark });
+}
+
+/**
+ * Score the position for the player to move (alpha-beta negamax). Faster wins
+ * and slower losses score higher so the computer finishes games instead of
+ * toying with the opponent.
+ */
+function negamax(state, depth, depthLimit, alpha, beta) {
+  if (state.status === 'draw') return 0;
+  if (state.status === 'won') {
+    // Scored for the side after the previous mover, who won unless a completed line lost (Misère, Notakto)
+    const previous = state.moves[state.moves.length - 1].player;
+    return state.winner === previous ? depth - WIN_SCORE : WIN_SCORE - depth;
+  }
+  if (depth >= depthLimit) return evaluate(state);
+
+  const legal = getLegalPlays(state);
+  const plays = depthLimit === Infinity ? legal : nearbyPlays(state, legal);
+  let best = -Infinity;
+  for (const play of plays) {
+    const score = -negamax(applyPlay(state, play), depth + 1, depthLimit, -beta, -alpha);
+    if (score > best) best = score;
+    if (best > alpha) alpha = best;
+    if (alpha >= beta) break;
+  }
+  return best;
+}
+
+/**
+ * Heuristic for unfinished positions: every line still open to only one player
+ * counts for that player, weighted steeply by how many of its cells are taken.
+ */
+function evaluate(state) {
+  const me = state.currentPlayer;
+  // Any mark can complete any line on Wild and Notakto, so lines belong to nobody
+  if (state.variant === 'wild' || isNotakto(state)) return 0;
+  if (!isUltimate(state)) {
+    const score = lineScore(getGameLines(state).all, (cell) => state.board[cell], me);
+    return state.variant === 'misere' ? -score : score;
+  }
+  const lines = getWinningLines(3, 3).all;
+  let score = META_LINE_WEIGHT * lineScore(lines, (board) => state.subBoards[board], me);
+  state.subBoards.forEach((result, board) => {
+    if (!result) score += lineScore(lines, (cell) => state.board[board * 9 + cell], me);
+  });
+  return score;
+}
+
+/** Line-count score of `lines` for `me`; a drawn small board (on Ultimate) blocks both players. */
+function lineScore(lines, valueAt, me) {
+  let score = 0;
+  for (const line of lines) {
+    let mine = 0;
+    let theirs = 0;
+    let blocked = false;
+    for (const cell of line) {
+      const value = valueAt(cell);
+      if (value === me) mine += 1;
+      else if (value === 'draw') blocked = true;
+      else if (value) theirs += 1;
+    }
+    if (blocked) continue;
+    if (mine && !theirs) score += 10 ** mine;
+    else if (theirs && !mine) score -= 10 ** theirs;
+  }
+  return score;
+}
+
+/**
+ * Legal plays next to an existing mark (or in the centre on an empty board);
+ * keeps the search focused on large boards. Ultimate already limits the moves
+ * to one or a few small boards, and Notakto has at most three, so all of them
+ * are searched, as are Qubic's 64 cells: its lines reach across the layers.
+ */
+function nearbyPlays(state, legal) {
+  if (state.subBoards || isQubic(state)) return legal;
+  const { size, board } = state;
+  const near = legal.filter(({ position }) => {
+    const row = Math.floor(position / size);
+    const col = position % size;
+    for (let dr = -1; dr <= 1; dr += 1) {
+      for (let dc = -1; dc <= 1; dc += 1) {
+        const r = row + dr;
+        const c = col + dc;
+        if (r >= 0 && r < size && c >= 0 && c < size && board[r * size + c]) return true;
+      }
+    }
+    return false;
+  });
+  if (near.length > 0) return near;
+  const centre = Math.floor(size / 2) * size + Math.floor(size / 2);
+  const inCentre = legal.filter(({ position }) => position === centre);
+  return inCentre.length > 0 ? inCentre : legal;
+}
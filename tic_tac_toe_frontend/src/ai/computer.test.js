@@ -0,0 +1,77 @@
+import { chooseComputerMove, chooseComputerPlay } from './computer';
+import { applyMove, createGame, getLegalMoves, replayMoves } from '../engine';
+
+test('medium takes an immediate win before blocking', () => {
+  // O O .
+  // X X .
+  // . . X   (O to move: 2 wins, 5 would only block)
+  const state = replayMoves([3, 0, 4, 1, 8]);
+  expect(chooseComputerMove(state, 'medium')).toBe(2);
+});
+
+test('medium blocks the opponent', () => {
+  const state = replayMoves([0, 4, 1]);
+  expect(chooseComputerMove(state, 'medium')).toBe(2);
+});
+
+test('hard never loses against every possible opponent line', () => {
+  // Computer plays O; explore all X replies exhaustively.
+  function explore(state) {
+    if (state.status !== 'in-progress') return state.winner !== 'X';
+    if (state.currentPlayer === 'O') {
+      return explore(applyMove(state, chooseComputerMove(state, 'hard')));
+    }
+    return getLegalMoves(state).every((p) => explore(applyMove(state, p)));
+  }
+  expect(explore(createGame())).toBe(true);
+});
+
+test('returns null once the game is over', () => {
+  const state = replayMoves([0, 3, 1, 4, 2]);
+  expect(chooseComputerMove(state, 'easy')).toBeNull();
+});
+
+test('hard finds a block quickly on a 15×15 board', () => {
+  // X has four in row 8 with one end blocked; O must take the open end
+  const state = replayMoves([108, 107, 109, 0, 110, 14, 111], { size: 15, winLength: 5 });
+  expect(chooseComputerMove(state, 'hard')).toBe(112);
+});
+
+test('hard plays Ultimate within the required small board and takes the win', () => {
+  const options = { variant: 'ultimate' };
+  // X holds boards 1 and 2 and two cells of board 3's middle row, and must play on board 3
+  const state = replayMoves([3, 27, 4, 36, 5, 46, 12, 28, 13, 37, 14, 47, 21, 29, 22, 38], options);
+  expect(chooseComputerMove(state, 'hard')).toBe(23);
+  const opening = replayMoves([4], options);
+  expect(getLegalMoves(opening)).toContain(chooseComputerMove(opening, 'hard'));
+});
+
+test('Wild plays whichever mark completes a line', () => {
+  // X and O have both placed O in the top row, so X wins by placing a third O
+  const state = replayMoves([{ position: 0, mark: 'O' }, { position: 1, mark: 'O' }], { variant: 'wild' });
+  expect(chooseComputerPlay(state, 'medium')).toEqual({ position: 2, mark: 'O' });
+  expect(chooseComputerPlay(state, 'hard')).toEqual({ position: 2, mark: 'O' });
+});
+
+test('hard never completes a line on Misère and wins one-board Notakto going first', () => {
+  // X X .
+  // O O .
+  // . . .   (X to move: 2 would complete X's line and lose)
+  const misere = replayMoves([0, 3, 1, 4], { variant: 'misere' });
+  expect(chooseComputerMove(misere, 'hard')).not.toBe(2);
+  expect(chooseComputerMove(misere, 'medium')).not.toBe(2);
+
+  function explore(state) {
+    if (state.status !== 'in-progress') return state.winner === 'X';
+    if (state.currentPlayer === 'X') return explore(applyMove(state, chooseComputerMove(state, 'hard')));
+    return getLegalMoves(state).every((p) => explore(applyMove(state, p)));
+  }
+  expect(explore(createGame({ variant: 'notakto', boards: 1 }))).toBe(true);
+});
+
+test('hard blocks a Qubic pillar running down through the layers', () => {
+  // X holds the top-left corner of layers 1-3; O must take it on layer 4
+  const state = replayMoves([0, 5, 16, 6, 32], { variant: 'qubic' });
+  expect(chooseComputerMove(state, 'hard')).toBe(48);
+  expect(chooseComputerMove(state, 'medium')).toBe(48);
+});
@@ -2,8 +2,23 @@
 // Centralized API client for Tic Tac Toe Frontend
 // - Reads base URL from REACT_APP_API_BASE_URL with a default fallback
 // - Provides helper methods for common backend endpoints
-// - Includes basic error handling and loading helpers
+// - Typed errors (see ./errors), per-call timeouts, retries with backoff for
+//   idempotent GETs, and cancellation through AbortSignal
+// - Pluggable bearer-token auth with refresh on 401 (see setAuthProvider)
+// - Includes loading helpers
 //
+// Every method accepts a trailing options object with { signal, timeoutMs }.
+//
+
+import {
+  AuthError,
+  CancelledError,
+  errorForStatus,
+  isTransientError,
+  NetworkError,
+  TimeoutError,
+  ValidationError,
+} from './errors';
 
 /**
  * Resolve the API base URL from environment variables, defaulting
@@ -32,18 +47,118 @@ function buildUrl(path) {
   return `${base}${cleanPath}`;
 }
 
+const DEFAULT_TIMEOUT_MS = 10000;
+// Idempotent GETs are retried this many times on transient failures
+const DEFAULT_GET_RETRIES = 2;
+const BASE_RETRY_DELAY_MS = 300;
+const MAX_RETRY_DELAY_MS = 4000;
+
+// Pluggable auth, see setAuthProvider(); null while nobody is signed in
+let authProvider = null;
+let refreshing = null;
+
+// PUBLIC_INTERFACE
+export function setAuthProvider(provider) {
+  /**
+   * Plug in authentication for every request:
+   *   getAccessToken()  - current bearer token or null
+   *   refresh()         - resolve truthy once a new token is available (called on 401)
+   *   onAuthFailure()   - called when the refresh fails, e.g. to sign the user out
+   * Pass null to send requests anonymously again. Returns a function restoring the previous provider.
+   */
+  const previous = authProvider;
+  authProvider = provider || null;
+  return () => {
+    authProvider = previous;
+  };
+}
+
 /**
- * Basic wrapper around fetch with JSON handling and error normalization.
+ * Wrapper around fetch with JSON handling, typed errors, timeouts, retries and cancellation.
+ * options.timeoutMs  - abort after this long (TimeoutError); default 10s
+ * options.retries    - retries with exponential backoff on transient failures (GETs only)
+ * options.signal     - AbortSignal from the caller; aborting throws CancelledError
+ * options.auth       - send the bearer token and refresh it on 401 (default true)
  */
 async function request(path, options = {}) {
+  const { auth = true, ...rest } = options;
+  const token = auth && authProvider ? authProvider.getAccessToken() : null;
+  try {
+    return await requestWithRetries(path, rest, token);
+  } catch (error) {
+    // An expired token gets one refresh and one more try; anonymous 401s are final
+    if (!(error instanceof AuthError) || !token || !authProvider) throw error;
+    const provider = authProvider;
+    if (!(await refreshAuth(provider))) {
+      if (provider.onAuthFailure) provider.onAuthFailure(error);
+      throw error;
+    }
+    return requestWithRetries(path, rest, provider.getAccessToken());
+  }
+}
+
+async function requestWithRetries(path, options, token) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, retries = 0, signal, ...fetchOptions } = options;
   const url = buildUrl(path);
+  const method = (fetchOptions.method || 'GET').toUpperCase();
+  const maxRetries = method === 'GET' ? retries : 0;
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await requestOnce(url, fetchOptions, { timeoutMs, signal, token });
+    } catch (error) {
+      if (attempt >= maxRetries || !isTransientError(error)) throw error;
+      await sleep(retryDelay(attempt), signal, url);
+    }
+  }
+}
+
+/** Concurrent 401s share a single refresh; resolves false if it failed. */
+function refreshAuth(provider) {
+  if (!refreshing) {
+    refreshing = Promise.resolve()
+      .then(() => provider.refresh())
+      .then(Boolean, () => false)
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+async function requestOnce(url, fetchOptions, { timeoutMs, signal, token }) {
   const headers = {
     'Content-Type': 'application/json',
-    ...(options.headers || {}),
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...(fetchOptions.headers || {}),
   };
+  if (signal && signal.aborted) throw new CancelledError('Request cancelled', { requestUrl: url });
+
+  // One controller aborts fetch on either the timeout or the caller's signal
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  let timedOut = false;
+  const timer = controller
+    ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs)
+    : null;
+  const onAbort = () => controller && controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort);
 
   try {
-    const res = await fetch(url, { ...options, headers });
+    let res;
+    try {
+      res = await fetch(url, { ...fetchOptions, headers, signal: controller ? controller.signal : undefined });
+    } catch (cause) {
+      if (timedOut) throw new TimeoutError(`Request timed out after ${timeoutMs}ms`, { requestUrl: url, cause });
+      if (signal && signal.aborted) throw new CancelledError('Request cancelled', { requestUrl: url, cause });
+      throw new NetworkError(`Network error: ${cause && cause.message ? cause.message : 'request failed'}`, {
+        requestUrl: url,
+        cause,
+      });
+    }
+
     const contentType = res.headers.get('content-type') || '';
     const isJson = contentType.includes('application/json');
 
@@ -62,10 +177,10 @@ async function request(path, options = {}) {
           // ignore parse error
         }
       }
-      const error = new Error(`Request failed: ${res.status} ${res.statusText}`);
-      error.status = res.status;
-      error.body = errBody;
-      throw error;
+      throw errorForStatus(res.status, `Request failed: ${res.status} ${res.statusText}`, {
+        body: errBody,
+        requestUrl: url,
+      });
     }
 
     // Return parsed JSON if available, else raw text or null
@@ -77,13 +192,32 @@ async function request(path, options = {}) {
     } catch {
       return null;
     }
-  } catch (error) {
-    // Attach URL for easier debugging
-    if (!error.requestUrl) error.requestUrl = url;
-    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
   }
 }
 
+/** Exponential backoff with jitter: ~300ms, 600ms, 1.2s … capped at 4s. */
+function retryDelay(attempt) {
+  const base = Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+  return base / 2 + Math.random() * (base / 2);
+}
+
+function sleep(ms, signal, url) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new CancelledError('Request cancelled', { requestUrl: url }));
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 /**
  * Loading state helpers for components to adopt a consistent pattern.
  */
@@ -130,54 +264,252 @@ export function setError(stateObj, error) {
  */
 
 // PUBLIC_INTERFACE
-export async function createPlayer(name) {
+export async function createPlayer(name, options = {}) {
   /** Create a player by name and return the created player object. */
-  if (!name) throw new Error('Name is required');
+  if (!name) throw new ValidationError('Name is required');
   return request('/players', {
+    ...requestOptions(options),
     method: 'POST',
     body: JSON.stringify({ name }),
   });
 }
 
 // PUBLIC_INTERFACE
-export async function createGame(playerXId, playerOId) {
-  /** Create a new game with X and O player IDs. */
-  if (!playerXId || !playerOId) throw new Error('Both playerXId and playerOId are required');
+export async function createGame(playerXId, playerOId, options = {}) {
+  /**
+   * Create a new game with X and O player IDs.
+   * options.boardSize (N, board is N×N), options.winLength (K in a row),
+   * options.mode (the rule set: 'classic', 'misere', 'wild', 'ultimate', 'notakto' or 'qubic'),
+   * options.boards (Notakto's number of boards) and options.timeControl (see src/clock)
+   * are sent when provided; the backend defaults to a classic, untimed 3×3 game.
+   */
+  if (!playerXId || !playerOId) throw new ValidationError('Both playerXId and playerOId are required');
+  const { boardSize, winLength, mode, boards, timeControl } = options;
   return request('/games', {
+    ...requestOptions(options),
     method: 'POST',
-    body: JSON.stringify({ playerXId, playerOId }),
+    body: JSON.stringify({ playerXId, playerOId, boardSize, winLength, mode, boards, timeControl }),
   });
 }
 
 // PUBLIC_INTERFACE
-export async function getGame(id) {
-  /** Fetch current game state by ID. */
-  if (!id) throw new Error('Game ID is required');
-  return request(`/games/${encodeURIComponent(id)}`, { method: 'GET' });
+export async function getGame(id, options = {}) {
+  /** Fetch current game state by ID. Retried on transient failures. */
+  if (!id) throw new ValidationError('Game ID is required');
+  return request(`/games/${encodeURIComponent(id)}`, {
+    retries: DEFAULT_GET_RETRIES,
+    ...requestOptions(options),
+    method: 'GET',
+  });
 }
 
 // PUBLIC_INTERFACE
-export async function postMove(gameId, position) {
-  /** Post a move to a game by ID with the cell position (0-8). */
-  if (!gameId) throw new Error('Game ID is required');
-  if (position === undefined || position === null) throw new Error('Position is required');
+export async function postMove(gameId, position, options = {}) {
+  /**
+   * Post a move to a game by ID with the row-major cell position (0 to N*N-1), or for
+   * Qubic the cell as { position, layer, row, col } (0-based), which is sent as is.
+   * options.playedAt (ISO time the move was made) is sent for timed games, and
+   * options.mark (the symbol placed) for Wild games.
+   */
+  if (!gameId) throw new ValidationError('Game ID is required');
+  if (position === undefined || position === null) throw new ValidationError('Position is required');
+  const move = typeof position === 'object' ? cubeMove(position) : { position };
   return request(`/games/${encodeURIComponent(gameId)}/moves`, {
+    ...requestOptions(options),
+    method: 'POST',
+    body: JSON.stringify({ ...move, playedAt: options.playedAt, mark: options.mark || undefined }),
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function undoMove(gameId, count = 1, options = {}) {
+  /** Take back the last `count` moves of a game and return the updated game state. */
+  if (!gameId) throw new ValidationError('Game ID is required');
+  if (!Number.isInteger(count) || count < 1) throw new ValidationError('Count must be a positive integer');
+  return request(`/games/${encodeURIComponent(gameId)}/undo`, {
+    ...requestOptions(options),
+    method: 'POST',
+    body: JSON.stringify({ count }),
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function forfeitOnTime(gameId, player, options = {}) {
+  /**
+   * Record that `player` ('X' or 'O') ran out of time in a timed game, which the other
+   * player wins; resolves the updated game state (with timedOut set to `player`).
+   */
+  if (!gameId) throw new ValidationError('Game ID is required');
+  if (player !== 'X' && player !== 'O') throw new ValidationError('Player must be X or O');
+  return request(`/games/${encodeURIComponent(gameId)}/timeout`, {
+    ...requestOptions(options),
+    method: 'POST',
+    body: JSON.stringify({ player }),
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function getHistory(gameId, options = {}) {
+  /** Fetch the move history for a given game ID. Retried on transient failures. */
+  if (!gameId) throw new ValidationError('Game ID is required');
+  return request(`/games/${encodeURIComponent(gameId)}/history`, {
+    retries: DEFAULT_GET_RETRIES,
+    ...requestOptions(options),
+    method: 'GET',
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function listGames(options = {}) {
+  /**
+   * Fetch one page of games, newest first. Retried on transient failures.
+   * options.playerId - only games this player took part in
+   * options.result   - 'ongoing' | 'finished' | 'draw', or 'win' | 'loss' for options.playerId
+   * options.from     - earliest date (YYYY-MM-DD or Date), by finish (else creation) time
+   * options.to       - latest date, inclusive
+   * options.page     - 1-based page number; options.pageSize - games per page
+   * The backend answers { items, total, page, pageSize } (older backends: a plain array).
+   */
+  const { playerId, result, from, to, page, pageSize } = options;
+  if ((result === 'win' || result === 'loss') && !playerId) {
+    throw new ValidationError('Filtering by win or loss needs a player');
+  }
+  const query = buildQuery({ player: playerId, result, from: formatDay(from), to: formatDay(to), page, pageSize });
+  return request(`/games${query}`, {
+    retries: DEFAULT_GET_RETRIES,
+    ...requestOptions(options),
+    method: 'GET',
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function getLeaderboard(options = {}) {
+  /**
+   * Fetch one page of the leaderboard. Retried on transient failures.
+   * options.sort     - 'rating' | 'wins' | 'winRate' | 'gamesPlayed'
+   * options.order    - 'asc' | 'desc'
+   * options.search   - case-insensitive name filter
+   * options.window   - 'today' | 'week' | 'all' (games finished in that period)
+   * options.page     - 1-based page number; options.pageSize - rows per page
+   * The backend answers { items, total, page, pageSize } (older backends: a plain array).
+   */
+  const { sort, order, search, window: timeWindow, page, pageSize } = options;
+  const query = buildQuery({ sort, order, q: search, window: timeWindow, page, pageSize });
+  return request(`/leaderboard${query}`, {
+    retries: DEFAULT_GET_RETRIES,
+    ...requestOptions(options),
+    method: 'GET',
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function getPlayer(playerId, options = {}) {
+  /** Fetch a player's profile: { id, name, wins, losses, draws, score, ... }. Retried on transient failures. */
+  if (!playerId) throw new ValidationError('Player ID is required');
+  return request(`/players/${encodeURIComponent(playerId)}`, {
+    retries: DEFAULT_GET_RETRIES,
+    ...requestOptions(options),
+    method: 'GET',
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function getPlayerGames(playerId, options = {}) {
+  /**
+   * Fetch a player's most recent games, newest first (options.limit, default 20).
+   * Each game carries playerXId/playerOId, their names, status, winner and finishedAt.
+   */
+  if (!playerId) throw new ValidationError('Player ID is required');
+  const query = buildQuery({ limit: options.limit ?? 20 });
+  return request(`/players/${encodeURIComponent(playerId)}/games${query}`, {
+    retries: DEFAULT_GET_RETRIES,
+    ...requestOptions(options),
+    method: 'GET',
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function register(username, password, name, options = {}) {
+  /**
+   * Create an account and sign in. Resolves { accessToken, refreshToken, user } where
+   * user is { id, username, name, playerId } and playerId is the account's own player.
+   */
+  if (!username || !password) throw new ValidationError('Username and password are required');
+  return request('/auth/register', {
+    ...requestOptions(options),
+    auth: false,
+    method: 'POST',
+    body: JSON.stringify({ username, password, name: name || username }),
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function login(username, password, options = {}) {
+  /** Sign in with username and password. Resolves { accessToken, refreshToken, user }. */
+  if (!username || !password) throw new ValidationError('Username and password are required');
+  return request('/auth/login', {
+    ...requestOptions(options),
+    auth: false,
     method: 'POST',
-    body: JSON.stringify({ position }),
+    body: JSON.stringify({ username, password }),
   });
 }
 
 // PUBLIC_INTERFACE
-export async function getHistory(gameId) {
-  /** Fetch the move history for a given game ID. */
-  if (!gameId) throw new Error('Game ID is required');
-  return request(`/games/${encodeURIComponent(gameId)}/history`, { method: 'GET' });
+export async function refreshSession(refreshToken, options = {}) {
+  /** Exchange a refresh token for a new { accessToken, refreshToken, user }. */
+  if (!refreshToken) throw new ValidationError('Refresh token is required');
+  return request('/auth/refresh', {
+    ...requestOptions(options),
+    auth: false,
+    method: 'POST',
+    body: JSON.stringify({ refreshToken }),
+  });
 }
 
 // PUBLIC_INTERFACE
-export async function getLeaderboard() {
-  /** Fetch the global leaderboard. */
-  return request('/leaderboard', { method: 'GET' });
+export async function logout(refreshToken, options = {}) {
+  /** Revoke a refresh token on the server. */
+  return request('/auth/logout', {
+    ...requestOptions(options),
+    auth: false,
+    method: 'POST',
+    body: JSON.stringify({ refreshToken }),
+  });
+}
+
+/** "?a=1&b=x" from the defined, non-empty params, or "" if there are none. */
+function buildQuery(params) {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') search.set(key, String(value));
+  });
+  const text = search.toString();
+  return text ? `?${text}` : '';
+}
+
+/** Date or date string -> 'YYYY-MM-DD' (local calendar day); empty values pass through. */
+function formatDay(value) {
+  if (!(value instanceof Date)) return value;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+/** Pick the transport options (signal, timeoutMs, retries) out of a method's options. */
+function requestOptions(options) {
+  const picked = {};
+  if (options.signal) picked.signal = options.signal;
+  if (options.timeoutMs !== undefined) picked.timeoutMs = options.timeoutMs;
+  if (options.retries !== undefined) picked.retries = options.retries;
+  return picked;
+}
+
+/** Body fields of a Qubic move given as { position, layer, row, col }. */
+function cubeMove({ position, layer, row, col }) {
+  if (![position, layer, row, col].every((v) => Number.isInteger(v) && v >= 0)) {
+    throw new ValidationError('Position, layer, row and column must be whole numbers from 0');
+  }
+  return { position, layer, row, col };
 }
 
 // PUBLIC_INTERFACE
@@ -188,8 +520,17 @@ export const api = {
   createGame,
   getGame,
   postMove,
+  undoMove,
+  forfeitOnTime,
   getHistory,
+  listGames,
   getLeaderboard,
+  getPlayer,
+  getPlayerGames,
+  register,
+  login,
+  refreshSession,
+  logout,
   createLoadingState,
   setLoading,
   setSuccess,
@@ -0,0 +1,93 @@
+import { createGame, getGame, getLeaderboard, listGames, postMove } from './client';
+import { CancelledError, ConflictError, NetworkError, NotFoundError, TimeoutError, ValidationError } from './errors';
+
+function jsonResponse(status, body) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve(body),
+  });
+}
+
+// Never settles unless the request is aborted
+function hangingFetch(url, { signal }) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  });
+}
+
+afterEach(() => {
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+test('maps HTTP errors to typed errors', async () => {
+  global.fetch = jest.fn(() => jsonResponse(404, { message: 'No such game' }));
+  const missing = await getGame('g1', { retries: 0 }).catch((e) => e);
+  expect(missing).toBeInstanceOf(NotFoundError);
+  expect(missing.status).toBe(404);
+  expect(missing.body).toEqual({ message: 'No such game' });
+
+  global.fetch = jest.fn(() => jsonResponse(409, { message: 'Cell taken' }));
+  await expect(postMove('g1', 4)).rejects.toBeInstanceOf(ConflictError);
+
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  await expect(postMove('g1', 4)).rejects.toBeInstanceOf(NetworkError);
+});
+
+test('rejects invalid input before calling the backend', async () => {
+  global.fetch = jest.fn();
+  await expect(createGame('x-only')).rejects.toBeInstanceOf(ValidationError);
+  await expect(listGames({ result: 'win' })).rejects.toBeInstanceOf(ValidationError);
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('sends game list filters as query parameters', async () => {
+  global.fetch = jest.fn(() => jsonResponse(200, { items: [], total: 0 }));
+  await listGames({ playerId: 'p1', result: 'loss', from: new Date(2024, 2, 5), to: '2024-03-09', page: 2, pageSize: 5 });
+  const { searchParams, pathname } = new URL(global.fetch.mock.calls[0][0]);
+  expect(pathname).toBe('/games');
+  expect(Object.fromEntries(searchParams)).toEqual({
+    player: 'p1',
+    result: 'loss',
+    from: '2024-03-05',
+    to: '2024-03-09',
+    page: '2',
+    pageSize: '5',
+  });
+});
+
+test('posts Qubic moves by layer, row and column along with their position', async () => {
+  global.fetch = jest.fn(() => jsonResponse(200, {}));
+  await postMove('g1', { position: 39, layer: 2, row: 1, col: 3 });
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ position: 39, layer: 2, row: 1, col: 3 });
+  await expect(postMove('g1', { layer: 2, row: 1, col: 3 })).rejects.toBeInstanceOf(ValidationError);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('retries idempotent GETs on transient failures but not POSTs', async () => {
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  global.fetch = jest
+    .fn()
+    .mockImplementationOnce(() => jsonResponse(503, {}))
+    .mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')))
+    .mockImplementation(() => jsonResponse(200, [{ id: 'p1', name: 'Alice' }]));
+  await expect(getLeaderboard()).resolves.toEqual([{ id: 'p1', name: 'Alice' }]);
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+
+  global.fetch = jest.fn(() => jsonResponse(503, {}));
+  await expect(postMove('g1', 4)).rejects.toMatchObject({ status: 503 });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('times out slow requests and honours caller cancellation', async () => {
+  global.fetch = jest.fn(hangingFetch);
+  await expect(getGame('g1', { timeoutMs: 20, retries: 0 })).rejects.toBeInstanceOf(TimeoutError);
+
+  const controller = new AbortController();
+  const pending = getGame('g1', { signal: controller.signal });
+  controller.abort();
+  await expect(pending).rejects.toBeInstanceOf(CancelledError);
+});
@@ -0,0 +1,134 @@
+//
+// Typed errors thrown by the API client
+// Components can branch on the class (e.g. `e instanceof NotFoundError`)
+// instead of inspecting messages. All share `status`, `body` and `requestUrl`.
+//
+
+// PUBLIC_INTERFACE
+export class ApiError extends Error {
+  /** Base class for API failures; `status` is the HTTP status when a response was received. */
+  constructor(message, { status = null, body = null, requestUrl = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+    this.requestUrl = requestUrl;
+    if (cause) this.cause = cause;
+  }
+}
+
+// PUBLIC_INTERFACE
+export class NetworkError extends ApiError {
+  /** The backend could not be reached (DNS, connection refused, CORS, offline). */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export class TimeoutError extends ApiError {
+  /** The request took longer than its timeout and was aborted. */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export class CancelledError extends ApiError {
+  /** The caller aborted the request (e.g. the component unmounted). */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CancelledError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export class ValidationError extends ApiError {
+  /** Invalid input, rejected by the client or by the backend (400/422). */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export class AuthError extends ApiError {
+  /** The request needs a signed-in user, or the session expired and could not be refreshed (401). */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export class ForbiddenError extends ApiError {
+  /** The signed-in user may not do this, e.g. move for a seat held by another account (403). */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ForbiddenError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export class NotFoundError extends ApiError {
+  /** The requested player or game does not exist (404). */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export class ConflictError extends ApiError {
+  /** The request conflicts with the current server state, e.g. a cell already taken (409). */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ConflictError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export function errorForStatus(status, message, details) {
+  /** Build the typed error for an HTTP error response. */
+  const info = { ...details, status };
+  if (status === 400 || status === 422) return new ValidationError(message, info);
+  if (status === 401) return new AuthError(message, info);
+  if (status === 403) return new ForbiddenError(message, info);
+  if (status === 404) return new NotFoundError(message, info);
+  if (status === 409) return new ConflictError(message, info);
+  return new ApiError(message, info);
+}
+
+// PUBLIC_INTERFACE
+export function isTransientError(error) {
+  /** True for failures worth retrying later: network, timeout, rate limiting and 5xx. */
+  if (error instanceof NetworkError || error instanceof TimeoutError) return true;
+  if (error instanceof CancelledError) return false;
+  return error instanceof ApiError && (error.status === 429 || error.status >= 500);
+}
+
+// PUBLIC_INTERFACE
+export function formatError(e) {
+  /** A message to show for a failed request (or a plain string error); '' when there is none. */
+  if (!e) return '';
+  if (typeof e === 'string') return e;
+  if (e instanceof TimeoutError) return 'The server took too long to respond.';
+  if (e instanceof NetworkError) return 'Could not reach the server.';
+  if (e.body && typeof e.body === 'object') {
+    if (e.body.message) return e.body.message;
+    try {
+      return JSON.stringify(e.body);
+    } catch {
+      // ignore
+    }
+  }
+  return e.message || 'An error occurred';
+}
+
+// PUBLIC_INTERFACE
+export function isCancelled(error) {
+  /** True if the request was aborted by the caller; such errors should be ignored. */
+  return error instanceof CancelledError;
+}
@@ -1,2 +1,4 @@
 export { default as api } from './client';
 export * from './client';
+export * from './errors';
+export * from './realtime';
@@ -0,0 +1,157 @@
+//
+// Realtime game channel
+// - Subscribes to a game's updates over WebSocket (REACT_APP_WS_URL, or the API
+//   base URL with ws:// / wss://)
+// - Reconnects automatically with exponential backoff
+// - Falls back to polling getGame when WebSockets are unavailable or keep failing
+// - Spectators connect with ?role=spectator; the server counts them and tells
+//   everyone following the game
+//
+// Server messages are JSON:
+//   { type: 'game-updated', game: { id, board, currentPlayer, ... } }
+//   { type: 'presence', spectators }  // number of spectators connected
+//
+
+import { getApiBaseUrl, getGame } from './client';
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_MAX_RECONNECT_ATTEMPTS = 5;
+const BASE_RECONNECT_DELAY_MS = 500;
+const MAX_RECONNECT_DELAY_MS = 10000;
+
+// PUBLIC_INTERFACE
+// Short text for each channel status, as shown next to a followed game
+export const CHANNEL_STATUS_LABELS = Object.freeze({
+  connecting: 'Connecting…',
+  live: 'Live',
+  reconnecting: 'Reconnecting…',
+  polling: 'Live (polling)',
+  closed: 'Disconnected',
+});
+
+// PUBLIC_INTERFACE
+export function getRealtimeUrl() {
+  /** Returns the WebSocket base URL resolved from the environment or the API base URL. */
+  const envUrl = process.env.REACT_APP_WS_URL || '';
+  const base = (envUrl || getApiBaseUrl().replace(/^http/, 'ws')).replace(/\/+$/, '');
+  return base;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeToGame(gameId, options = {}) {
+  /**
+   * Follow a game's updates. Calls options.onUpdate(game) for each new server state
+   * and options.onStatus(status) with 'connecting' | 'live' | 'reconnecting' | 'polling' | 'closed'.
+   * options.role 'spectator' follows the game as a spectator; options.onPresence({ spectators })
+   * receives the server's spectator count (not available while polling).
+   * Returns { close() } to stop listening.
+   * options.WebSocketImpl, options.pollIntervalMs and options.maxReconnectAttempts
+   * can be overridden (tests use a local mock server).
+   */
+  if (!gameId) throw new Error('Game ID is required');
+  const {
+    onUpdate = () => {},
+    onStatus = () => {},
+    onPresence = () => {},
+    role = 'player',
+    WebSocketImpl = typeof WebSocket !== 'undefined' ? WebSocket : null,
+    pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+    maxReconnectAttempts = DEFAULT_MAX_RECONNECT_ATTEMPTS,
+  } = options;
+
+  let closed = false;
+  let socket = null;
+  let attempts = 0;
+  let reconnectTimer = null;
+  let pollTimer = null;
+  let lastSignature = null;
+  // Aborts an in-flight poll when the subscription is closed
+  let pollController = null;
+
+  const deliver = (game) => {
+    if (closed || !game) return;
+    // Polling returns the same state repeatedly; only forward real changes
+    const signature = JSON.stringify([game.board, game.currentPlayer, game.status]);
+    if (signature === lastSignature) return;
+    lastSignature = signature;
+    onUpdate(game);
+  };
+
+  const poll = async () => {
+    pollController = new AbortController();
+    try {
+      deliver(await getGame(gameId, { signal: pollController.signal, retries: 0 }));
+    } catch (e) {
+      // keep polling; the server may come back
+    }
+    if (!closed) pollTimer = setTimeout(poll, pollIntervalMs);
+  };
+
+  const startPolling = () => {
+    onStatus('polling');
+    poll();
+  };
+
+  const connect = () => {
+    // Retries already reported 'reconnecting' when they were scheduled
+    if (attempts === 0) onStatus('connecting');
+    try {
+      const query = role === 'spectator' ? '?role=spectator' : '';
+      socket = new WebSocketImpl(`${getRealtimeUrl()}/ws/games/${encodeURIComponent(gameId)}${query}`);
+    } catch (e) {
+      scheduleReconnect();
+      return;
+    }
+    socket.onopen = () => {
+      attempts = 0;
+      onStatus('live');
+    };
+    socket.onmessage = (event) => {
+      let message = null;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return; // ignore malformed frames
+      }
+      if (!message || closed) return;
+      if (message.type === 'game-updated') deliver(message.game);
+      else if (message.type === 'presence') onPresence({ spectators: Number(message.spectators) || 0 });
+    };
+    socket.onclose = () => {
+      socket = null;
+      if (!closed) scheduleReconnect();
+    };
+    socket.onerror = () => {
+      // onclose follows and handles reconnection
+    };
+  };
+
+  const scheduleReconnect = () => {
+    attempts += 1;
+    if (attempts > maxReconnectAttempts) {
+      startPolling();
+      return;
+    }
+    onStatus('reconnecting');
+    const delay = Math.min(BASE_RECONNECT_DELAY_MS * 2 ** (attempts - 1), MAX_RECONNECT_DELAY_MS);
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  if (WebSocketImpl) connect();
+  else startPolling();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      clearTimeout(pollTimer);
+      if (pollController) pollController.abort();
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+        socket = null;
+      }
+      onStatus('closed');
+    },
+  };
+}
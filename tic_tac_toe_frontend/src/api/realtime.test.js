@@ -0,0 +1,95 @@
+import { api, subscribeToGame } from '.';
+import { createMockGameServer } from '../testUtils/mockGameServer';
+
+let server;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  server = createMockGameServer();
+  global.fetch = server.fetch;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.fetch;
+});
+
+// Advance fake timers in small steps, letting pending promises settle in between
+async function advance(ms) {
+  let elapsed = 0;
+  do {
+    const step = Math.min(50, ms - elapsed);
+    jest.advanceTimersByTime(step);
+    elapsed += step;
+    for (let i = 0; i < 10; i += 1) await Promise.resolve();
+  } while (elapsed < ms);
+}
+
+const flush = () => advance(0);
+
+test('two subscribers of the same game see each other\'s moves', async () => {
+  const game = await api.createGame('px', 'po');
+  const host = jest.fn();
+  const guest = jest.fn();
+  const a = subscribeToGame(game.id, { onUpdate: host, WebSocketImpl: server.WebSocket });
+  const b = subscribeToGame(game.id, { onUpdate: guest, WebSocketImpl: server.WebSocket });
+  await flush();
+  expect(server.connectionCount(game.id)).toBe(2);
+
+  await api.postMove(game.id, 4);
+  expect(host).toHaveBeenLastCalledWith(expect.objectContaining({ currentPlayer: 'O' }));
+  expect(guest.mock.calls.at(-1)[0].board[4]).toBe('X');
+
+  a.close();
+  b.close();
+  expect(server.connectionCount(game.id)).toBe(0);
+});
+
+test('spectators are counted and the count is pushed to everyone following the game', async () => {
+  const game = await api.createGame('px', 'po');
+  const playerPresence = jest.fn();
+  const player = subscribeToGame(game.id, { onPresence: playerPresence, WebSocketImpl: server.WebSocket });
+  const spectators = [1, 2].map(() => subscribeToGame(game.id, { role: 'spectator', WebSocketImpl: server.WebSocket }));
+  await flush();
+  expect(playerPresence).toHaveBeenLastCalledWith({ spectators: 2 });
+
+  spectators[0].close();
+  expect(playerPresence).toHaveBeenLastCalledWith({ spectators: 1 });
+  spectators[1].close();
+  player.close();
+});
+
+test('reconnects after the connection drops', async () => {
+  const game = await api.createGame('px', 'po');
+  const statuses = [];
+  const channel = subscribeToGame(game.id, {
+    onStatus: (s) => statuses.push(s),
+    WebSocketImpl: server.WebSocket,
+  });
+  await flush();
+  server.dropConnections();
+  await advance(600);
+  expect(statuses).toEqual(['connecting', 'live', 'reconnecting', 'live']);
+  channel.close();
+});
+
+test('falls back to polling getGame when WebSockets keep failing', async () => {
+  const game = await api.createGame('px', 'po');
+  server.setWebSocketsEnabled(false);
+  const onUpdate = jest.fn();
+  const statuses = [];
+  const channel = subscribeToGame(game.id, {
+    onUpdate,
+    onStatus: (s) => statuses.push(s),
+    WebSocketImpl: server.WebSocket,
+    maxReconnectAttempts: 1,
+    pollIntervalMs: 1000,
+  });
+  await advance(600);
+  expect(statuses.at(-1)).toBe('polling');
+
+  await api.postMove(game.id, 0);
+  await advance(1000);
+  expect(onUpdate.mock.calls.at(-1)[0].board[0]).toBe('X');
+  channel.close();
+});
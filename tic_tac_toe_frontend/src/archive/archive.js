@@ -0,0 +1,169 @@
+//
+// Game archive
+// - loadGamesPage() lists past games through listGames with player, result and
+//   date filters, one page at a time
+// - A backend that returns a plain array is filtered and paged in the browser;
+//   while the backend is unreachable the games saved on this device are listed
+// - Every game is normalized to the same summary shape for the archive view
+//
+
+import { api, isCancelled } from '../api';
+import { isNotakto } from '../engine';
+import { isRetryableError, listGameRecords } from '../offline';
+import { buildFrames } from '../replay';
+
+// PUBLIC_INTERFACE
+export const RESULT_FILTERS = Object.freeze(['all', 'ongoing', 'finished', 'win', 'loss', 'draw']);
+
+// PUBLIC_INTERFACE
+export const RESULT_FILTER_LABELS = Object.freeze({
+  all: 'Any result',
+  ongoing: 'In progress',
+  finished: 'Finished',
+  win: 'Won',
+  loss: 'Lost',
+  draw: 'Draw',
+});
+
+// PUBLIC_INTERFACE
+export const ARCHIVE_PAGE_SIZE = 10;
+
+// PUBLIC_INTERFACE
+export function normalizeGameSummary(g, source = 'server') {
+  /**
+   * Map a backend game (or a local game record, source 'local') to
+   * { id, playerXId, playerOId, playerXName, playerOName, status, winner, size,
+   *   winLength, variant, boards, moveCount, playedAt, isFinished, source }
+   * (boards: Notakto's number of boards, else null).
+   * playedAt is the finish time, else the creation time (ISO string or null).
+   */
+  const status = g.status || 'in-progress';
+  return {
+    id: g.id,
+    playerXId: g.playerXId ?? g.players?.X?.id ?? null,
+    playerOId: g.playerOId ?? g.players?.O?.id ?? null,
+    playerXName: g.playerXName ?? g.players?.X?.name ?? null,
+    playerOName: g.playerOName ?? g.players?.O?.name ?? null,
+    status,
+    winner: g.winner ?? null,
+    size: g.boardSize ?? g.size ?? 3,
+    winLength: g.winLength ?? g.boardSize ?? g.size ?? 3,
+    variant: g.mode ?? g.variant ?? 'classic',
+    boards: g.boards ?? (isNotakto(g) ? g.subBoards.length : null),
+    moveCount: Array.isArray(g.moves) ? g.moves.length : g.moveCount ?? 0,
+    playedAt: g.finishedAt || g.createdAt || null,
+    isFinished: status === 'won' || status === 'draw',
+    source,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function localGameSummaries() {
+  /** Summaries of the games saved on this device, most recent first; unreadable records are skipped. */
+  return listGameRecords().flatMap((record) => {
+    let last;
+    try {
+      const frames = buildFrames(record.config, record.moves || [], record.moveMarks);
+      last = frames[frames.length - 1];
+    } catch (e) {
+      return [];
+    }
+    const at = record.updatedAt ? new Date(record.updatedAt).toISOString() : null;
+    return [
+      normalizeGameSummary(
+        { ...last, id: record.id, players: record.players || {}, createdAt: at, finishedAt: null },
+        'local'
+      ),
+    ];
+  });
+}
+
+// PUBLIC_INTERFACE
+export function matchesGameFilters(summary, filters = {}) {
+  /** Whether a game summary passes the archive filters ({ playerId, result, from, to }). */
+  const { playerId, result, from, to } = filters;
+  if (playerId && summary.playerXId !== playerId && summary.playerOId !== playerId) return false;
+  if (result && result !== 'all' && !matchesResult(summary, result, playerId)) return false;
+  if (from || to) {
+    const at = summary.playedAt ? Date.parse(summary.playedAt) : NaN;
+    if (Number.isNaN(at)) return false;
+    if (from && at < dayStart(from)) return false;
+    if (to && at >= dayStart(to) + DAY_MS) return false;
+  }
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function normalizeGamesPage(payload, filters = {}) {
+  /**
+   * Turn a listGames response into { games, total, page, pageSize }. The filters
+   * are applied locally if the backend returned a plain, unpaged array.
+   */
+  const pageSize = filters.pageSize || ARCHIVE_PAGE_SIZE;
+  if (payload && !Array.isArray(payload) && Array.isArray(payload.items)) {
+    return {
+      games: payload.items.map((g) => normalizeGameSummary(g)),
+      total: payload.total ?? payload.items.length,
+      page: payload.page ?? filters.page ?? 1,
+      pageSize: payload.pageSize ?? pageSize,
+    };
+  }
+  const all = (Array.isArray(payload) ? payload : []).map((g) => normalizeGameSummary(g));
+  return pageOf(all.filter((g) => matchesGameFilters(g, filters)), filters.page || 1, pageSize);
+}
+
+// PUBLIC_INTERFACE
+export async function loadGamesPage(filters = {}, { signal } = {}) {
+  /**
+   * Load one page of the archive: { games, total, page, pageSize, offline }.
+   * When the backend can't be reached the games saved on this device are
+   * filtered and paged instead, with offline: true.
+   */
+  const query = {
+    playerId: filters.playerId || undefined,
+    result: filters.result && filters.result !== 'all' ? filters.result : undefined,
+    from: filters.from || undefined,
+    to: filters.to || undefined,
+    page: filters.page || 1,
+    pageSize: filters.pageSize || ARCHIVE_PAGE_SIZE,
+  };
+  try {
+    const payload = await api.listGames({ ...query, signal });
+    return { ...normalizeGamesPage(payload, query), offline: false };
+  } catch (e) {
+    if (isCancelled(e) || !isRetryableError(e)) throw e;
+    const local = localGameSummaries().filter((g) => matchesGameFilters(g, query));
+    return { ...pageOf(local, query.page, query.pageSize), offline: true };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function gameResultText(summary) {
+  /** "Alice won", "Draw" or "In progress" for a game summary. */
+  if (summary.status === 'draw') return 'Draw';
+  if (summary.status !== 'won') return 'In progress';
+  const name = summary.winner === 'O' ? summary.playerOName : summary.playerXName;
+  return `${name || summary.winner} won`;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function matchesResult(summary, result, playerId) {
+  if (result === 'ongoing') return !summary.isFinished;
+  if (result === 'finished') return summary.isFinished;
+  if (result === 'draw') return summary.status === 'draw';
+  if (summary.status !== 'won' || !playerId) return false;
+  const winnerId = summary.winner === 'X' ? summary.playerXId : summary.playerOId;
+  return result === 'win' ? winnerId === playerId : winnerId !== playerId;
+}
+
+/** Local midnight of a 'YYYY-MM-DD' day (or a Date) as a ms timestamp. */
+function dayStart(day) {
+  const date = day instanceof Date ? new Date(day) : new Date(`${day}T00:00:00`);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+function pageOf(games, page, pageSize) {
+  return { games: games.slice((page - 1) * pageSize, page * pageSize), total: games.length, page, pageSize };
+}
@@ -0,0 +1,58 @@
+import { saveGameRecord } from '../offline';
+import { loadGamesPage, matchesGameFilters, normalizeGamesPage } from './archive';
+
+const game = (id, playerXId, playerOId, status, winner, finishedAt) => ({
+  id,
+  playerXId,
+  playerOId,
+  playerXName: playerXId.toUpperCase(),
+  playerOName: playerOId.toUpperCase(),
+  status,
+  winner,
+  createdAt: finishedAt,
+  finishedAt: status === 'in-progress' ? null : finishedAt,
+});
+
+afterEach(() => {
+  delete global.fetch;
+  window.localStorage.clear();
+});
+
+test('filters and pages a plain array of games locally', () => {
+  const payload = [
+    game('g1', 'a', 'b', 'won', 'X', '2024-03-01T10:00:00'),
+    game('g2', 'b', 'a', 'won', 'X', '2024-03-02T10:00:00'),
+    game('g3', 'a', 'c', 'draw', null, '2024-03-03T10:00:00'),
+    game('g4', 'c', 'b', 'in-progress', null, '2024-03-04T10:00:00'),
+  ];
+  const ids = (filters) => normalizeGamesPage(payload, filters).games.map((g) => g.id);
+
+  expect(ids({ playerId: 'a' })).toEqual(['g1', 'g2', 'g3']);
+  expect(ids({ playerId: 'a', result: 'win' })).toEqual(['g1']);
+  expect(ids({ playerId: 'a', result: 'loss' })).toEqual(['g2']);
+  expect(ids({ result: 'ongoing' })).toEqual(['g4']);
+  expect(ids({ from: '2024-03-02', to: '2024-03-03' })).toEqual(['g2', 'g3']);
+
+  const page2 = normalizeGamesPage(payload, { pageSize: 3, page: 2 });
+  expect(page2).toMatchObject({ total: 4, page: 2 });
+  expect(page2.games.map((g) => g.id)).toEqual(['g4']);
+  expect(page2.games[0]).toMatchObject({ isFinished: false, playerXName: 'C', source: 'server' });
+});
+
+test('win and loss filters need a player', () => {
+  const won = normalizeGamesPage([game('g1', 'a', 'b', 'won', 'X', '2024-03-01T10:00:00')]).games[0];
+  expect(matchesGameFilters(won, { result: 'finished' })).toBe(true);
+  expect(matchesGameFilters(won, { result: 'win' })).toBe(false);
+});
+
+test('lists games saved on this device while the backend is unreachable', async () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  const players = { X: { id: 'a', name: 'Alice' }, O: { id: 'b', name: 'Bob' } };
+  saveGameRecord({ id: 'mock-game-1', players, config: { size: 3, winLength: 3 }, moves: [0, 3, 1, 4, 2] });
+  saveGameRecord({ id: 'mock-game-2', players, config: { size: 3, winLength: 3 }, moves: [4] });
+
+  const page = await loadGamesPage({ playerId: 'a', result: 'win' });
+  expect(page.offline).toBe(true);
+  expect(page.games).toHaveLength(1);
+  expect(page.games[0]).toMatchObject({ id: 'mock-game-1', status: 'won', winner: 'X', moveCount: 5, source: 'local' });
+});
@@ -0,0 +1,98 @@
+//
+// Signed-in user session
+// - Tokens and the server-authored user ({ id, username, name, playerId }) are
+//   kept in localStorage so a reload stays signed in
+// - installAuth() plugs the session into the API client: requests carry the
+//   bearer token, a 401 refreshes it, and a failed refresh signs the user out
+// - Listeners are told about sign-in, refresh and sign-out
+//
+
+import { api, setAuthProvider } from '../api';
+import { readJson, writeJson } from '../offline';
+
+const SESSION_KEY = 'tictactoe.session.v1';
+
+const listeners = new Set();
+
+// PUBLIC_INTERFACE
+export function getSession() {
+  /** The current { accessToken, refreshToken, user } or null when signed out. */
+  const session = readJson(SESSION_KEY, null);
+  return session && session.accessToken && session.user ? session : null;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeSession(listener) {
+  /** Call `listener(session)` whenever the session changes; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// PUBLIC_INTERFACE
+export async function signIn(username, password) {
+  /** Sign in and store the session; rejects with AuthError on wrong credentials. */
+  return storeSession(await api.login(username.trim(), password));
+}
+
+// PUBLIC_INTERFACE
+export async function signUp(username, password, name) {
+  /** Create an account, sign in and store the session; rejects with ConflictError if the username is taken. */
+  return storeSession(await api.register(username.trim(), password, name ? name.trim() : ''));
+}
+
+// PUBLIC_INTERFACE
+export function signOut() {
+  /** Forget the session locally and revoke the refresh token on the server (best effort). */
+  const session = readJson(SESSION_KEY, null);
+  if (!session) return;
+  writeJson(SESSION_KEY, null);
+  notify();
+  if (session.refreshToken) api.logout(session.refreshToken).catch(() => {});
+}
+
+// PUBLIC_INTERFACE
+export async function refreshAccessToken() {
+  /** Swap the refresh token for new tokens; resolves false (and stays signed in) if there is none. */
+  const session = getSession();
+  if (!session || !session.refreshToken) return false;
+  storeSession(await api.refreshSession(session.refreshToken));
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function installAuth() {
+  /** Attach the session to every API request; returns a function that detaches it. */
+  return setAuthProvider({
+    getAccessToken: () => {
+      const session = getSession();
+      return session ? session.accessToken : null;
+    },
+    refresh: refreshAccessToken,
+    onAuthFailure: signOut,
+  });
+}
+
+function storeSession(payload) {
+  if (!payload || !payload.accessToken || !payload.user) {
+    throw new Error('The server did not return a session');
+  }
+  const session = {
+    accessToken: payload.accessToken,
+    refreshToken: payload.refreshToken || null,
+    user: payload.user,
+  };
+  writeJson(SESSION_KEY, session);
+  notify();
+  return session;
+}
+
+function notify() {
+  const session = getSession();
+  listeners.forEach((listener) => {
+    try {
+      listener(session);
+    } catch {
+      // a broken listener must not stop the others
+    }
+  });
+}
@@ -0,0 +1,58 @@
+import { api, AuthError, ForbiddenError } from '../api';
+import { createMockGameServer } from '../testUtils/mockGameServer';
+import { getSession, installAuth, signIn, signOut, signUp, subscribeSession } from './session';
+
+let server;
+let uninstall;
+
+beforeEach(() => {
+  window.localStorage.clear();
+  server = createMockGameServer({ requireAuth: true });
+  global.fetch = server.fetch;
+  uninstall = installAuth();
+});
+
+afterEach(() => {
+  uninstall();
+  delete global.fetch;
+});
+
+test('ties games and moves to the signed-in user', async () => {
+  await expect(api.createGame('player-a', 'player-b')).rejects.toBeInstanceOf(AuthError);
+
+  const session = await signUp('alice', 'secret', 'Alice');
+  expect(session.user).toMatchObject({ username: 'alice', name: 'Alice' });
+  const guest = await api.createPlayer('Guest');
+  const game = await api.createGame(session.user.playerId, guest.id);
+  expect(game).toMatchObject({ createdBy: session.user.id, playerXName: 'Alice' });
+  await expect(api.postMove(game.id, 4)).resolves.toMatchObject({ currentPlayer: 'O' });
+
+  // Bob may not play Alice's seat
+  signOut();
+  await signUp('bob', 'hunter2');
+  await api.postMove(game.id, 0);
+  await expect(api.postMove(game.id, 1)).rejects.toBeInstanceOf(ForbiddenError);
+});
+
+test('refreshes an expired token once and retries the request', async () => {
+  await signUp('alice', 'secret');
+  const before = getSession().accessToken;
+  server.expireAccessTokens();
+  const guest = await api.createPlayer('Guest');
+  await expect(api.createGame(getSession().user.playerId, guest.id)).resolves.toHaveProperty('id');
+  expect(getSession().accessToken).not.toBe(before);
+});
+
+test('signs out when the refresh fails', async () => {
+  await signUp('alice', 'secret');
+  const listener = jest.fn();
+  subscribeSession(listener);
+  server.expireAccessTokens();
+  server.revokeRefreshTokens();
+  await expect(api.undoMove('game-1')).rejects.toBeInstanceOf(AuthError);
+  expect(getSession()).toBeNull();
+  expect(listener).toHaveBeenLastCalledWith(null);
+
+  await expect(signIn('alice', 'wrong')).rejects.toBeInstanceOf(AuthError);
+  await expect(signIn('alice', 'secret')).resolves.toHaveProperty('accessToken');
+});
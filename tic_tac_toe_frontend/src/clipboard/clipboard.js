@@ -0,0 +1,16 @@
+//
+// Clipboard
+// - copyText() copies share links and join codes; the clipboard can be missing
+//   or refused (insecure origins, denied permission), in which case nothing
+//   happens: whatever was copied is always shown on screen or in the address bar
+//
+
+// PUBLIC_INTERFACE
+export function copyText(text) {
+  /** Copy `text` to the clipboard when it is available; failures are ignored. */
+  try {
+    if (navigator.clipboard) navigator.clipboard.writeText(text).catch(() => {});
+  } catch {
+    // no clipboard access
+  }
+}
@@ -0,0 +1,95 @@
+//
+// Time controls
+// - A time control is null (no limit) or one of:
+//     { type: 'move', moveSeconds, onTimeout }                      // fixed time for every move
+//     { type: 'total', baseSeconds, incrementSeconds, onTimeout }   // chess clock with increment
+//   where onTimeout is 'lose' (the player loses on time) or 'random' (a random
+//   move is played for them)
+// - Clocks are not stored anywhere: the time left is worked out from when the
+//   game started and the playedAt stamp of each move, so a reloaded or shared
+//   game shows the same clocks in every browser
+//
+
+// PUBLIC_INTERFACE
+export const TIME_CONTROLS = Object.freeze([
+  { id: 'none', label: 'No limit', timeControl: null },
+  { id: 'move-10', label: '10 s per move', timeControl: { type: 'move', moveSeconds: 10 } },
+  { id: 'move-30', label: '30 s per move', timeControl: { type: 'move', moveSeconds: 30 } },
+  { id: 'total-60+2', label: '1 min + 2 s', timeControl: { type: 'total', baseSeconds: 60, incrementSeconds: 2 } },
+  { id: 'total-180+0', label: '3 min', timeControl: { type: 'total', baseSeconds: 180, incrementSeconds: 0 } },
+  { id: 'total-300+5', label: '5 min + 5 s', timeControl: { type: 'total', baseSeconds: 300, incrementSeconds: 5 } },
+]);
+
+// PUBLIC_INTERFACE
+export const TIMEOUT_ACTIONS = Object.freeze(['lose', 'random']);
+
+// PUBLIC_INTERFACE
+export const TIMEOUT_ACTION_LABELS = Object.freeze({
+  lose: 'Lose the game',
+  random: 'Play a random move',
+});
+
+// PUBLIC_INTERFACE
+export function timeControlId(timeControl) {
+  /** ID of the TIME_CONTROLS preset matching `timeControl` ('none' for no limit), or null for a custom one. */
+  const preset = TIME_CONTROLS.find(
+    (p) =>
+      (p.timeControl === null && !timeControl) ||
+      (p.timeControl &&
+        timeControl &&
+        Object.keys(p.timeControl).every((key) => p.timeControl[key] === timeControl[key]))
+  );
+  return preset ? preset.id : null;
+}
+
+// PUBLIC_INTERFACE
+export function describeTimeControl(timeControl) {
+  /** Short label such as "30 s per move" or "5 min + 5 s". */
+  if (!timeControl) return 'No limit';
+  if (timeControl.type === 'move') return `${timeControl.moveSeconds} s per move`;
+  const base = timeControl.baseSeconds % 60 === 0 ? `${timeControl.baseSeconds / 60} min` : `${timeControl.baseSeconds} s`;
+  return timeControl.incrementSeconds ? `${base} + ${timeControl.incrementSeconds} s` : base;
+}
+
+// PUBLIC_INTERFACE
+export function clockTimes(timeControl, { startedAt, moves, currentPlayer }, now = Date.now()) {
+  /**
+   * Milliseconds left for { X, O } at `now` (never below 0), or null when the game
+   * is untimed or its start time is unknown. Only the player to move loses time
+   * after the last move; a move without a playedAt stamp counts as instant.
+   */
+  const start = Date.parse(startedAt);
+  if (!timeControl || Number.isNaN(start)) return null;
+  let turnStart = start;
+  const used = { X: 0, O: 0 };
+  const moveCount = { X: 0, O: 0 };
+  moves.forEach((m) => {
+    const at = m.playedAt ? Date.parse(m.playedAt) : turnStart;
+    used[m.player] += Math.max(0, at - turnStart);
+    moveCount[m.player] += 1;
+    turnStart = Math.max(turnStart, at);
+  });
+  const thinking = Math.max(0, now - turnStart);
+
+  if (timeControl.type === 'move') {
+    const limit = timeControl.moveSeconds * 1000;
+    return {
+      X: currentPlayer === 'X' ? Math.max(0, limit - thinking) : limit,
+      O: currentPlayer === 'O' ? Math.max(0, limit - thinking) : limit,
+    };
+  }
+  const left = (symbol) =>
+    timeControl.baseSeconds * 1000 +
+    moveCount[symbol] * (timeControl.incrementSeconds || 0) * 1000 -
+    used[symbol] -
+    (symbol === currentPlayer ? thinking : 0);
+  return { X: Math.max(0, left('X')), O: Math.max(0, left('O')) };
+}
+
+// PUBLIC_INTERFACE
+export function formatClock(ms) {
+  /** "m:ss" for a clock reading, with tenths ("0:09.4") in the last ten seconds. */
+  if (ms < 10000) return `0:0${(Math.floor(ms / 100) / 10).toFixed(1)}`;
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,35 @@
+import { clockTimes, describeTimeControl, formatClock, timeControlId } from './clock';
+
+const startedAt = '2024-03-05T10:00:00.000Z';
+const at = (seconds) => new Date(Date.parse(startedAt) + seconds * 1000).toISOString();
+const now = (seconds) => Date.parse(startedAt) + seconds * 1000;
+// X thinks 5 s, O 20 s, then X has been thinking for 3 s
+const game = {
+  startedAt,
+  moves: [
+    { player: 'X', position: 4, playedAt: at(5) },
+    { player: 'O', position: 0, playedAt: at(25) },
+  ],
+  currentPlayer: 'X',
+};
+
+test('runs a chess clock with increment for the player to move', () => {
+  const control = { type: 'total', baseSeconds: 60, incrementSeconds: 2 };
+  expect(clockTimes(control, game, now(28))).toEqual({ X: 54000, O: 42000 });
+  expect(clockTimes(control, game, now(200))).toEqual({ X: 0, O: 42000 });
+});
+
+test('gives every move the same limit', () => {
+  const control = { type: 'move', moveSeconds: 10 };
+  expect(clockTimes(control, game, now(28))).toEqual({ X: 7000, O: 10000 });
+  expect(clockTimes(null, game, now(28))).toBeNull();
+  expect(clockTimes(control, { ...game, startedAt: null }, now(28))).toBeNull();
+});
+
+test('formats and names time controls', () => {
+  expect(formatClock(125000)).toBe('2:05');
+  expect(formatClock(9430)).toBe('0:09.4');
+  expect(describeTimeControl({ type: 'total', baseSeconds: 300, incrementSeconds: 5 })).toBe('5 min + 5 s');
+  expect(timeControlId({ type: 'move', moveSeconds: 30, onTimeout: 'random' })).toBe('move-30');
+  expect(timeControlId(null)).toBe('none');
+});
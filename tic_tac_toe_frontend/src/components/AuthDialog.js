@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { AuthError, ConflictError, formatError } from '../api';
+import { signIn, signUp } from '../auth';
+import Modal from './Modal';
+
+/**
+ * PUBLIC_INTERFACE
+ * AuthDialog is the sign in / create account form opened from the Navbar.
+ * On success the session is stored (see auth/session) and onClose() is called.
+ * Escape or Cancel closes it without signing in.
+ */
+export default function AuthDialog({ onClose }) {
+  const [mode, setMode] = useState('signin');
+  const [form, setForm] = useState({ username: '', password: '', name: '' });
+  const [isBusy, setIsBusy] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const isSignUp = mode === 'signup';
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!form.username.trim() || !form.password) {
+      setFormError('Enter a username and password.');
+      return;
+    }
+    setIsBusy(true);
+    setFormError(null);
+    try {
+      if (isSignUp) await signUp(form.username, form.password, form.name);
+      else await signIn(form.username, form.password);
+      onClose();
+    } catch (err) {
+      setFormError(authErrorMessage(err, isSignUp));
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <Modal title={isSignUp ? 'Create account' : 'Sign in'} onClose={onClose}>
+      <form onSubmit={submit} className="auth-form">
+        <label className="meta player-field">
+          Username
+          <input
+            type="text"
+            value={form.username}
+            onChange={update('username')}
+            autoComplete="username"
+            maxLength={40}
+            disabled={isBusy}
+          />
+        </label>
+        <label className="meta player-field">
+          Password
+          <input
+            type="password"
+            value={form.password}
+            onChange={update('password')}
+            autoComplete={isSignUp ? 'new-password' : 'current-password'}
+            disabled={isBusy}
+          />
+        </label>
+        {isSignUp ? (
+          <label className="meta player-field">
+            Display name
+            <input
+              type="text"
+              value={form.name}
+              onChange={update('name')}
+              placeholder="Defaults to your username"
+              maxLength={40}
+              disabled={isBusy}
+            />
+          </label>
+        ) : null}
+
+        {formError ? (
+          <div className="meta form-error" role="alert">{formError}</div>
+        ) : null}
+
+        <div className="setup-actions">
+          <button
+            type="button"
+            className="btn btn-link"
+            onClick={() => {
+              setMode(isSignUp ? 'signin' : 'signup');
+              setFormError(null);
+            }}
+            disabled={isBusy}
+          >
+            {isSignUp ? 'I have an account' : 'Create an account'}
+          </button>
+          <button type="button" className="btn" onClick={onClose} disabled={isBusy}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={isBusy}>
+            {isSignUp ? 'Create account' : 'Sign in'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+function authErrorMessage(e, isSignUp) {
+  if (e instanceof AuthError) return 'Wrong username or password.';
+  if (e instanceof ConflictError && isSignUp) return 'That username is taken.';
+  return formatError(e) || 'Something went wrong.';
+}
@@ -0,0 +1,94 @@
+import React from 'react';
+import useRovingFocus from '../hooks/useRovingFocus';
+import Square from './Square';
+import WinStrike from './WinStrike';
+
+// Number keys laid out like a numeric keypad: 7 8 9 is the top row of a 3×3 board
+const NUMPAD_CELLS = Object.freeze({ 7: 0, 8: 1, 9: 2, 4: 3, 5: 4, 6: 5, 1: 6, 2: 7, 3: 8 });
+
+/**
+ * PUBLIC_INTERFACE
+ * BoardGrid renders an N×N board as an ARIA grid (rows of gridcells holding Square buttons).
+ * - One cell is in the tab order at a time (roving tabindex); arrow keys move between
+ *   cells, Home/End go to the start/end of the row and Ctrl+Home/End to the corners
+ * - On a 3×3 board the number keys 1-9 pick a cell in numeric keypad layout
+ *   (7 is the top-left cell, 3 the bottom-right)
+ * - Enter or Space plays the focused cell through onPlay(index); occupied cells (or
+ *   all of them when `disabled`) can be focused but not played
+ * - Changing `focusKey` (e.g. when a new game starts) moves focus to the top-left cell
+ * - `winningLine` (cells in order along the line) is highlighted and struck through;
+ *   `status` 'draw' plays the draw animation. New marks pop in. All of it is skipped
+ *   when the user prefers reduced motion (see theme.css).
+ * - `preview` is passed on to the empty cells (the mark picked on Wild, see Square)
+ */
+export default function BoardGrid({
+  board,
+  size,
+  label,
+  onPlay,
+  disabled = false,
+  winningLine = null,
+  status = 'in-progress',
+  focusKey = null,
+  preview,
+  className = '',
+}) {
+  const { activeCell, setActiveCell, focusCell, cellRef, onGridKeyDown } = useRovingFocus({
+    rows: size,
+    cols: size,
+    toGrid: (index) => ({ row: Math.floor(index / size), col: index % size }),
+    fromGrid: (row, col) => row * size + col,
+    cellCount: board.length,
+    focusKey,
+  });
+
+  const isPlayable = (index) => !disabled && !board[index] && typeof onPlay === 'function';
+
+  const onKeyDown = (e) => {
+    if (onGridKeyDown(e)) return;
+    if (size === 3 && !e.ctrlKey && !e.altKey && !e.metaKey && NUMPAD_CELLS[e.key] !== undefined) {
+      e.preventDefault();
+      const index = NUMPAD_CELLS[e.key];
+      focusCell(index);
+      if (isPlayable(index)) onPlay(index);
+    }
+  };
+
+  const rows = Array.from({ length: size }, (_, r) => board.slice(r * size, (r + 1) * size));
+  const winningCells = new Set(winningLine || []);
+
+  return (
+    <div
+      className={`board ${size > 5 ? 'board-large' : ''} ${status === 'draw' ? 'board-draw' : ''} ${className}`}
+      role="grid"
+      aria-label={label}
+      style={{ '--board-size': size }}
+      onKeyDown={onKeyDown}
+    >
+      {rows.map((cells, r) => (
+        <div key={r} className="board-row" role="row">
+          {cells.map((value, c) => {
+            const index = r * size + c;
+            return (
+              <div key={index} className="board-cell" role="gridcell">
+                <Square
+                  ref={cellRef(index)}
+                  index={index}
+                  size={size}
+                  value={value}
+                  onClick={() => onPlay(index)}
+                  disabled={!isPlayable(index)}
+                  highlighted={winningCells.has(index)}
+                  preview={preview}
+                  tabIndex={index === activeCell ? 0 : -1}
+                  onFocus={() => setActiveCell(index)}
+                />
+              </div>
+            );
+          })}
+        </div>
+      ))}
+      {winningLine ? <WinStrike line={winningLine} size={size} /> : null}
+    </div>
+  );
+}
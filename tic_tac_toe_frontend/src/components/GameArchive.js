@@ -0,0 +1,208 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { isCancelled } from '../api';
+import {
+  ARCHIVE_PAGE_SIZE,
+  gameResultText,
+  loadGamesPage,
+  RESULT_FILTER_LABELS,
+  RESULT_FILTERS,
+} from '../archive';
+import { useGameContext } from '../context';
+import { formatVariant } from '../engine';
+import useAbortSignal from '../hooks/useAbortSignal';
+import useSession from '../hooks/useSession';
+import { resolveId } from '../offline';
+import { loadHumanProfiles } from '../players';
+import { navigate, pathFor, ROUTES } from '../router';
+
+/**
+ * PUBLIC_INTERFACE
+ * GameArchive is the /history page listing past games one page at a time.
+ * - Filters by player (a signed-in user starts on "My games"), result and date range
+ * - Unfinished games can be resumed or watched as a spectator (/watch/:id); finished ones
+ *   open read-only or in the replay viewer (both by navigating to their /game/:id or
+ *   /replay/:id route)
+ * - Falls back to the games saved on this device while the backend is unreachable
+ */
+export default function GameArchive({ onClose }) {
+  const session = useSession();
+  const { openReplay } = useGameContext();
+  const accountPlayerId = session ? session.user.playerId : '';
+  const [filters, setFilters] = useState({ playerId: accountPlayerId, result: 'all', from: '', to: '', page: 1 });
+  const [state, setState] = useState({ loading: true, error: null, games: [], total: 0, offline: false });
+  const nextSignal = useAbortSignal();
+  const players = useMemo(() => playerOptions(accountPlayerId), [accountPlayerId]);
+
+  useEffect(() => {
+    const signal = nextSignal();
+    setState((s) => ({ ...s, loading: true, error: null }));
+    loadGamesPage(filters, { signal })
+      .then(({ games, total, offline }) => setState({ loading: false, error: null, games, total, offline }))
+      .catch((e) => {
+        if (isCancelled(e)) return;
+        setState({ loading: false, error: e, games: [], total: 0, offline: false });
+      });
+  }, [filters, nextSignal]);
+
+  // Any filter change starts over at the first page; win/loss only make sense for one player
+  const updateFilters = (patch) =>
+    setFilters((f) => {
+      const next = { ...f, ...patch, page: 1 };
+      if (!next.playerId && (next.result === 'win' || next.result === 'loss')) next.result = 'all';
+      return next;
+    });
+
+  // Finished games open read-only; others keep their own setting (imported games stay read-only)
+  const open = (game) =>
+    navigate(pathFor(ROUTES.GAME, { id: game.id }), { state: game.isFinished ? { readOnly: true } : null });
+
+  const pageCount = Math.max(1, Math.ceil(state.total / ARCHIVE_PAGE_SIZE));
+
+  return (
+    <section className="surface-card board-wrapper route-page" aria-labelledby="archive-title">
+      <div className="board-header replay-header">
+        <h2 id="archive-title" className="sidebar-title">
+          Past games
+        </h2>
+        <button type="button" className="btn btn-small" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="leaderboard-filters archive-filters">
+        <select
+          value={filters.playerId}
+          onChange={(e) => updateFilters({ playerId: e.target.value })}
+          aria-label="Player"
+        >
+          <option value="">Everyone</option>
+          {players.map((p) => (
+            <option key={p.id} value={p.id}>{p.label}</option>
+          ))}
+        </select>
+        <select value={filters.result} onChange={(e) => updateFilters({ result: e.target.value })} aria-label="Result">
+          {RESULT_FILTERS.map((r) => (
+            <option key={r} value={r} disabled={!filters.playerId && (r === 'win' || r === 'loss')}>
+              {RESULT_FILTER_LABELS[r]}
+            </option>
+          ))}
+        </select>
+        <label className="meta">
+          From{' '}
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => updateFilters({ from: e.target.value })}
+            aria-label="From date"
+          />
+        </label>
+        <label className="meta">
+          To{' '}
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => updateFilters({ to: e.target.value })}
+            aria-label="To date"
+          />
+        </label>
+      </div>
+
+      {state.offline ? (
+        <div className="meta" role="note">The server is unreachable; showing games saved on this device.</div>
+      ) : null}
+
+      {state.error ? (
+        <div className="meta form-error" role="alert">
+          Unable to load games. Try again later.
+        </div>
+      ) : state.games.length === 0 ? (
+        <div className="meta">{state.loading ? 'Loading games…' : 'No games match these filters.'}</div>
+      ) : (
+        <>
+          <table className="leaderboard-table archive-table" aria-label="Games" aria-busy={state.loading}>
+            <thead>
+              <tr>
+                <th scope="col">Players</th>
+                <th scope="col">Result</th>
+                <th scope="col">Board</th>
+                <th scope="col">Date</th>
+                <th scope="col">
+                  <span className="visually-hidden">Actions</span>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {state.games.map((game) => (
+                <tr key={game.id}>
+                  <td>
+                    {game.playerXName || 'X'} vs {game.playerOName || 'O'}
+                  </td>
+                  <td>{gameResultText(game)}</td>
+                  <td className="meta">
+                    {formatVariant(game)}
+                  </td>
+                  <td className="meta">{formatDate(game.playedAt)}</td>
+                  <td className="archive-actions">
+                    <button type="button" className="btn btn-small" onClick={() => open(game)}>
+                      {game.isFinished ? 'View' : 'Resume'}
+                    </button>
+                    {game.isFinished ? (
+                      <button type="button" className="btn btn-small" onClick={() => openReplay(game.id)}>
+                        Replay
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        className="btn btn-small"
+                        onClick={() => navigate(pathFor(ROUTES.WATCH, { id: game.id }))}
+                      >
+                        Watch
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="pagination" role="navigation" aria-label="Game pages">
+            <button
+              type="button"
+              className="btn btn-small"
+              onClick={() => setFilters((f) => ({ ...f, page: f.page - 1 }))}
+              disabled={filters.page <= 1 || state.loading}
+            >
+              Previous
+            </button>
+            <span className="meta">Page {filters.page} of {pageCount}</span>
+            <button
+              type="button"
+              className="btn btn-small"
+              onClick={() => setFilters((f) => ({ ...f, page: f.page + 1 }))}
+              disabled={filters.page >= pageCount || state.loading}
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+/** Player filter options: the signed-in account first, then remembered profiles. */
+function playerOptions(accountPlayerId) {
+  const options = accountPlayerId ? [{ id: accountPlayerId, label: 'My games' }] : [];
+  loadHumanProfiles().forEach((profile) => {
+    const id = profile.id ? resolveId(profile.id) : null;
+    if (id && !options.some((o) => o.id === id)) options.push({ id, label: profile.name });
+  });
+  return options;
+}
+
+function formatDate(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+}
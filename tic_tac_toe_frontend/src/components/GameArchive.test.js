@@ -0,0 +1,74 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { api } from '../api';
+import { GameProvider } from '../context';
+import { createMockGameServer } from '../testUtils/mockGameServer';
+import GameLayout from './GameLayout';
+
+let server;
+
+beforeEach(async () => {
+  window.localStorage.clear();
+  server = createMockGameServer();
+  global.fetch = server.fetch;
+  const [alice, bob] = await Promise.all(['Alice', 'Bob'].map((name) => api.createPlayer(name)));
+  // A finished game (X takes the top row) and one still in progress
+  const finished = await api.createGame(alice.id, bob.id);
+  for (const position of [0, 3, 1, 4, 2]) await api.postMove(finished.id, position);
+  const ongoing = await api.createGame(bob.id, alice.id);
+  await api.postMove(ongoing.id, 4);
+});
+
+afterEach(() => {
+  delete global.fetch;
+  window.history.replaceState(null, '', '/');
+});
+
+function renderArchive() {
+  window.history.replaceState(null, '', '/history');
+  render(<GameLayout />, { wrapper: GameProvider });
+}
+
+const goBack = async () => {
+  window.history.back();
+  await waitFor(() => expect(window.location.pathname).toBe('/history'));
+};
+
+const board = () => within(screen.getByLabelText('Tic Tac Toe board area'));
+const rows = () => within(screen.getByRole('table', { name: 'Games' })).getAllByRole('row').slice(1);
+
+test('filters games by result', async () => {
+  renderArchive();
+  await waitFor(() => expect(rows()).toHaveLength(2));
+
+  fireEvent.change(screen.getByLabelText('Result'), { target: { value: 'ongoing' } });
+  await waitFor(() => expect(rows()).toHaveLength(1));
+  expect(rows()[0]).toHaveTextContent('Bob vs Alice');
+  expect(rows()[0]).toHaveTextContent('In progress');
+});
+
+test('opens a finished game read-only and resumes an unfinished one', async () => {
+  renderArchive();
+  await waitFor(() => expect(rows()).toHaveLength(2));
+
+  const finishedRow = rows().find((row) => row.textContent.includes('Alice won'));
+  fireEvent.click(within(finishedRow).getByRole('button', { name: 'View' }));
+  const [finishedId] = [...server.games].find(([, g]) => g.state.status === 'won');
+  expect(window.location.pathname).toBe(`/game/${finishedId}`);
+  await waitFor(() => expect(board().getByRole('note')).toHaveTextContent('Read-only'));
+  expect(board().getByRole('status')).toHaveTextContent('Winner: Alice (X)');
+
+  // Browsing a read-only game leaves the server copy alone
+  const before = [...server.games.values()].map((g) => g.state.moves.length);
+  fireEvent.click(screen.getByRole('button', { name: 'Undo move' }));
+  await waitFor(() => expect(screen.getByLabelText('Row 1, column 3, empty')).toHaveAttribute('aria-disabled', 'true'));
+  expect([...server.games.values()].map((g) => g.state.moves.length)).toEqual(before);
+
+  await goBack();
+  const ongoingRow = rows().find((row) => row.textContent.includes('In progress'));
+  fireEvent.click(within(ongoingRow).getByRole('button', { name: 'Resume' }));
+  await waitFor(() => expect(board().getByRole('status')).toHaveTextContent('Turn: Alice (O)'));
+  expect(board().queryByRole('note')).not.toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('Row 1, column 1, empty'));
+  await waitFor(() => expect(screen.getByLabelText('Row 1, column 1, contains O')).toBeInTheDocument());
+});
@@ -1,274 +1,846 @@
-import React, { useCallback, useEffect, useMemo, useState } from 'react';
-import { api } from '../api';
-import Square from './Square';
+import React, { useEffect, useRef, useState } from 'react';
+import { api, CHANNEL_STATUS_LABELS, formatError, isCancelled, NotFoundError } from '../api';
+import { chooseComputerPlay, DIFFICULTY_LABELS } from '../ai';
+import { copyText } from '../clipboard';
+import { clockTimes, describeTimeControl, formatClock } from '../clock';
+import {
+  applyMove,
+  createGame,
+  formatPosition,
+  formatVariant,
+  fromSnapshot,
+  gameConfigOf,
+  isGameOver,
+  isQubic,
+  loseOnTime,
+  QUBIC_SIZE,
+  syncWithSnapshot,
+  toBoardCell,
+  toLayerRowCol,
+  usesSmallBoards,
+} from '../engine';
+import {
+  createLocalId,
+  enqueue,
+  hasPendingFor,
+  isLocalId,
+  isRetryableError,
+  loadActiveGameRecord,
+  loadGameRecord,
+  renameGameRecord,
+  resolveId,
+  saveGameRecord,
+} from '../offline';
+import { ensurePlayer, playerLabel } from '../players';
+import { formatRatingDelta, getRatingChange, recordGameResult } from '../ratings';
+import { buildFrames, loadReplay } from '../replay';
+import { getRoute, linkFor, pathFor, ROUTES } from '../router';
+import {
+  loadTournament,
+  matchStatus,
+  nextGameSides,
+  recordTournamentGame,
+  saveTournament,
+  startMatchGame,
+} from '../tournament';
+import { GAME_COMMANDS, useGameCommand, useGameContext } from '../context';
+import useAbortSignal from '../hooks/useAbortSignal';
+import useGameChannel from '../hooks/useGameChannel';
+import useNow from '../hooks/useNow';
+import useSession from '../hooks/useSession';
+import useSyncStatus from '../hooks/useSyncStatus';
+import BoardGrid from './BoardGrid';
+import GameExportButtons from './GameExportButtons';
 import MoveList from './MoveList';
+import MultiBoard from './MultiBoard';
+import PlayerSetup, { DEFAULT_MODE } from './PlayerSetup';
+import QubicBoard from './QubicBoard';
+import SymbolPicker from './SymbolPicker';
+
+// Short pause before the computer replies so its move is perceivable
+const COMPUTER_MOVE_DELAY_MS = 350;
 
 /**
  * PUBLIC_INTERFACE
- * GameBoard is the interactive 3x3 gameplay component.
- * - Creates players and starts a new game via API client (with graceful mock fallback)
- * - Allows making moves, updating local state for board, current player, and status
+ * GameBoard is the interactive N×N (K-in-a-row) gameplay component, a thin view over the game engine.
+ * - Opens with a setup screen where players enter or pick their names; profiles are
+ *   remembered locally and reused, then the game is created via the API client
+ *   (with graceful mock fallback)
+ * - Validates and applies moves through the engine, reconciling server responses
  * - Disables invalid moves
- * - Shows turn indicator and win/draw banner
+ * - Keyboard and screen-reader friendly (see BoardGrid): moves, the result and the
+ *   winning line are announced, and focus returns to the board when a game starts
+ * - Shows turn indicator and win/draw banner; the winning line is highlighted and struck through
  * - Provides Reset/New Game action
+ * - Supports a "vs Computer" mode where the AI plays X or O at a chosen difficulty
+ * - Supports 3×3 up to 15×15 boards with a configurable number of marks in a row,
+ *   Ultimate (nine small boards, see MultiBoard) and the rule variants Misère
+ *   (completing a line loses), Wild (the mark to place is picked with SymbolPicker)
+ *   and Notakto (X only on one to three boards; killing the last board loses), and
+ *   Qubic (four in a row on a 4×4×4 cube, see QubicBoard)
+ * - Undo/redo and time travel through the move history; playing from a past
+ *   position starts a new branch. The backend game is kept at the shown position.
+ * - Online mode: two browsers share a backend game via a join link/code and see
+ *   each other's moves in realtime; each may only move on its own turn. A spectator
+ *   link (/watch/<gameId>) lets others follow the game read-only (see SpectatorView).
+ * - Offline-first: the game is saved locally and restored on reload; API calls
+ *   that fail while the backend is down are queued and replayed once it is back.
+ * - Finished games are rated (Elo) and the rating change is shown under the result
+ * - Optional time controls (a limit per move, or a chess clock with increment): clocks
+ *   run beside the turn indicator, and a player out of time loses or gets a random
+ *   move; timed games can't be taken back. Every move is stamped with its time.
+ * - Past games can be opened from the archive: unfinished ones are resumed,
+ *   finished ones are shown read-only (their history can be browsed, not changed)
+ * - The game can be exported as a JSON or text game file, and an imported
+ *   unfinished game can be continued from its last position
+ * - Tournament matches (see src/tournament) are played here as two-player games between
+ *   the entered players; each finished game is recorded in its tournament
+ * - Publishes the active game to the shared GameContext and handles its
+ *   new-game, join, open-game, continue-game, play-match and jump-to-move commands.
  */
 export default function GameBoard() {
-  // Core game state
-  const [board, setBoard] = useState(Array(9).fill(null)); // ['X','O',...]
-  const [currentPlayer, setCurrentPlayer] = useState('X');
-  const [status, setStatus] = useState({ state: 'idle', winner: null }); // idle|in-progress|won|draw
+  // Core game state: every engine state reached so far (board, currentPlayer, moves,
+  // status, winner) and the cursor of the one on screen. states[n] is after n moves.
+  const [timeline, setTimeline] = useState(() => ({ states: [createGame()], cursor: 0 }));
+  const game = timeline.states[timeline.cursor];
+  const latestCursor = timeline.states.length - 1;
   const [gameId, setGameId] = useState(null);
+  // Player objects ({ id, name }) in the current game, and the human names last entered
   const [players, setPlayers] = useState({ X: null, O: null });
+  const [names, setNames] = useState({ X: '', O: '' });
+  const [showSetup, setShowSetup] = useState(true);
+  // Game settings: opponent is 'human' (shared device), 'computer' playing computerSymbol
+  // or 'online' (remote player); size/winLength describe the N×N board and K-in-a-row rule,
+  // variant the rule set (see GAME_VARIANTS) and boards Notakto's number of boards
+  const [mode, setMode] = useState(DEFAULT_MODE);
+  // Mark picked for the next move of a Wild game; null places the player's own
+  const [wildMark, setWildMark] = useState(null);
 
-  // Moves for MoveList
-  const [moves, setMoves] = useState([]);
+  // Symbol this browser plays in an online game ('X' host, 'O' guest); null when local
+  const [seat, setSeat] = useState(null);
+  // A finished game opened from the archive: browsing its moves never touches the backend
+  const [readOnly, setReadOnly] = useState(false);
+  // When the game started and finished (ISO strings or null), written into exported game files
+  const [times, setTimes] = useState({ startedAt: null, finishedAt: null });
 
   // Loading + error - local, simple flags
   const [isBusy, setIsBusy] = useState(false);
   const [error, setError] = useState(null);
+  // The signed-in account, if any, plays its own server-side player
+  const session = useSession();
+  // Aborts a pending join lookup when another starts or the board unmounts
+  const nextSignal = useAbortSignal();
+  // Rating change of the finished game ({ gameId, change }); the server's, if it sent one
+  const [ratingChange, setRatingChange] = useState(null);
+  const serverRatingsRef = useRef(null);
+  // Screen-reader announcement of the latest change on the board, and a counter that
+  // moves keyboard focus onto the board whenever a game is (re)started
+  const [announcement, setAnnouncement] = useState('');
+  const [boardFocusKey, setBoardFocusKey] = useState(null);
 
-  // Helpers to evaluate game state locally in case backend isn't ready or to optimistically update
-  const winningLines = useMemo(
-    () => [
-      [0, 1, 2],
-      [3, 4, 5],
-      [6, 7, 8],
-      [0, 3, 6],
-      [1, 4, 7],
-      [2, 5, 8],
-      [0, 4, 8],
-      [2, 4, 6],
-    ],
-    []
-  );
+  // PUBLIC_INTERFACE
+  async function safeCreatePlayer(name, kind) {
+    /** Reuse the stored profile for `name` or create the player via API (a queued mock while offline). */
+    return ensurePlayer(name, { kind });
+  }
 
-  const checkWinner = useCallback(
-    (b) => {
-      for (const [a, c, d] of winningLines) {
-        if (b[a] && b[a] === b[c] && b[a] === b[d]) {
-          return b[a];
-        }
-      }
-      if (b.every((v) => v === 'X' || v === 'O')) return 'draw';
-      return null;
-    },
-    [winningLines]
-  );
+  // PUBLIC_INTERFACE
+  async function safeCreateGame(xId, oId, config, timeControl = null) {
+    /** Attempt to create game using API and fallback to a queued local game if failed. */
+    const options = {
+      boardSize: config.size,
+      winLength: config.winLength,
+      mode: config.variant,
+      boards: config.boards,
+      timeControl: timeControl || undefined,
+    };
+    const localGame = (queue) => {
+      const id = createLocalId('game');
+      if (queue) enqueue({ type: 'createGame', localId: id, playerXId: xId, playerOId: oId, options });
+      return { id, ...createGame(config) };
+    };
+    // Players that only exist locally can't be used for a server game until synced
+    if (isLocalId(xId) || isLocalId(oId)) return localGame(true);
+    try {
+      const g = await api.createGame(xId, oId, options);
+      return g;
+    } catch (e) {
+      return localGame(isRetryableError(e));
+    }
+  }
 
   // PUBLIC_INTERFACE
-  async function safeCreatePlayer(name) {
-    /** Attempt to create player using API and fallback to mock if failed. */
+  async function safePostMove(gId, position, mark) {
+    /**
+     * Validate the move (with the mark placed, on Wild) with the engine, post it with the
+     * time it was made, and return the next engine state.
+     * Server responses are reconciled through the engine; if the backend is
+     * unavailable the locally computed state is used as-is, except in online
+     * games where the server is the source of truth and the error is rethrown.
+     * Throws IllegalMoveError for moves the rules reject.
+     */
+    const playedAt = new Date().toISOString();
+    const local = applyMove(game, position, { playedAt, mark });
+    const target = moveTarget(game, position);
+    // Keep order behind moves still waiting in the sync queue
+    if (!seat && (isLocalId(gId) || hasPendingFor(gId))) {
+      enqueue({ type: 'postMove', gameId: gId, position: target, mark, playedAt });
+      return local;
+    }
     try {
-      const p = await api.createPlayer(name);
-      return p;
+      const updated = await api.postMove(gId, target, { playedAt, mark });
+      serverRatingsRef.current = updated ? updated.ratingChanges : null;
+      return fromSnapshot({ moves: local.moves, ...updated }, local);
     } catch (e) {
-      // Mock fallback
-      return { id: `mock-${name}-${Math.random().toString(36).slice(2, 8)}`, name };
+      if (seat) throw e;
+      if (isRetryableError(e)) enqueue({ type: 'postMove', gameId: gId, position: target, mark, playedAt });
+      return local;
     }
   }
 
   // PUBLIC_INTERFACE
-  async function safeCreateGame(xId, oId) {
-    /** Attempt to create game using API and fallback to mock if failed. */
+  async function safeUndoMove(gId, count) {
+    /** Ask the backend to take back `count` moves; the local timeline stays authoritative if it can't. */
+    if (isLocalId(gId) || hasPendingFor(gId)) {
+      enqueue({ type: 'undoMove', gameId: gId, count });
+      return;
+    }
     try {
-      const g = await api.createGame(xId, oId);
-      return g;
+      await api.undoMove(gId, count);
     } catch (e) {
-      return {
-        id: `mock-game-${Math.random().toString(36).slice(2, 8)}`,
-        board: Array(9).fill(null),
-        currentPlayer: 'X',
-        status: 'in-progress',
-      };
+      // Server unavailable: queue the undo; rejected undos are handled locally only
+      if (isRetryableError(e)) enqueue({ type: 'undoMove', gameId: gId, count });
     }
   }
 
   // PUBLIC_INTERFACE
-  async function safePostMove(gId, position) {
-    /** Attempt to post a move and return updated game state; fallback to local compute. */
+  async function safeForfeitOnTime(gId, player) {
+    /**
+     * Tell the backend `player` lost on time, like a finishing move: queued while the game
+     * is only on this device or the backend is down; a rejection (e.g. the other browser of
+     * an online game reported it first) leaves the local result as it is.
+     */
+    if (isLocalId(gId) || hasPendingFor(gId)) {
+      enqueue({ type: 'forfeitOnTime', gameId: gId, player });
+      return;
+    }
     try {
-      const updated = await api.postMove(gId, position);
-      return updated;
+      await api.forfeitOnTime(gId, player);
     } catch (e) {
-      // compute locally
-      const nextBoard = [...board];
-      if (nextBoard[position]) {
-        return {
-          id: gId,
-          board: nextBoard,
-          currentPlayer,
-          status: status.state,
-        };
-      }
-      nextBoard[position] = currentPlayer;
-      const outcome = checkWinner(nextBoard);
-      let newStatus = 'in-progress';
-      let winner = null;
-      if (outcome === 'draw') newStatus = 'draw';
-      else if (outcome === 'X' || outcome === 'O') {
-        newStatus = 'won';
-        winner = outcome;
-      }
-      return {
-        id: gId,
-        board: nextBoard,
-        currentPlayer: winner || newStatus === 'draw' ? currentPlayer : currentPlayer === 'X' ? 'O' : 'X',
-        status: newStatus,
-        winner,
-      };
+      if (isRetryableError(e)) enqueue({ type: 'forfeitOnTime', gameId: gId, player });
     }
   }
 
-  // Start a new game on mount
-  useEffect(() => {
-    let mounted = true;
-    async function init() {
-      setIsBusy(true);
-      setError(null);
+  // PUBLIC_INTERFACE
+  async function safeReplayMoves(gId, config, plays) {
+    /**
+     * Re-post moves ({ position, mark? }) on redo/forward time travel or when continuing an
+     * imported game; `config` is the rules of game `gId`, which need not be the one on screen.
+     * Failures fall back to local state like safePostMove.
+     */
+    const queueFrom = (i) =>
+      plays.slice(i).forEach(({ position, mark }) =>
+        enqueue({ type: 'postMove', gameId: gId, position: moveTarget(config, position), mark })
+      );
+    for (let i = 0; i < plays.length; i += 1) {
+      if (isLocalId(gId) || hasPendingFor(gId)) {
+        queueFrom(i);
+        return;
+      }
       try {
-        const px = await safeCreatePlayer('Player X');
-        const po = await safeCreatePlayer('Player O');
-        if (!mounted) return;
-        setPlayers({ X: px, O: po });
-
-        const g = await safeCreateGame(px.id, po.id);
-        if (!mounted) return;
-
-        setGameId(g.id);
-        setBoard(g.board || Array(9).fill(null));
-        setCurrentPlayer(g.currentPlayer || 'X');
-        setStatus({ state: g.status || 'in-progress', winner: g.winner || null });
-        setMoves([]);
-        // Notify sidebar about the active game change
-        try {
-          const evt = new CustomEvent('active-game-changed', { detail: { gameId: g.id } });
-          window.dispatchEvent(evt);
-        } catch {
-          // ignore if CustomEvent is not available
-        }
+        await api.postMove(gId, moveTarget(config, plays[i].position), { mark: plays[i].mark });
       } catch (e) {
-        if (!mounted) return;
-        setError(e);
-      } finally {
-        if (mounted) setIsBusy(false);
+        if (!isRetryableError(e)) return;
+        queueFrom(i);
+        return;
       }
     }
-    init();
-    return () => {
-      mounted = false;
-    };
+  }
+
+  /** Apply a freshly created or joined (server or mock) game. */
+  function startFromServerGame(g, config, gamePlayers) {
+    const next = syncWithSnapshot(createGame(config), g);
+    setGameId(g.id);
+    setPlayers(gamePlayers);
+    setReadOnly(false);
+    setTimes({ startedAt: g.createdAt || new Date().toISOString(), finishedAt: null });
+    setTimeline({ states: [next], cursor: 0 });
+    setShowSetup(false);
+  }
+
+  /** Bring back a game saved in local storage (e.g. after a reload). Returns false if unusable. */
+  function restoreGameRecord(record) {
+    let state;
+    const states = [];
+    try {
+      state = createGame(record.config);
+      states.push(state);
+      record.moves.forEach((position, i) => {
+        state = applyMove(state, position, {
+          playedAt: record.moveTimes ? record.moveTimes[i] : null,
+          mark: record.moveMarks ? record.moveMarks[i] : null,
+        });
+        states.push(state);
+      });
+      if (record.timedOut) states[states.length - 1] = loseOnTime(state, record.timedOut);
+    } catch (e) {
+      return false;
+    }
+    const restoredPlayers = record.players || { X: null, O: null };
+    setMode((m) => ({ ...m, ...record.mode }));
+    setNames((n) => ({ ...n, ...record.names }));
+    setPlayers(restoredPlayers);
+    setSeat(record.seat || null);
+    setReadOnly(Boolean(record.readOnly));
+    setTimes({ startedAt: record.startedAt || null, finishedAt: record.finishedAt || null });
+    setGameId(record.id);
+    setTimeline({ states, cursor: Math.min(record.cursor ?? states.length - 1, states.length - 1) });
+    setShowSetup(false);
+    return true;
+  }
+
+  // On mount: restore the last saved game, otherwise the setup screen is shown.
+  // A /game/:id or /join/:id link is opened by GameLayout instead.
+  useEffect(() => {
+    const { name } = getRoute();
+    if (name === ROUTES.GAME || name === ROUTES.JOIN) return;
+    const saved = loadActiveGameRecord();
+    if (saved) restoreGameRecord(saved);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const handleSquareClick = async (index) => {
-    if (isBusy) return;
-    if (status.state === 'won' || status.state === 'draw') return;
-    if (board[index]) return;
+  // Save the game locally after every change so a reload doesn't lose it
+  useEffect(() => {
+    if (!gameId) return;
+    const latest = timeline.states[timeline.states.length - 1];
+    saveGameRecord({
+      id: gameId,
+      mode,
+      names,
+      players,
+      seat,
+      config: gameConfigOf(latest),
+      moves: latest.moves.map((m) => m.position),
+      moveTimes: latest.moves.map((m) => m.playedAt || null),
+      moveMarks: latest.moves.map((m) => m.mark || null),
+      timedOut: latest.timedOut || null,
+      cursor: timeline.cursor,
+      readOnly,
+      startedAt: times.startedAt,
+      finishedAt: times.finishedAt,
+    });
+  }, [gameId, timeline, mode, names, players, seat, readOnly, times]);
+
+  // Note when the line of play ends, and forget it again if the last moves are taken back
+  const finalState = timeline.states[timeline.states.length - 1];
+  useEffect(() => {
+    if (!gameId || readOnly) return;
+    const over = isGameOver(finalState);
+    setTimes((t) =>
+      over === Boolean(t.finishedAt) ? t : { ...t, finishedAt: over ? new Date().toISOString() : null }
+    );
+  }, [gameId, finalState, readOnly]);
+
+  // Rate each finished game once (locally unless the server sent ratings) for the result banner
+  useEffect(() => {
+    if (!gameId || !isGameOver(finalState)) return;
+    // A game opened read-only was rated (if ever) where it was played
+    if (readOnly) {
+      const recorded = getRatingChange(gameId);
+      setRatingChange(recorded ? { gameId, change: recorded } : null);
+      return;
+    }
+    const change = recordGameResult(
+      {
+        gameId,
+        playerXId: players.X?.id,
+        playerOId: players.O?.id,
+        status: finalState.status,
+        winner: finalState.winner,
+      },
+      serverRatingsRef.current
+    );
+    setRatingChange(change ? { gameId, change } : null);
+  }, [gameId, finalState, players, readOnly]);
+
+  // A finished tournament game decides (or, drawn in a knockout, replays) its match; being
+  // finished it is review-only from then on, so the recorded result can't go stale
+  useEffect(() => {
+    if (!gameId || readOnly || !isGameOver(finalState)) return;
+    recordTournamentGame(gameId, finalState);
+  }, [gameId, finalState, readOnly]);
+
+  // Announce every new position: each move (the computer's or online opponent's too),
+  // undo/redo, the winning line or a draw
+  useEffect(() => {
+    if (!gameId) return;
+    setAnnouncement(announcementFor(game, { X: players.X?.name, O: players.O?.name }));
+  }, [gameId, game, players]);
+
+  // Once the sync queue has created a local game on the server, switch to its real ID
+  const syncState = useSyncStatus();
+  useEffect(() => {
+    if (!isLocalId(gameId)) return;
+    const realId = resolveId(gameId);
+    if (realId === gameId) return;
+    renameGameRecord(gameId, realId);
+    setGameId(realId);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncState, gameId]);
+
+  // Follow the shared game while playing online
+  const channelStatus = useGameChannel(seat ? gameId : null, (serverGame) => {
+    serverRatingsRef.current = serverGame.ratingChanges || null;
+    setTimeline((t) => {
+      const latest = t.states[t.states.length - 1];
+      const next = syncWithSnapshot(latest, serverGame);
+      // Nothing new unless a mark or the result changed (a loss on time moves no mark)
+      const unchanged =
+        next.status === latest.status &&
+        next.winner === latest.winner &&
+        next.board.every((v, i) => v === latest.board[i]);
+      if (unchanged) return t;
+      return { states: [...t.states, next], cursor: t.states.length };
+    });
+  });
+
+  const isComputerSide = (state) =>
+    mode.opponent === 'computer' && !isGameOver(state) && state.currentPlayer === mode.computerSymbol;
+  const isComputerTurn = isComputerSide(game);
+  // While inspecting an earlier position the computer waits; a human move there branches
+  const isViewingPast = timeline.cursor < latestCursor;
+
+  // Timed games run a clock for the player to move; a finished one stops at its last reading
+  const timeControl = readOnly ? null : mode.timeControl || null;
+  const clockRunning = Boolean(timeControl && gameId) && !showSetup && !isGameOver(finalState);
+  const now = useNow(clockRunning);
+  const clocks = timeControl
+    ? clockTimes(
+        timeControl,
+        { startedAt: times.startedAt, moves: finalState.moves, currentPlayer: finalState.currentPlayer },
+        clockRunning ? now : Date.parse(times.finishedAt) || now
+      )
+    : null;
+  // A timed game can't be taken back, and nor can any finished one, whose result has been
+  // rated: once over, a game's moves can only be reviewed
+  const reviewOnly = readOnly || isGameOver(finalState);
+  const canTravel = !seat && (!timeControl || reviewOnly);
+
+  // Share the game with the Sidebar and Navbar after every change
+  const { publishGame } = useGameContext();
+  useEffect(() => {
+    if (!gameId) return;
+    const latest = timeline.states[timeline.states.length - 1];
+    const shown = timeline.states[timeline.cursor];
+    publishGame({
+      gameId,
+      ...gameConfigOf(latest),
+      moves: latest.moves,
+      cursor: timeline.cursor,
+      status: shown.status,
+      winner: shown.winner,
+      playerNames: { X: players.X?.name || null, O: players.O?.name || null },
+      mode,
+      names,
+      seat,
+      canTravel,
+      startedAt: times.startedAt,
+      finishedAt: times.finishedAt,
+    });
+  }, [gameId, timeline, players, mode, names, seat, canTravel, times, publishGame]);
+
+  // Shared by human clicks and computer replies so both are posted and recorded identically
+  const playMove = async (index, mark) => {
+    if (isBusy || !gameId) return;
+
+    setIsBusy(true);
+    setError(null);
+    try {
+      const next = await safePostMove(gameId, index, mark);
+      // Each Wild turn starts from the player's own mark again
+      setWildMark(null);
+      // Moves after the cursor are discarded: playing from the past starts a new branch
+      setTimeline((t) => {
+        // An online push may already have delivered this move
+        if (t.states[t.cursor].moves.length >= next.moves.length) return t;
+        return { states: [...t.states.slice(0, t.cursor + 1), next], cursor: t.cursor + 1 };
+      });
+    } catch (e) {
+      setError(e);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const isOpponentsTurn = Boolean(seat) && game.currentPlayer !== seat;
+
+  const handleSquareClick = (index) => {
+    if (isComputerTurn || isOpponentsTurn) return;
+    playMove(index, game.variant === 'wild' ? wildMark ?? game.currentPlayer : undefined);
+  };
+
+  // Move the board to timeline position `target`, keeping the backend game in step
+  const travelTo = async (target) => {
+    if (isBusy || !gameId) return;
+    if (target < 0 || target > latestCursor || target === timeline.cursor) return;
+
+    if (reviewOnly) {
+      setTimeline((t) => ({ ...t, cursor: target }));
+      return;
+    }
 
     setIsBusy(true);
     setError(null);
     try {
-      const updated = await safePostMove(gameId, index);
-
-      // If backend returns canonical shape, prefer it; otherwise rely on fallback shape
-      const nextBoard = updated.board || board;
-      const nextStatus = updated.status || 'in-progress';
-      const nextWinner = updated.winner || null;
-
-      // If backend didn't send next player, compute it locally
-      let nextPlayer = updated.currentPlayer;
-      if (!nextPlayer) {
-        if (nextStatus === 'in-progress') {
-          nextPlayer = currentPlayer === 'X' ? 'O' : 'X';
-        } else {
-          nextPlayer = currentPlayer;
-        }
+      if (target < timeline.cursor) {
+        await safeUndoMove(gameId, timeline.cursor - target);
+      } else {
+        await safeReplayMoves(gameId, gameConfigOf(game), timeline.states[target].moves.slice(timeline.cursor));
       }
+      setTimeline((t) => ({ ...t, cursor: target }));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Against the computer, undo/redo skip over its moves so it is the human's turn again
+  const stepTarget = (direction) => {
+    let target = timeline.cursor + direction;
+    if (target > 0 && target < latestCursor && isComputerSide(timeline.states[target])) {
+      target += direction;
+    }
+    return target;
+  };
+  // Online games follow the server, so history can't be rewritten locally
+  const canUndo = canTravel && timeline.cursor > 0;
+  const canRedo = canTravel && timeline.cursor < latestCursor;
+
+  // Commands from the Navbar and Sidebar arrive through the shared game context
+  useGameCommand(GAME_COMMANDS.JUMP_TO_MOVE, ({ gameId: target, moveNumber }) => {
+    if (canTravel && target === gameId) travelTo(moveNumber);
+  });
+  useGameCommand(GAME_COMMANDS.NEW_GAME, ({ mode: nextMode, names: nextNames }) => startGame(nextMode, nextNames));
+  useGameCommand(GAME_COMMANDS.JOIN_GAME, ({ code }) => joinGame(code));
+  useGameCommand(GAME_COMMANDS.OPEN_GAME, ({ gameId: target, readOnly: asReadOnly }) => openGame(target, asReadOnly));
+  useGameCommand(GAME_COMMANDS.CONTINUE_GAME, ({ game: imported }) => continueFrom(imported));
+  useGameCommand(GAME_COMMANDS.PLAY_MATCH, ({ tournamentId, matchId }) => playMatch(tournamentId, matchId));
+
+  // Let the computer reply whenever it is its turn
+  useEffect(() => {
+    if (!isComputerTurn || isViewingPast || isBusy || !gameId || reviewOnly) return undefined;
+    const timer = setTimeout(() => {
+      const play = chooseComputerPlay(game, mode.difficulty);
+      if (play) playMove(play.position, play.mark);
+    }, COMPUTER_MOVE_DELAY_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isComputerTurn, isViewingPast, isBusy, gameId, game, mode, reviewOnly]);
 
-      setBoard(nextBoard);
-      setCurrentPlayer(nextPlayer);
-      setStatus({ state: nextStatus, winner: nextWinner });
+  // When the player to move runs out of time they lose (sent to the backend like a move),
+  // or a random move is played for them; online, only the browser whose turn it is plays that move
+  const outOfTime = clockRunning && clocks !== null && clocks[finalState.currentPlayer] === 0;
+  useEffect(() => {
+    if (!outOfTime || isBusy) return;
+    if (timeControl.onTimeout === 'random') {
+      if (seat && finalState.currentPlayer !== seat) return;
+      const play = chooseComputerPlay(finalState, 'easy');
+      if (play) playMove(play.position, play.mark);
+      return;
+    }
+    setTimeline((t) => {
+      const last = t.states[t.states.length - 1];
+      if (isGameOver(last)) return t;
+      return { states: [...t.states.slice(0, -1), loseOnTime(last)], cursor: t.states.length - 1 };
+    });
+    if (!readOnly) safeForfeitOnTime(gameId, finalState.currentPlayer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [outOfTime, isBusy]);
 
-      // Update local move list
-      setMoves((prev) => [
-        ...prev,
-        { moveNumber: prev.length + 1, player: currentPlayer, position: index },
-      ]);
+  // Start a game with the given settings and human names (from the setup screen or Reset)
+  const startGame = async (nextMode, nextNames) => {
+    if (isBusy) return;
+    setMode(nextMode);
+    setNames((n) => ({ ...n, ...nextNames }));
+    setIsBusy(true);
+    setError(null);
+    try {
+      // Players are resolved through stored profiles, so the same names reuse the same players
+      const gameNames = playerNamesFor(nextMode, nextNames);
+      const ownSeat = session ? accountSeatFor(nextMode) : null;
+      const playerFor = (symbol) =>
+        symbol === ownSeat
+          ? { id: session.user.playerId, name: session.user.name }
+          : safeCreatePlayer(gameNames[symbol], isComputerSymbol(nextMode, symbol) ? 'computer' : 'human');
+      let px;
+      let po;
+      try {
+        px = await playerFor('X');
+        po = await playerFor('O');
+      } catch (e) {
+        // The backend rejected a player (e.g. its name): stay on the setup screen to fix it
+        setError(e);
+        return;
+      }
+
+      const g = await safeCreateGame(px.id, po.id, boardConfigOf(nextMode), nextMode.timeControl);
+      startFromServerGame(g, boardConfigOf(nextMode), { X: px, O: po });
+      setBoardFocusKey((k) => (k || 0) + 1);
+      // The host of an online game plays X; mock games can't be shared
+      if (nextMode.opponent === 'online' && isLocalId(g.id)) {
+        setSeat(null);
+        setError('The game server is unreachable, so this game cannot be shared. Playing on this device.');
+      } else {
+        setSeat(nextMode.opponent === 'online' ? 'X' : null);
+      }
     } catch (e) {
+      // As a last resort, local reset
+      setReadOnly(false);
+      setTimes({ startedAt: new Date().toISOString(), finishedAt: null });
+      setTimeline({ states: [createGame(boardConfigOf(nextMode))], cursor: 0 });
+      setShowSetup(false);
       setError(e);
     } finally {
       setIsBusy(false);
     }
   };
 
-  const resetGame = async () => {
-    if (isBusy) return;
+  // Replay with the same players and settings
+  const resetGame = () => startGame(mode, names);
+
+  // Join someone else's online game by its code (gameId); the guest plays O
+  const joinGame = async (code) => {
+    const id = String(code || '').trim();
+    if (!id) return;
     setIsBusy(true);
     setError(null);
     try {
-      // Recreate players and game to keep flow consistent; backend may record new game
-      const px = players.X?.id ? players.X : await safeCreatePlayer('Player X');
-      const po = players.O?.id ? players.O : await safeCreatePlayer('Player O');
+      const g = await api.getGame(id, { signal: nextSignal() });
+      const config = {
+        size: g.boardSize ?? g.size ?? 3,
+        winLength: g.winLength,
+        variant: g.mode ?? g.variant,
+        boards: g.boards ?? undefined,
+      };
+      const joined = createGame(config);
+      setMode((m) => ({ ...m, opponent: 'online', ...gameConfigOf(joined), timeControl: g.timeControl || null }));
+      setSeat('O');
+      startFromServerGame({ ...g, id }, config, playersFromServerGame(g));
+    } catch (e) {
+      if (isCancelled(e)) return;
+      if (e instanceof NotFoundError) setError(`No game found for code "${id}". Check the code and try again.`);
+      else setError(`Could not join game "${id}": ${formatError(e)}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
 
-      const g = await safeCreateGame(px.id, po.id);
+  // Open a game by ID (from the archive or a /game/:id link). Games saved on this device
+  // keep their settings; others are loaded from the backend and continue as a two-player
+  // game on this device. Without an explicit asReadOnly, a saved game keeps its own
+  // setting and a finished game from the backend opens read-only.
+  const openGame = async (id, asReadOnly) => {
+    if (!id || isBusy) return;
+    const record = loadGameRecord(id);
+    if (record && restoreGameRecord({ ...record, readOnly: asReadOnly ?? record.readOnly })) {
+      setError(null);
+      return;
+    }
+    setIsBusy(true);
+    setError(null);
+    try {
+      const loaded = await loadReplay(id, { signal: nextSignal() });
+      const first = loaded.frames[0];
+      const last = loaded.frames[loaded.frames.length - 1];
+      setMode((m) => ({ ...m, opponent: 'human', ...gameConfigOf(first), timeControl: null }));
+      setNames((n) => ({ X: loaded.playerNames.X || n.X, O: loaded.playerNames.O || n.O }));
+      setPlayers(loaded.players);
+      setSeat(null);
+      setReadOnly(asReadOnly ?? isGameOver(last));
+      setTimes({ startedAt: loaded.startedAt, finishedAt: loaded.finishedAt });
+      setGameId(id);
+      setTimeline({ states: loaded.frames, cursor: loaded.frames.length - 1 });
+      setShowSetup(false);
+    } catch (e) {
+      if (isCancelled(e)) return;
+      if (e instanceof NotFoundError) setError(`No game found with ID "${id}".`);
+      else setError(`Could not open game "${id}": ${formatError(e)}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
 
+  // Keep playing an imported game (see gameFile) from its last position as a new
+  // two-player game on this device; its moves are posted to the new backend game
+  const continueFrom = async (imported) => {
+    if (isBusy || !imported) return;
+    const config = {
+      size: imported.size,
+      winLength: imported.winLength,
+      variant: imported.variant,
+      boards: imported.boards ?? undefined,
+    };
+    const nextNames = { X: imported.players.X || 'Player X', O: imported.players.O || 'Player O' };
+    if (nextNames.X.toLowerCase() === nextNames.O.toLowerCase()) {
+      setError('Players need different names.');
+      return;
+    }
+    setIsBusy(true);
+    setError(null);
+    try {
+      const px = await safeCreatePlayer(nextNames.X, 'human');
+      const po = await safeCreatePlayer(nextNames.O, 'human');
+      const g = await safeCreateGame(px.id, po.id, config);
+      await safeReplayMoves(
+        g.id,
+        config,
+        imported.positions.map((position, i) => ({ position, mark: imported.marks ? imported.marks[i] : null }))
+      );
+      const states = buildFrames(config, imported.positions, imported.marks);
+      setMode((m) => ({ ...m, opponent: 'human', ...config, timeControl: null }));
+      setNames(nextNames);
+      setPlayers({ X: px, O: po });
+      setSeat(null);
+      setReadOnly(false);
+      setTimes({ startedAt: imported.startedAt || new Date().toISOString(), finishedAt: null });
       setGameId(g.id);
-      setBoard(g.board || Array(9).fill(null));
-      setCurrentPlayer(g.currentPlayer || 'X');
-      setStatus({ state: g.status || 'in-progress', winner: g.winner || null });
-      setMoves([]);
-      try {
-        const evt = new CustomEvent('active-game-changed', { detail: { gameId: g.id } });
-        window.dispatchEvent(evt);
-      } catch {
-        // ignore
-      }
+      setTimeline({ states, cursor: states.length - 1 });
+      setShowSetup(false);
+    } catch (e) {
+      setError(e);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Start the next game of a tournament match: the entered players on this device, with
+  // the tournament's settings and no time limit
+  const playMatch = async (tournamentId, matchId) => {
+    if (isBusy) return;
+    const tournament = loadTournament(tournamentId);
+    const match = tournament && tournament.matches.find((m) => m.id === matchId);
+    if (!match || matchStatus(match) !== 'ready') return;
+    setIsBusy(true);
+    setError(null);
+    try {
+      const sides = nextGameSides(tournament, matchId);
+      const nextMode = { ...DEFAULT_MODE, ...tournament.mode, opponent: 'human', timeControl: null };
+      const g = await safeCreateGame(sides.X.id, sides.O.id, boardConfigOf(nextMode));
+      saveTournament(startMatchGame(tournament, matchId, g.id));
+      setMode(nextMode);
+      setNames({ X: sides.X.name, O: sides.O.name });
+      setSeat(null);
+      startFromServerGame(g, boardConfigOf(nextMode), { X: sides.X, O: sides.O });
+      setBoardFocusKey((k) => (k || 0) + 1);
     } catch (e) {
-      // As a last resort, local reset
-      setBoard(Array(9).fill(null));
-      setCurrentPlayer('X');
-      setStatus({ state: 'in-progress', winner: null });
-      setMoves([]);
       setError(e);
     } finally {
       setIsBusy(false);
     }
   };
 
+  const { board, status, winner, currentPlayer, size, variant } = game;
+  // The list shows the whole line of play so moves after the cursor can be redone
+  const moves = timeline.states[latestCursor].moves;
+
+  const displayNames = { X: players.X?.name, O: players.O?.name };
+  const turnLabel = playerLabel(currentPlayer, displayNames);
+
   const turnText =
-    status.state === 'won'
-      ? `Winner: ${status.winner}`
-      : status.state === 'draw'
+    status === 'won'
+      ? `Winner: ${playerLabel(winner, displayNames)}${game.timedOut ? ' on time' : ''}`
+      : status === 'draw'
       ? 'Draw game'
-      : `Turn: ${currentPlayer}`;
+      : isComputerTurn
+      ? `Turn: ${turnLabel} (${isViewingPast ? 'computer waits while you review' : 'computer thinking…'})`
+      : seat
+      ? `Turn: ${turnLabel} (${isOpponentsTurn ? 'waiting for opponent' : 'you'})`
+      : `Turn: ${turnLabel}`;
 
-  const cells = Array.from({ length: 9 }, (_, i) => i);
-  const boardDisabled = isBusy || status.state === 'won' || status.state === 'draw';
+  if (showSetup) {
+    return (
+      <div className="surface-card board-wrapper" aria-label="Tic Tac Toe board area">
+        <PlayerSetup
+          initialMode={mode}
+          initialNames={names}
+          accountName={session ? session.user.name : null}
+          onStart={startGame}
+          onJoin={joinGame}
+          onCancel={gameId ? () => setShowSetup(false) : undefined}
+          isBusy={isBusy}
+        />
+        {error ? (
+          <div className="meta form-error board-section">
+            {formatError(error)}
+          </div>
+        ) : null}
+      </div>
+    );
+  }
+
+  const boardDisabled =
+    isBusy || !gameId || reviewOnly || isComputerTurn || isOpponentsTurn || outOfTime || isGameOver(game);
 
   return (
     <div className="surface-card board-wrapper" aria-label="Tic Tac Toe board area">
-      <div className="board-header" style={{ width: '100%', maxWidth: '520px', marginBottom: 10, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-        <div
-          className={`kicker ${status.state === 'won' ? 'winner' : status.state === 'draw' ? 'draw' : ''}`}
-          role="status"
-          aria-live="polite"
-        >
-          {turnText}
+      <div className="board-header">
+        <div className="turn-info">
+          {/* Not announced itself: the board announcements say the same in more detail */}
+          <div
+            className={`kicker ${status === 'won' ? 'winner' : status === 'draw' ? 'draw' : ''}`}
+            role="status"
+            aria-live="off"
+          >
+            {turnText}
+          </div>
+          {clocks ? (
+            <div className="clocks" role="group" aria-label={`Clocks, ${describeTimeControl(timeControl)}`}>
+              {['X', 'O'].map((symbol) => (
+                <span
+                  key={symbol}
+                  className={`clock ${clockRunning && finalState.currentPlayer === symbol ? 'clock-running' : ''} ${
+                    clocks[symbol] < 10000 ? 'clock-low' : ''
+                  }`}
+                  aria-label={`${playerLabel(symbol, displayNames)} time left`}
+                >
+                  {symbol} {formatClock(clocks[symbol])}
+                </span>
+              ))}
+            </div>
+          ) : null}
         </div>
-        <div style={{ display: 'flex', gap: 8 }}>
+        <div className="board-actions">
+          <button
+            type="button"
+            className="btn"
+            onClick={() => travelTo(stepTarget(-1))}
+            aria-label="Undo move"
+            disabled={isBusy || !canUndo}
+          >
+            Undo
+          </button>
+          <button
+            type="button"
+            className="btn"
+            onClick={() => travelTo(stepTarget(1))}
+            aria-label="Redo move"
+            disabled={isBusy || !canRedo}
+          >
+            Redo
+          </button>
           <button
             type="button"
             className="btn"
-            onClick={resetGame}
+            onClick={() => resetGame()}
             aria-label="Reset game"
-            disabled={isBusy}
+            disabled={isBusy || seat === 'O'}
+            title={seat === 'O' ? 'Only the host can restart an online game' : undefined}
           >
             Reset
           </button>
           <button
             type="button"
             className="btn btn-primary"
-            onClick={resetGame}
+            onClick={() => setShowSetup(true)}
             aria-label="Start new game"
             disabled={isBusy}
           >
@@ -277,44 +849,227 @@ export default function GameBoard() {
         </div>
       </div>
 
-      <div className="board" role="grid" aria-label="3 by 3 board">
-        {cells.map((idx) => (
-          <Square
-            key={idx}
-            index={idx}
-            value={board[idx]}
-            onClick={() => handleSquareClick(idx)}
-            disabled={boardDisabled || Boolean(board[idx])}
-          />
-        ))}
+      {readOnly ? (
+        <div className="meta read-only-note" role="note">
+          Read-only: this finished game can be reviewed but not changed.
+        </div>
+      ) : null}
+
+      {isGameOver(game) && ratingChange && ratingChange.gameId === gameId ? (
+        <div className="rating-change meta" aria-label="Rating change">
+          {['X', 'O'].map((symbol) => {
+            const { before, after, delta } = ratingChange.change[symbol];
+            return (
+              <span key={symbol} className={delta > 0 ? 'rating-up' : delta < 0 ? 'rating-down' : ''}>
+                {playerLabel(symbol, displayNames)} {before} → {after} ({formatRatingDelta(delta)})
+              </span>
+            );
+          })}
+        </div>
+      ) : null}
+
+      {mode.opponent === 'online' ? (
+        <div className="online-panel" aria-label="Online game">
+          {seat && gameId ? (
+            <div className="meta">
+              You play <strong>{seat}</strong> · Join code <code>{gameId}</code> ·{' '}
+              <span aria-live="polite">{CHANNEL_STATUS_LABELS[channelStatus] || ''}</span>{' '}
+              <button
+                type="button"
+                className="btn btn-small"
+                onClick={() => copyText(joinLinkFor(gameId))}
+                aria-label="Copy invite link"
+              >
+                Copy link
+              </button>{' '}
+              <button
+                type="button"
+                className="btn btn-small"
+                onClick={() => copyText(linkFor(pathFor(ROUTES.WATCH, { id: gameId })))}
+                aria-label="Copy spectator link"
+              >
+                Spectator link
+              </button>
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+
+      {variant === 'wild' ? (
+        <SymbolPicker value={wildMark ?? currentPlayer} onChange={setWildMark} disabled={boardDisabled} />
+      ) : null}
+      {usesSmallBoards(variant) ? (
+        <MultiBoard
+          game={game}
+          label={boardLabel(game)}
+          onPlay={handleSquareClick}
+          disabled={boardDisabled}
+          focusKey={boardFocusKey}
+        />
+      ) : isQubic(game) ? (
+        <QubicBoard
+          game={game}
+          label={boardLabel(game)}
+          onPlay={handleSquareClick}
+          disabled={boardDisabled}
+          focusKey={boardFocusKey}
+        />
+      ) : (
+        <BoardGrid
+          board={board}
+          size={size}
+          label={boardLabel(game)}
+          onPlay={handleSquareClick}
+          disabled={boardDisabled}
+          winningLine={game.winningLine}
+          status={status}
+          focusKey={boardFocusKey}
+          preview={variant === 'wild' ? wildMark ?? currentPlayer : undefined}
+        />
+      )}
+      <div className="visually-hidden" role="log" aria-live="polite" aria-label="Board announcements">
+        {announcement}
       </div>
 
-      <div style={{ width: '100%', maxWidth: '520px', marginTop: 14 }}>
+      <div className="board-section">
         {error ? (
-          <div className="meta" style={{ color: 'var(--color-error)' }}>
+          <div className="meta form-error">
             {formatError(error)}
           </div>
         ) : null}
       </div>
 
-      <div style={{ width: '100%', maxWidth: '520px', marginTop: 14 }}>
-        <h4 className="sidebar-title" style={{ marginBottom: 8 }}>Moves</h4>
-        <MoveList moves={moves} />
+      <div className="board-section">
+        <h4 className="sidebar-title">Moves</h4>
+        <MoveList
+          moves={moves}
+          size={size}
+          variant={variant}
+          names={displayNames}
+          currentMove={timeline.cursor}
+          onSelect={isBusy || !canTravel ? undefined : travelTo}
+        />
+        {moves.length > 0 ? (
+          <GameExportButtons
+            game={{
+              gameId,
+              players: displayNames,
+              ...gameConfigOf(game),
+              positions: moves.map((m) => m.position),
+              marks: moves.map((m) => m.mark || null),
+              ...times,
+            }}
+          />
+        ) : null}
       </div>
     </div>
   );
 }
 
-function formatError(e) {
-  if (!e) return '';
-  if (typeof e === 'string') return e;
-  if (e.body && typeof e.body === 'object') {
-    if (e.body.message) return e.body.message;
-    try {
-      return JSON.stringify(e.body);
-    } catch {
-      // ignore
+/** What a screen reader hears when the board shows `state`: the last move and what follows. */
+function announcementFor(state, names) {
+  const last = state.moves[state.moves.length - 1];
+  if (state.timedOut) {
+    return `${playerLabel(state.timedOut, names)} ran out of time. ${playerLabel(state.winner, names)} wins.`;
+  }
+  const where = last ? formatPosition(last.position, state.size, state.variant) : null;
+  let moved = !last
+    ? 'Game start.'
+    : last.mark
+    ? `${playerLabel(last.player, names)} placed ${last.mark} at ${where}.`
+    : `${playerLabel(last.player, names)} played ${where}.`;
+  const ultimate = state.variant === 'ultimate';
+  if (state.subBoards && last) {
+    // Moves only go on open small boards, so a decided one was decided by this move
+    const { board } = toBoardCell(last.position);
+    const result = state.subBoards[board];
+    if (result === 'draw') moved += ` Board ${board + 1} is drawn.`;
+    else if (result === 'dead') moved += ` Board ${board + 1} is dead.`;
+    else if (result) moved += ` ${playerLabel(result, names)} claims board ${board + 1}.`;
+  }
+  if (state.status === 'won') {
+    const line = ultimate
+      ? state.winningLine.map((b) => `board ${b + 1}`)
+      : state.winningLine.map((p) => formatPosition(p, state.size, state.variant));
+    // On Misère and Notakto the line was completed by the loser
+    if (state.winner !== last.player) {
+      return `${moved} ${playerLabel(last.player, names)} completed ${line.join('; ')} and loses. ${playerLabel(
+        state.winner,
+        names
+      )} wins.`;
     }
+    return `${moved} ${playerLabel(state.winner, names)} wins with ${line.join('; ')}.`;
+  }
+  if (state.status === 'draw') return `${moved} Draw game.`;
+  const next = !ultimate ? '' : state.activeBoard === null ? ' on any open board' : ` on board ${state.activeBoard + 1}`;
+  return `${moved} ${playerLabel(state.currentPlayer, names)} to move${next}.`;
+}
+
+/** Accessible name of the board: its shape and how the game is won (or lost). */
+function boardLabel(state) {
+  const shape = `${state.size} by ${state.size} board`;
+  switch (state.variant) {
+    case 'ultimate':
+      return 'Ultimate board: nine small boards, three claimed in a row win';
+    case 'notakto':
+      return `${formatVariant(gameConfigOf(state))}, killing the last one loses`;
+    case 'qubic':
+      return 'Qubic cube: four stacked 4 by 4 layers, 4 in a row in any direction wins';
+    case 'misere':
+      return `Misère ${shape}, ${state.winLength} in a row loses`;
+    case 'wild':
+      return `Wild ${shape}, ${state.winLength} of either mark in a row wins`;
+    default:
+      return `${shape}, ${state.winLength} in a row wins`;
   }
-  return e.message || 'An error occurred';
+}
+
+/** A move's cell as posted for a game with `config` (or state): also by layer, row and column on Qubic. */
+function moveTarget(config, position) {
+  return isQubic(config) ? { position, ...toLayerRowCol(position) } : position;
+}
+
+/** Shareable link that opens this app and joins `gameId`. */
+function joinLinkFor(gameId) {
+  return linkFor(pathFor(ROUTES.JOIN, { id: gameId }));
+}
+
+/** Engine options for the board part of the game settings; Qubic's cube is always 4×4×4. */
+function boardConfigOf(mode) {
+  const variant = mode.variant || 'classic';
+  if (variant === 'qubic') return { size: QUBIC_SIZE, winLength: QUBIC_SIZE, variant };
+  const config = { size: mode.size, winLength: mode.winLength, variant };
+  if (variant === 'notakto') config.boards = mode.boards;
+  return config;
+}
+
+/** The seat a signed-in user plays: the human side against the computer, otherwise X. */
+function accountSeatFor(mode) {
+  return mode.opponent === 'computer' && mode.computerSymbol === 'X' ? 'O' : 'X';
+}
+
+function isComputerSymbol(mode, symbol) {
+  return mode.opponent === 'computer' && mode.computerSymbol === symbol;
+}
+
+/**
+ * Player names for the game settings and entered human names; the computer side
+ * is named after its difficulty so its results are tracked separately on the leaderboard.
+ */
+function playerNamesFor(mode, humanNames) {
+  const names = { X: humanNames.X, O: humanNames.O };
+  if (mode.opponent === 'computer') {
+    names[mode.computerSymbol] = `Computer (${DIFFICULTY_LABELS[mode.difficulty]})`;
+  }
+  return names;
+}
+
+/** Player names as sent by the backend for a joined game, when it provides them. */
+function playersFromServerGame(g) {
+  const pick = (symbol) => {
+    const nested = g.players && g.players[symbol];
+    const name = (nested && nested.name) || g[`player${symbol}Name`];
+    return name ? { id: (nested && nested.id) || g[`player${symbol}Id`], name } : null;
+  };
+  return { X: pick('X'), O: pick('O') };
 }
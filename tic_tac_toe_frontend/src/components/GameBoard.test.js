@@ -0,0 +1,369 @@
+import { act, render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import GameBoard from './GameBoard';
+import { api } from '../api';
+import { GameProvider } from '../context';
+import { getPendingOperations, getSyncState } from '../offline';
+import { loadHumanProfiles } from '../players';
+import { getLocalRating } from '../ratings';
+import { loadReplay } from '../replay';
+import { createMockGameServer } from '../testUtils/mockGameServer';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  // Backend unavailable: GameBoard falls back to local mock games
+  global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+function fillNames(view, names) {
+  Object.entries(names).forEach(([symbol, name]) => {
+    fireEvent.change(view.getByLabelText(`Name for ${symbol}`), { target: { value: name } });
+  });
+}
+
+async function renderBoard() {
+  render(<GameBoard />, { wrapper: GameProvider });
+  fillNames(screen, { X: 'Alice', O: 'Bob' });
+  fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Turn: Alice (X)'));
+  await waitFor(() => expect(screen.getByLabelText('Row 1, column 1, empty')).toHaveAttribute('aria-disabled', 'false'));
+}
+
+test('setup screen requires names and remembers profiles', async () => {
+  render(<GameBoard />, { wrapper: GameProvider });
+  fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+  expect(screen.getByRole('alert')).toHaveTextContent('Enter a name for X.');
+
+  fillNames(screen, { X: 'Alice', O: 'Bob' });
+  fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Turn: Alice (X)'));
+  const stored = JSON.parse(window.localStorage.getItem('tictactoe.profiles.v1'));
+  expect(stored.map((p) => p.name).sort()).toEqual(['Alice', 'Bob']);
+});
+
+async function play(label) {
+  fireEvent.click(screen.getByLabelText(`${label}, empty`));
+  await waitFor(() => expect(screen.getByLabelText(new RegExp(`${label}, contains`))).toBeInTheDocument());
+}
+
+test('undo, redo and branching from a past move', async () => {
+  await renderBoard();
+  await play('Row 1, column 1');
+  await play('Row 2, column 2');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Undo move' }));
+  await waitFor(() => expect(screen.getByLabelText('Row 2, column 2, empty')).toBeInTheDocument());
+  expect(screen.getByRole('status')).toHaveTextContent('Turn: Bob (O)');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Redo move' }));
+  await waitFor(() => expect(screen.getByLabelText('Row 2, column 2, contains O')).toBeInTheDocument());
+
+  // Jump back to the start from the move list and branch
+  fireEvent.click(screen.getByRole('button', { name: 'Game start' }));
+  await waitFor(() => expect(screen.getByLabelText('Row 1, column 1, empty')).toHaveAttribute('aria-disabled', 'false'));
+  await play('Row 3, column 3');
+  expect(screen.getAllByRole('button', { name: /^#\d/ })).toHaveLength(1);
+  expect(screen.getByRole('button', { name: 'Redo move' })).toBeDisabled();
+});
+
+test('shows the rating change when a game is won', async () => {
+  await renderBoard();
+  for (const cell of ['Row 1, column 1', 'Row 2, column 1', 'Row 1, column 2', 'Row 2, column 2', 'Row 1, column 3']) {
+    await play(cell);
+  }
+  expect(screen.getByRole('status')).toHaveTextContent('Winner: Alice (X)');
+  const banner = await screen.findByLabelText('Rating change');
+  expect(banner).toHaveTextContent('Alice (X) 1500 → 1518 (+18)');
+  expect(banner).toHaveTextContent('Bob (O) 1500 → 1482 (−18)');
+
+  // The rated result stands: stepping back only reviews the game, it can't be finished differently
+  fireEvent.click(screen.getByRole('button', { name: 'Undo move' }));
+  await waitFor(() => expect(screen.getByLabelText('Row 1, column 3, empty')).toHaveAttribute('aria-disabled', 'true'));
+  expect(screen.getByLabelText('Row 3, column 3, empty')).toHaveAttribute('aria-disabled', 'true');
+  fireEvent.click(screen.getByRole('button', { name: 'Redo move' }));
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Winner: Alice (X)'));
+  const alice = loadHumanProfiles().find((p) => p.name === 'Alice');
+  expect(getLocalRating(alice.id)).toMatchObject({ rating: 1518, games: 1 });
+});
+
+test('two boards play an online game through a join code', async () => {
+  const server = createMockGameServer();
+  global.fetch = server.fetch;
+  global.WebSocket = server.WebSocket;
+  try {
+    const host = within(render(<GameBoard />, { wrapper: GameProvider }).container);
+    fireEvent.change(host.getByLabelText('Opponent'), { target: { value: 'online' } });
+    fillNames(host, { X: 'Alice', O: 'Bob' });
+    fireEvent.click(host.getByRole('button', { name: 'Host game' }));
+    await waitFor(() => expect(host.getByText('Live')).toBeInTheDocument());
+    const code = within(host.getByLabelText('Online game')).getByText(/^game-/).textContent;
+
+    // The guest is another browser, with its own storage
+    window.localStorage.clear();
+    const guest = within(render(<GameBoard />, { wrapper: GameProvider }).container);
+    fireEvent.change(guest.getByLabelText('Opponent'), { target: { value: 'online' } });
+    fireEvent.change(guest.getByLabelText('Join code'), { target: { value: code } });
+    fireEvent.click(guest.getByRole('button', { name: 'Join' }));
+    await waitFor(() => expect(guest.getByRole('status')).toHaveTextContent('Turn: Alice (X) (waiting for opponent)'));
+    expect(guest.getByLabelText('Row 1, column 1, empty')).toHaveAttribute('aria-disabled', 'true');
+
+    fireEvent.click(host.getByLabelText('Row 2, column 2, empty'));
+    await waitFor(() => expect(guest.getByLabelText('Row 2, column 2, contains X')).toBeInTheDocument());
+    expect(guest.getByRole('status')).toHaveTextContent('Turn: Bob (O) (you)');
+    expect(host.getByLabelText('Row 1, column 1, empty')).toHaveAttribute('aria-disabled', 'true');
+
+    // A result pushed without a move (here a loss on time) still reaches both boards
+    await act(() => api.forfeitOnTime(code, 'O'));
+    await waitFor(() => expect(guest.getByRole('status')).toHaveTextContent('Winner: Alice (X) on time'));
+    expect(host.getByRole('status')).toHaveTextContent('Winner: Alice (X) on time');
+  } finally {
+    delete global.WebSocket;
+  }
+});
+
+test('restores the saved game after a reload', async () => {
+  const first = render(<GameBoard />, { wrapper: GameProvider });
+  fillNames(screen, { X: 'Alice', O: 'Bob' });
+  fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+  await waitFor(() => expect(screen.getByLabelText('Row 1, column 1, empty')).toHaveAttribute('aria-disabled', 'false'));
+  await play('Row 1, column 1');
+  first.unmount();
+
+  render(<GameBoard />, { wrapper: GameProvider });
+  expect(screen.getByLabelText('Row 1, column 1, contains X')).toBeInTheDocument();
+  expect(screen.getByRole('status')).toHaveTextContent('Turn: Bob (O)');
+});
+
+test('a player out of time loses, or has a random move played for them', async () => {
+  jest.useFakeTimers();
+  try {
+    render(<GameBoard />, { wrapper: GameProvider });
+    fillNames(screen, { X: 'Alice', O: 'Bob' });
+    fireEvent.change(screen.getByLabelText('Time control'), { target: { value: 'move-10' } });
+    fireEvent.change(screen.getByLabelText('On timeout'), { target: { value: 'random' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+    await waitFor(() => expect(screen.getByLabelText('Alice (X) time left')).toHaveTextContent('X 0:10'));
+
+    await play('Row 1, column 1');
+    expect(screen.getByRole('button', { name: 'Undo move' })).toBeDisabled();
+    act(() => jest.advanceTimersByTime(10000));
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Turn: Alice (X)'));
+    expect(screen.getAllByLabelText(/contains O/)).toHaveLength(1);
+
+    // Reset keeps the time control; this time running out loses the game
+    fireEvent.click(screen.getByRole('button', { name: 'Start new game' }));
+    fireEvent.change(screen.getByLabelText('On timeout'), { target: { value: 'lose' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+    await waitFor(() => expect(screen.getByLabelText('Row 1, column 1, empty')).toHaveAttribute('aria-disabled', 'false'));
+    act(() => jest.advanceTimersByTime(4000));
+    expect(screen.getByLabelText('Alice (X) time left')).toHaveTextContent('X 0:06.0');
+    act(() => jest.advanceTimersByTime(6000));
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Winner: Bob (O) on time'));
+    expect(screen.getByLabelText('Row 1, column 1, empty')).toHaveAttribute('aria-disabled', 'true');
+    // Offline, the loss is queued for the backend like a move
+    await waitFor(() => expect(getSyncState().status).toBe('offline'));
+    expect(getPendingOperations().map((op) => op.type)).toContain('forfeitOnTime');
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('a loss on time is sent to the backend and kept when the game is opened again', async () => {
+  const server = createMockGameServer();
+  global.fetch = server.fetch;
+  jest.useFakeTimers();
+  try {
+    render(<GameBoard />, { wrapper: GameProvider });
+    fillNames(screen, { X: 'Alice', O: 'Bob' });
+    fireEvent.change(screen.getByLabelText('Time control'), { target: { value: 'move-10' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+    await waitFor(() => expect(screen.getByLabelText('Alice (X) time left')).toHaveTextContent('X 0:10'));
+    act(() => jest.advanceTimersByTime(10000));
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Winner: Bob (O) on time'));
+  } finally {
+    jest.useRealTimers();
+  }
+
+  const [[gameId, game]] = [...server.games];
+  await waitFor(() => expect(game.state).toMatchObject({ winner: 'O', timedOut: 'X' }));
+  window.localStorage.clear();
+  const replay = await loadReplay(gameId);
+  expect(replay.frames[replay.frames.length - 1]).toMatchObject({ status: 'won', winner: 'O', timedOut: 'X' });
+});
+
+test('a draw highlights no line, and stepping back from a win clears the highlight', async () => {
+  await renderBoard();
+  // Ends X O X / X O O / O X X
+  for (const position of [[1, 1], [1, 2], [1, 3], [2, 2], [2, 1], [2, 3], [3, 2], [3, 1], [3, 3]]) {
+    await play(`Row ${position[0]}, column ${position[1]}`);
+  }
+  expect(screen.getByRole('status')).toHaveTextContent('Draw');
+  expect(screen.getByRole('grid')).toHaveClass('board-draw');
+  expect(screen.queryAllByLabelText(/winning line/)).toHaveLength(0);
+  expect(document.querySelector('.win-strike')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Reset game' }));
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Turn: Alice (X)'));
+  for (const cell of ['Row 1, column 1', 'Row 2, column 1', 'Row 1, column 2', 'Row 2, column 2', 'Row 1, column 3']) {
+    await play(cell);
+  }
+  expect(screen.getAllByLabelText(/winning line/)).toHaveLength(3);
+  fireEvent.click(screen.getByRole('button', { name: 'Undo move' }));
+  await waitFor(() => expect(screen.getByLabelText('Row 1, column 3, empty')).toBeInTheDocument());
+  expect(screen.queryAllByLabelText(/winning line/)).toHaveLength(0);
+  expect(document.querySelector('.win-strike')).not.toBeInTheDocument();
+});
+
+test('plays from the keyboard and announces moves and the winning line', async () => {
+  render(<GameBoard />, { wrapper: GameProvider });
+  fillNames(screen, { X: 'Alice', O: 'Bob' });
+  fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+  await waitFor(() => expect(screen.getByLabelText('Row 1, column 1, empty')).toHaveFocus());
+  const grid = screen.getByRole('grid');
+  expect(within(grid).getAllByRole('row')).toHaveLength(3);
+  expect(within(grid).getAllByRole('gridcell')).toHaveLength(9);
+  expect(screen.getByLabelText('Row 1, column 1, empty')).toHaveAttribute('tabindex', '0');
+  expect(screen.getByLabelText('Row 1, column 2, empty')).toHaveAttribute('tabindex', '-1');
+
+  // Arrow keys move the single tab stop; they stop at the edges
+  fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+  fireEvent.keyDown(document.activeElement, { key: 'ArrowDown' });
+  expect(screen.getByLabelText('Row 2, column 2, empty')).toHaveFocus();
+  fireEvent.keyDown(document.activeElement, { key: 'End' });
+  fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+  expect(screen.getByLabelText('Row 2, column 3, empty')).toHaveFocus();
+  fireEvent.keyDown(document.activeElement, { key: 'Home', ctrlKey: true });
+  expect(screen.getByLabelText('Row 1, column 1, empty')).toHaveFocus();
+
+  // Number keys follow the numeric keypad: 7 8 9 is the top row
+  const log = screen.getByRole('log', { name: 'Board announcements' });
+  const press = async (key, label) => {
+    fireEvent.keyDown(document.activeElement, { key });
+    await waitFor(() => expect(screen.getByLabelText(new RegExp(`${label}, contains`))).toBeInTheDocument());
+  };
+  await press('7', 'Row 1, column 1');
+  expect(log).toHaveTextContent('Alice (X) played row 1, col 1. Bob (O) to move.');
+  await press('4', 'Row 2, column 1');
+  await press('8', 'Row 1, column 2');
+  await press('5', 'Row 2, column 2');
+  expect(screen.getByLabelText('Row 2, column 2, contains O')).toHaveFocus();
+  // An occupied cell keeps focus but can't be played
+  fireEvent.keyDown(document.activeElement, { key: '5' });
+  expect(screen.getByRole('status')).toHaveTextContent('Turn: Alice (X)');
+  await press('9', 'Row 1, column 3');
+  expect(log).toHaveTextContent(
+    'Alice (X) played row 1, col 3. Alice (X) wins with row 1, col 1; row 1, col 2; row 1, col 3.'
+  );
+  expect(screen.getAllByLabelText(/winning line/)).toHaveLength(3);
+  expect(grid.querySelector('.win-strike line')).toHaveAttribute('x2', '2.5');
+
+  // Reset starts over with focus back on the board
+  fireEvent.click(screen.getByRole('button', { name: 'Reset game' }));
+  await waitFor(() => expect(screen.getByLabelText('Row 1, column 1, empty')).toHaveFocus());
+  expect(log).toHaveTextContent('Game start. Alice (X) to move.');
+});
+
+test('plays Ultimate on the small board the previous move points to', async () => {
+  render(<GameBoard />, { wrapper: GameProvider });
+  fireEvent.change(screen.getByLabelText('Game variant'), { target: { value: 'ultimate' } });
+  expect(screen.queryByLabelText('Board size')).not.toBeInTheDocument();
+  fillNames(screen, { X: 'Alice', O: 'Bob' });
+  fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+  await waitFor(() => expect(screen.getByLabelText('Board 1, cell 1, empty')).toHaveFocus());
+  expect(screen.getAllByRole('grid')).toHaveLength(9);
+
+  // The arrow keys cross from one small board into the next
+  fireEvent.keyDown(document.activeElement, { key: 'End' });
+  expect(screen.getByLabelText('Board 3, cell 3, empty')).toHaveFocus();
+  fireEvent.keyDown(document.activeElement, { key: 'ArrowDown' });
+  expect(screen.getByLabelText('Board 3, cell 6, empty')).toHaveFocus();
+
+  await play('Board 1, cell 5');
+  expect(screen.getByRole('log', { name: 'Board announcements' })).toHaveTextContent(
+    'Alice (X) played board 1, cell 5. Bob (O) to move on board 5.'
+  );
+  expect(screen.getByRole('grid', { name: 'Board 5, next move here' })).toHaveClass('sub-board-active');
+  expect(screen.getByLabelText('Board 1, cell 1, empty')).toHaveAttribute('aria-disabled', 'true');
+  expect(screen.getByLabelText('Board 5, cell 1, empty')).toHaveAttribute('aria-disabled', 'false');
+  expect(screen.getByRole('list', { name: 'Move List' })).toHaveTextContent('#1 - Alice (X) to board 1, cell 5');
+});
+
+
+test('plays Wild with the mark picked for each move', async () => {
+  render(<GameBoard />, { wrapper: GameProvider });
+  fireEvent.change(screen.getByLabelText('Game variant'), { target: { value: 'wild' } });
+  fillNames(screen, { X: 'Alice', O: 'Bob' });
+  fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+  const picker = await screen.findByRole('radiogroup', { name: 'Mark to place' });
+  await waitFor(() => expect(within(picker).getByRole('radio', { name: 'X' })).toBeEnabled());
+  expect(within(picker).getByRole('radio', { name: 'X' })).toHaveAttribute('aria-checked', 'true');
+
+  // Alice places an O; the next turn starts from Bob's own mark again
+  fireEvent.click(within(picker).getByRole('radio', { name: 'O' }));
+  fireEvent.click(screen.getByLabelText('Row 1, column 1, empty, places O'));
+  await waitFor(() => expect(screen.getByLabelText('Row 1, column 1, contains O')).toBeInTheDocument());
+  expect(screen.getByRole('log', { name: 'Board announcements' })).toHaveTextContent(
+    'Alice (X) placed O at row 1, col 1. Bob (O) to move.'
+  );
+  expect(screen.getByLabelText('Row 1, column 2, empty, places O')).toBeInTheDocument();
+  expect(screen.getByRole('list', { name: 'Move List' })).toHaveTextContent('#1 - Alice (X) to row 1, col 1 with O');
+});
+
+test('plays Notakto on side-by-side boards where killing the last one loses', async () => {
+  render(<GameBoard />, { wrapper: GameProvider });
+  fireEvent.change(screen.getByLabelText('Game variant'), { target: { value: 'notakto' } });
+  fireEvent.change(screen.getByLabelText('Number of boards'), { target: { value: '1' } });
+  fillNames(screen, { X: 'Alice', O: 'Bob' });
+  fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+  await waitFor(() => expect(screen.getByLabelText('Board 1, cell 1, empty')).toHaveFocus());
+
+  await play('Board 1, cell 1');
+  await play('Board 1, cell 2');
+  expect(screen.getByLabelText('Board 1, cell 2, contains X')).toBeInTheDocument();
+  await play('Board 1, cell 3');
+  expect(screen.getByRole('status')).toHaveTextContent('Winner: Bob (O)');
+  expect(screen.getByRole('log', { name: 'Board announcements' })).toHaveTextContent(
+    'Alice (X) played board 1, cell 3. Board 1 is dead. Alice (X) completed board 1, cell 1; board 1, cell 2; ' +
+      'board 1, cell 3 and loses. Bob (O) wins.'
+  );
+  // The losing line is highlighted on its board, never struck through
+  expect(document.querySelector('.win-strike')).not.toBeInTheDocument();
+});
+
+test('plays Qubic on four stacked layers and traces the lines through a hovered cell', async () => {
+  render(<GameBoard />, { wrapper: GameProvider });
+  fireEvent.change(screen.getByLabelText('Game variant'), { target: { value: 'qubic' } });
+  expect(screen.queryByLabelText('Board size')).not.toBeInTheDocument();
+  fillNames(screen, { X: 'Alice', O: 'Bob' });
+  fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+  await waitFor(() => expect(screen.getByLabelText('Layer 1, row 1, column 1, empty')).toHaveFocus());
+  expect(screen.getAllByRole('grid')).toHaveLength(4);
+
+  // Page Down moves to the layer below; the arrow keys and End stay within the layer
+  fireEvent.keyDown(document.activeElement, { key: 'PageDown' });
+  fireEvent.keyDown(document.activeElement, { key: 'ArrowDown' });
+  fireEvent.keyDown(document.activeElement, { key: 'End' });
+  expect(screen.getByLabelText('Layer 2, row 2, column 4, empty')).toHaveFocus();
+  fireEvent.keyDown(document.activeElement, { key: 'End', ctrlKey: true });
+  expect(screen.getByLabelText('Layer 2, row 4, column 4, empty')).toHaveFocus();
+
+  // The corner's lines include the space diagonal to the far corner of the bottom layer
+  fireEvent.mouseEnter(screen.getByLabelText('Layer 1, row 2, column 2, empty').parentElement);
+  expect(screen.getByLabelText('Layer 4, row 4, column 4, empty')).not.toHaveClass('cell-related');
+  fireEvent.mouseEnter(screen.getByLabelText('Layer 1, row 1, column 1, empty').parentElement);
+  expect(screen.getByLabelText('Layer 4, row 4, column 4, empty')).toHaveClass('cell-related');
+  expect(screen.getByLabelText('Layer 2, row 1, column 3, empty')).not.toHaveClass('cell-related');
+
+  // X builds the pillar under the top-left corner while O plays along the top row
+  for (const [layer, col] of [[1, 1], [1, 2], [2, 1], [1, 3], [3, 1], [1, 4], [4, 1]]) {
+    await play(`Layer ${layer}, row 1, column ${col}`);
+  }
+  expect(screen.getByRole('status')).toHaveTextContent('Winner: Alice (X)');
+  expect(screen.getByRole('log', { name: 'Board announcements' })).toHaveTextContent(
+    'Alice (X) played layer 4, row 1, col 1. Alice (X) wins with layer 1, row 1, col 1; layer 2, row 1, col 1; ' +
+      'layer 3, row 1, col 1; layer 4, row 1, col 1.'
+  );
+});
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { describeGame, formatGameFile, GAME_FILE_TYPES, gameFileName } from '../gameFile';
+
+/**
+ * PUBLIC_INTERFACE
+ * GameExportButtons downloads a game as a portable game file (see gameFile).
+ * - `game` is { gameId, players: { X, O } (names), size, winLength, positions,
+ *   startedAt, finishedAt }
+ * - One button per format: JSON and the PGN-like text notation
+ */
+export default function GameExportButtons({ game }) {
+  const [error, setError] = useState(null);
+
+  const exportAs = (format) => {
+    try {
+      const described = describeGame(game);
+      downloadFile(gameFileName(described, format), formatGameFile(described, format), GAME_FILE_TYPES[format].mimeType);
+      setError(null);
+    } catch (e) {
+      setError(`Could not export the game: ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="export-actions" role="group" aria-label="Export game">
+      <span className="meta">Export</span>
+      {Object.keys(GAME_FILE_TYPES).map((format) => (
+        <button
+          key={format}
+          type="button"
+          className="btn btn-small"
+          onClick={() => exportAs(format)}
+          aria-label={`Export ${GAME_FILE_TYPES[format].label}`}
+        >
+          {GAME_FILE_TYPES[format].label}
+        </button>
+      ))}
+      {error ? (
+        <span className="meta form-error" role="alert">{error}</span>
+      ) : null}
+    </div>
+  );
+}
+
+/** Save `content` as a file through a temporary download link. */
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
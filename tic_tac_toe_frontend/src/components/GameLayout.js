@@ -1,18 +1,94 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
+import { useGameContext } from '../context';
+import useRoute from '../hooks/useRoute';
+import { resolveId } from '../offline';
+import { getRoute, goBack, navigate, pathFor, ROUTES } from '../router';
+import GameArchive from './GameArchive';
 import GameBoard from './GameBoard';
+import LeaderboardPanel from './LeaderboardPanel';
+import PlayerProfile from './PlayerProfile';
+import ReplayViewer from './ReplayViewer';
 import Sidebar from './Sidebar';
+import SpectatorView from './SpectatorView';
+import TournamentsPage from './TournamentsPage';
+import TournamentView from './TournamentView';
+
+// Routes that show the game board in the main area
+const BOARD_ROUTES = [ROUTES.HOME, ROUTES.GAME, ROUTES.JOIN, ROUTES.PLAYER];
 
 /**
  * PUBLIC_INTERFACE
- * GameLayout composes the main area: centered board with a right sidebar.
+ * GameLayout composes the main area for the current route, with a right sidebar.
+ * - /, /game/:id and /join/:id show the board; /game/:id opens that game (rehydrated
+ *   from the backend when it isn't saved on this device) and /join/:id joins it online
+ * - /replay/:id, /leaderboard, /history, /tournaments and /tournament/:id take the
+ *   board's place; GameBoard stays mounted (hidden) so the current game is untouched
+ *   when they are closed
+ * - /watch/:id follows a game read-only as a spectator, also in the board's place
+ * - /player/:id opens a player's profile over the board
+ * - The address bar follows the game on the board (/game/<gameId>), so a reload reopens it
  */
 export default function GameLayout() {
+  const route = useRoute();
+  const { activeGame, openGame, joinGame, replayGameId, closeReplay, openReplay } = useGameContext();
+  const activeGameId = activeGame ? activeGame.gameId : null;
+  const activeGameIdRef = useRef(activeGameId);
+  activeGameIdRef.current = activeGameId;
+
+  // A /game/:id or /join/:id route (a link, a reload, back/forward) opens that game
+  useEffect(() => {
+    const { name, params, state } = route;
+    if (name === ROUTES.GAME && params.id !== activeGameIdRef.current) {
+      openGame(params.id, { readOnly: state ? state.readOnly : undefined });
+    } else if (name === ROUTES.JOIN) {
+      joinGame(params.id);
+    }
+  }, [route, openGame, joinGame]);
+
+  // Keep the address bar on the game being played
+  useEffect(() => {
+    if (!activeGameId) return;
+    const { name, params } = getRoute();
+    if (!BOARD_ROUTES.includes(name) || name === ROUTES.PLAYER) return;
+    if (name === ROUTES.GAME && params.id === activeGameId) return;
+    // A local game that was just synced keeps its history entry under the new ID
+    const sameGame = name === ROUTES.GAME && resolveId(params.id) === activeGameId;
+    navigate(pathFor(ROUTES.GAME, { id: activeGameId }), { replace: name !== ROUTES.GAME || sameGame });
+  }, [activeGameId]);
+
+  const closePage = () => goBack(activeGameId ? pathFor(ROUTES.GAME, { id: activeGameId }) : pathFor(ROUTES.HOME));
+
   return (
     <main className="app-shell">
       <section className="main-area" aria-label="Main Content">
-        <GameBoard />
+        {replayGameId ? <ReplayViewer gameId={replayGameId} onClose={closeReplay} /> : null}
+        {route.name === ROUTES.LEADERBOARD ? (
+          <div className="route-page">
+            <LeaderboardPanel />
+          </div>
+        ) : null}
+        {route.name === ROUTES.HISTORY ? <GameArchive onClose={closePage} /> : null}
+        {route.name === ROUTES.WATCH ? (
+          <SpectatorView key={route.params.id} gameId={route.params.id} onClose={closePage} />
+        ) : null}
+        {route.name === ROUTES.TOURNAMENTS ? <TournamentsPage onClose={closePage} /> : null}
+        {route.name === ROUTES.TOURNAMENT ? (
+          <TournamentView tournamentId={route.params.id} onClose={closePage} />
+        ) : null}
+        <div className="main-view" hidden={!BOARD_ROUTES.includes(route.name)}>
+          <GameBoard />
+        </div>
       </section>
       <Sidebar />
+      {route.name === ROUTES.PLAYER ? (
+        <PlayerProfile
+          key={route.params.id}
+          playerId={route.params.id}
+          player={route.state ? route.state.player : undefined}
+          onClose={closePage}
+          onReplay={openReplay}
+        />
+      ) : null}
     </main>
   );
 }
@@ -0,0 +1,121 @@
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { api } from '../api';
+import { GameProvider } from '../context';
+import { navigate } from '../router';
+import { createMockGameServer } from '../testUtils/mockGameServer';
+import GameLayout from './GameLayout';
+
+let server;
+let gameId;
+
+beforeEach(async () => {
+  window.localStorage.clear();
+  server = createMockGameServer();
+  global.fetch = server.fetch;
+  const [alice, bob] = await Promise.all(['Alice', 'Bob'].map((name) => api.createPlayer(name)));
+  const game = await api.createGame(alice.id, bob.id);
+  for (const position of [0, 4]) await api.postMove(game.id, position);
+  gameId = game.id;
+});
+
+afterEach(() => {
+  delete global.fetch;
+  delete global.WebSocket;
+  window.history.replaceState(null, '', '/');
+});
+
+const board = () => within(screen.getByLabelText('Tic Tac Toe board area'));
+
+test('a /game/:id link rehydrates that game instead of starting a new one', async () => {
+  window.history.replaceState(null, '', `/game/${gameId}`);
+  render(<GameLayout />, { wrapper: GameProvider });
+
+  await waitFor(() => expect(board().getByRole('status')).toHaveTextContent('Turn: Alice (X)'));
+  expect(board().getByLabelText('Row 2, column 2, contains O')).toBeInTheDocument();
+  expect(server.players.size).toBe(2);
+  expect(server.games.size).toBe(1);
+
+  fireEvent.click(board().getByLabelText('Row 3, column 3, empty'));
+  await waitFor(() => expect(server.games.get(gameId).state.moves).toHaveLength(3));
+  expect(window.location.pathname).toBe(`/game/${gameId}`);
+});
+
+test('the address bar follows a newly started game', async () => {
+  render(<GameLayout />, { wrapper: GameProvider });
+  fireEvent.change(board().getByLabelText('Name for X'), { target: { value: 'Carol' } });
+  fireEvent.change(board().getByLabelText('Name for O'), { target: { value: 'Dave' } });
+  fireEvent.click(board().getByRole('button', { name: 'Start game' }));
+
+  await waitFor(() => expect(window.location.pathname).toMatch(/^\/game\/game-\d+$/));
+  expect(window.location.pathname).not.toBe(`/game/${gameId}`);
+});
+
+test('a /watch/:id link follows the game read-only as a spectator', async () => {
+  global.WebSocket = server.WebSocket;
+  window.history.replaceState(null, '', `/watch/${gameId}`);
+  render(<GameLayout />, { wrapper: GameProvider });
+  const view = () => within(screen.getByLabelText('Spectator view'));
+
+  const status = () => view().getByRole('status');
+  await waitFor(() => expect(status()).toHaveTextContent('Watching · Alice (X) to move · 2 played'));
+  expect(view().getByText('Alice (X) vs Bob (O)')).toBeInTheDocument();
+  await waitFor(() => expect(view().getByLabelText('Spectators')).toHaveTextContent('1 spectator watching'));
+  const cells = within(view().getByRole('grid', { name: /^Spectator board/ })).getAllByRole('button');
+  cells.forEach((cell) => expect(cell).toHaveAttribute('aria-disabled', 'true'));
+  fireEvent.click(view().getByLabelText('Row 3, column 3, empty'));
+
+  await act(() => api.postMove(gameId, 8));
+  await waitFor(() => expect(status()).toHaveTextContent('Bob (O) to move · 3 played'));
+  expect(server.games.get(gameId).state.moves).toHaveLength(3);
+  expect(view().getAllByRole('listitem')).toHaveLength(3);
+  expect(server.games.size).toBe(1);
+  expect(server.players.size).toBe(2);
+});
+
+test('a knockout tournament match is played on the board and crowns its winner', async () => {
+  window.history.replaceState(null, '', '/tournaments');
+  render(<GameLayout />, { wrapper: GameProvider });
+  fireEvent.change(screen.getByLabelText('Tournament name'), { target: { value: 'Cup' } });
+  fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'knockout' } });
+  fireEvent.change(screen.getByLabelText('Player 1'), { target: { value: 'Alice' } });
+  fireEvent.change(screen.getByLabelText('Player 2'), { target: { value: 'Bob' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Create tournament' }));
+
+  await waitFor(() => expect(window.location.pathname).toMatch(/^\/tournament\/tournament-/));
+  const tournamentPath = window.location.pathname;
+  expect(screen.getByRole('group', { name: 'Alice vs Bob' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Play' }));
+
+  await waitFor(() => expect(window.location.pathname).toMatch(/^\/game\/game-\d+$/));
+  await waitFor(() => expect(board().getByRole('status')).toHaveTextContent('Turn: Alice (X)'));
+  for (const cell of ['Row 1, column 1', 'Row 2, column 1', 'Row 1, column 2', 'Row 2, column 2', 'Row 1, column 3']) {
+    fireEvent.click(board().getByLabelText(`${cell}, empty`));
+    await waitFor(() => expect(board().getByLabelText(new RegExp(`^${cell}, contains`))).toBeInTheDocument());
+  }
+  // The recorded result stands: the finished game can be stepped back through but not replayed
+  fireEvent.click(board().getByRole('button', { name: 'Undo move' }));
+  const undone = await board().findByLabelText('Row 1, column 3, empty');
+  expect(undone).toHaveAttribute('aria-disabled', 'true');
+
+  act(() => navigate(tournamentPath));
+  await waitFor(() => expect(screen.getByText('Winner:')).toHaveTextContent('Winner: Alice'));
+  expect(screen.getByText('Alice won')).toBeInTheDocument();
+});
+
+test('the move history only jumps to a move while the game can be stepped through', async () => {
+  window.history.replaceState(null, '', `/game/${gameId}`);
+  render(<GameLayout />, { wrapper: GameProvider });
+  const history = () => within(screen.getByLabelText('Game Move History'));
+  await waitFor(() => expect(history().getAllByRole('button')).toHaveLength(2));
+  expect(history().getByRole('button', { name: /^#1/ })).toBeEnabled();
+
+  // An unfinished timed game can't be taken back, from the board or the history
+  fireEvent.click(board().getByRole('button', { name: 'Start new game' }));
+  fireEvent.change(board().getByLabelText('Time control'), { target: { value: 'move-30' } });
+  fireEvent.click(board().getByRole('button', { name: 'Start game' }));
+  await waitFor(() => expect(board().getByRole('status')).toHaveTextContent('Turn: Alice (X)'));
+  fireEvent.click(board().getByLabelText('Row 1, column 1, empty'));
+  await waitFor(() => expect(history().getAllByRole('button')).toHaveLength(1));
+  expect(history().getByRole('button', { name: /^#1/ })).toBeDisabled();
+});
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import Modal from './Modal';
+
+// One tutorial page per step; the last one summarises the controls
+const STEPS = [
+  {
+    title: 'Take turns',
+    body: 'X always moves first. Players take turns placing their mark in an empty square.',
+  },
+  {
+    title: 'Get marks in a row',
+    body:
+      'The first player to line up enough of their marks in a row, column or diagonal wins. ' +
+      'On the classic 3×3 board that is three; larger boards let you choose how many are needed.',
+  },
+  {
+    title: 'Or fill the board',
+    body: 'If every square is taken and nobody has a line, the game is a draw.',
+  },
+  {
+    title: 'Pick an opponent',
+    body:
+      'Play with a friend on this device, against the computer at easy, medium or hard, ' +
+      'or online: host a game and share its join code or link with your opponent.',
+  },
+  {
+    title: 'Change your mind',
+    body:
+      'Undo and Redo step through the moves, and clicking a move in the list shows the board at that point. ' +
+      'Playing a different move from there starts a new line of play. Games are saved on this device ' +
+      'and sync with the server when it is reachable.',
+  },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * HowItWorksDialog explains the rules as a short step-by-step tutorial,
+ * opened from the Navbar's "How it works" button.
+ */
+export default function HowItWorksDialog({ onClose }) {
+  const [step, setStep] = useState(0);
+  const current = STEPS[step];
+  const isLast = step === STEPS.length - 1;
+
+  return (
+    <Modal title="How it works" onClose={onClose}>
+      <div className="tutorial" aria-live="polite">
+        <div className="kicker">Step {step + 1} of {STEPS.length}</div>
+        <h4 className="tutorial-title">{current.title}</h4>
+        <p className="meta tutorial-body">{current.body}</p>
+      </div>
+      <div className="setup-actions">
+        <button type="button" className="btn" onClick={() => setStep((s) => s - 1)} disabled={step === 0}>
+          Back
+        </button>
+        {isLast ? (
+          <button type="button" className="btn btn-primary" onClick={onClose}>
+            Got it
+          </button>
+        ) : (
+          <button type="button" className="btn btn-primary" onClick={() => setStep((s) => s + 1)}>
+            Next
+          </button>
+        )}
+      </div>
+    </Modal>
+  );
+}
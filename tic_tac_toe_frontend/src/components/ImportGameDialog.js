@@ -0,0 +1,116 @@
+import React, { useMemo, useState } from 'react';
+import { useGameContext } from '../context';
+import { formatVariant } from '../engine';
+import { parseGameFile, saveImportedGame } from '../gameFile';
+import { playerLabel } from '../players';
+import { showBoard } from '../router';
+import Modal from './Modal';
+
+const RESULT_TEXT = {
+  draw: 'Draw',
+  '*': 'Unfinished',
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * ImportGameDialog reads a game file (JSON or the text notation, see gameFile),
+ * chosen from disk or pasted in.
+ * - The moves are checked with the rules engine as soon as the file is read;
+ *   problems are shown instead of the actions
+ * - Watch replay keeps the game on this device and opens it in the replay viewer
+ * - Continue playing (unfinished games only) starts a two-player game on the
+ *   board from the file's last position
+ */
+export default function ImportGameDialog({ onClose }) {
+  const { openReplay, continueGame } = useGameContext();
+  const [content, setContent] = useState('');
+  const [readError, setReadError] = useState(null);
+
+  const parsed = useMemo(() => {
+    if (!content.trim()) return { game: null, error: null };
+    try {
+      return { game: parseGameFile(content), error: null };
+    } catch (e) {
+      return { game: null, error: e.message };
+    }
+  }, [content]);
+  const { game } = parsed;
+  const error = readError || parsed.error;
+
+  const chooseFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    file.text().then(
+      (text) => {
+        setReadError(null);
+        setContent(text);
+      },
+      () => setReadError(`Could not read "${file.name}".`)
+    );
+  };
+
+  const watchReplay = () => {
+    openReplay(saveImportedGame(game));
+    onClose();
+  };
+
+  const continuePlaying = () => {
+    continueGame(game);
+    showBoard();
+    onClose();
+  };
+
+  return (
+    <Modal title="Import game" onClose={onClose} className="modal-wide">
+      <div className="auth-form">
+        <label className="meta player-field">
+          Game file (.json or .txt)
+          <input type="file" accept=".json,.txt,application/json,text/plain" onChange={chooseFile} />
+        </label>
+        <label className="meta player-field">
+          Or paste it here
+          <textarea
+            className="import-text"
+            value={content}
+            onChange={(e) => {
+              setReadError(null);
+              setContent(e.target.value);
+            }}
+            rows={8}
+            spellCheck={false}
+            aria-label="Game file contents"
+          />
+        </label>
+
+        {error ? (
+          <div className="meta form-error" role="alert">{error}</div>
+        ) : game ? (
+          <div className="meta" role="status" aria-label="Imported game">
+            {playerLabel('X', game.players)} vs {playerLabel('O', game.players)} ·{' '}
+            {formatVariant(game)} ·{' '}
+            {game.positions.length} {game.positions.length === 1 ? 'move' : 'moves'} ·{' '}
+            {RESULT_TEXT[game.result] || `${playerLabel(game.result, game.players)} won`}
+          </div>
+        ) : null}
+
+        <div className="setup-actions">
+          <button type="button" className="btn" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="button" className="btn" onClick={watchReplay} disabled={!game}>
+            Watch replay
+          </button>
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={continuePlaying}
+            disabled={!game || game.result !== '*'}
+            title={game && game.result !== '*' ? 'This game is already over' : undefined}
+          >
+            Continue playing
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
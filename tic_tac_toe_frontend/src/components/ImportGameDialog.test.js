@@ -0,0 +1,81 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { GameProvider } from '../context';
+import { createMockGameServer } from '../testUtils/mockGameServer';
+import GameLayout from './GameLayout';
+import Navbar from './Navbar';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  global.fetch = createMockGameServer().fetch;
+});
+
+afterEach(() => {
+  delete global.fetch;
+  window.history.replaceState(null, '', '/');
+});
+
+function renderApp() {
+  render(
+    <GameProvider>
+      <Navbar />
+      <GameLayout />
+    </GameProvider>
+  );
+}
+
+const openImport = (content) => {
+  fireEvent.click(screen.getByRole('button', { name: 'Import game' }));
+  fireEvent.change(screen.getByLabelText('Game file contents'), { target: { value: content } });
+  return within(screen.getByRole('dialog', { name: 'Import game' }));
+};
+
+test('checks a pasted game and continues playing from its last position', async () => {
+  renderApp();
+  const dialog = openImport('1. a1 a1');
+  expect(dialog.getByRole('alert')).toHaveTextContent('Move 2 (a1) is on a cell that is already taken.');
+  expect(dialog.getByRole('button', { name: 'Continue playing' })).toBeDisabled();
+
+  fireEvent.change(dialog.getByLabelText('Game file contents'), {
+    target: { value: '[X "Alice"]\n[O "Bob"]\n\n1. b2 a1 2. c3 *' },
+  });
+  expect(dialog.getByLabelText('Imported game')).toHaveTextContent(
+    'Alice (X) vs Bob (O) · 3×3, 3 in a row · 3 moves · Unfinished'
+  );
+  fireEvent.click(dialog.getByRole('button', { name: 'Continue playing' }));
+
+  const board = within(screen.getByLabelText('Tic Tac Toe board area'));
+  await waitFor(() => expect(board.getByRole('status')).toHaveTextContent('Turn: Bob (O)'));
+  expect(board.getByLabelText('Row 2, column 2, contains X')).toBeInTheDocument();
+  expect(board.getByLabelText('Row 3, column 3, contains X')).toBeInTheDocument();
+  fireEvent.click(board.getByLabelText('Row 1, column 2, empty'));
+  await waitFor(() => expect(board.getByRole('status')).toHaveTextContent('Turn: Alice (X)'));
+});
+
+test('posts the moves of a continued Qubic game as cube cells while a flat board is on screen', async () => {
+  const server = createMockGameServer();
+  const posted = [];
+  global.fetch = (url, options) => {
+    if (/\/moves$/.test(String(url))) posted.push(JSON.parse(options.body));
+    return server.fetch(url, options);
+  };
+  renderApp();
+  const dialog = openImport('[X "Alice"]\n[O "Bob"]\n[Variant "qubic"]\n\n1. 1:a1 1:b1 2. 2:b2 *');
+  fireEvent.click(dialog.getByRole('button', { name: 'Continue playing' }));
+
+  const board = within(screen.getByLabelText('Tic Tac Toe board area'));
+  await waitFor(() => expect(board.getByRole('status')).toHaveTextContent('Turn: Bob (O)'));
+  expect(posted.map(({ layer, row, col }) => [layer, row, col])).toEqual([[0, 0, 0], [0, 0, 1], [1, 1, 1]]);
+});
+
+test('opens a finished game from a file in the replay viewer', async () => {
+  renderApp();
+  const file = { format: 'tictactoe-game', version: 1, players: { X: 'Alice', O: 'Bob' } };
+  const dialog = openImport(JSON.stringify({ ...file, moves: ['a1', 'b2', 'b1', 'c3', 'c1'], result: 'X' }));
+  expect(dialog.getByRole('button', { name: 'Continue playing' })).toBeDisabled();
+  fireEvent.click(dialog.getByRole('button', { name: 'Watch replay' }));
+
+  expect(window.location.pathname).toMatch(/^\/replay\/imported-/);
+  fireEvent.click(await screen.findByRole('button', { name: 'Go to end' }));
+  expect(screen.getByLabelText('Game replay')).toHaveTextContent('Winner: Alice (X)');
+});
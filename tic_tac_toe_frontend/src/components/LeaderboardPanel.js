@@ -0,0 +1,202 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { formatError, isCancelled } from '../api';
+import useAbortSignal from '../hooks/useAbortSignal';
+import {
+  clearRankedRows,
+  DEFAULT_PAGE_SIZE,
+  formatWinRate,
+  loadLeaderboardPage,
+  SORT_FIELDS,
+  SORT_LABELS,
+  TIME_WINDOW_LABELS,
+  TIME_WINDOWS,
+} from '../leaderboard';
+import { navigate, pathFor, ROUTES } from '../router';
+
+// Wait for typing to pause before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * PUBLIC_INTERFACE
+ * LeaderboardPanel shows the leaderboard one server-side page at a time.
+ * - Columns (rating, wins, win rate, games) sort on click; clicking again flips the order
+ * - Ratings are the backend's Elo, or computed locally when the backend has none
+ * - Name search and a time window (today, this week, all time) filter the rows
+ * - Reloads whenever `refreshKey` changes (the Sidebar passes the last finished game)
+ * - Clicking a player opens their profile (/player/:id) with recent games and head-to-head records
+ */
+export default function LeaderboardPanel({ refreshKey }) {
+  const [query, setQuery] = useState({ sort: 'rating', order: 'desc', search: '', window: 'all', page: 1 });
+  const [searchText, setSearchText] = useState('');
+  const [state, setState] = useState({ loading: false, error: null, rows: [], total: 0 });
+  const nextSignal = useAbortSignal();
+
+  const fetchLeaderboard = useCallback(async () => {
+    const signal = nextSignal();
+    setState((s) => ({ ...s, loading: true, error: null }));
+    try {
+      const { rows, total } = await loadLeaderboardPage({ ...query, pageSize: DEFAULT_PAGE_SIZE }, { signal });
+      setState({ loading: false, error: null, rows, total });
+    } catch (e) {
+      if (isCancelled(e)) return;
+      setState({ loading: false, error: e, rows: [], total: 0 });
+    }
+  }, [query, nextSignal]);
+
+  // Load whenever the query changes and again whenever a game finishes (refreshKey changes);
+  // a finished game also outdates the rows kept for ranking by local rating
+  useEffect(() => {
+    clearRankedRows();
+  }, [refreshKey]);
+  useEffect(() => {
+    fetchLeaderboard();
+  }, [fetchLeaderboard, refreshKey]);
+
+  // Searching starts over at the first page
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery((q) => (q.search === searchText.trim() ? q : { ...q, search: searchText.trim(), page: 1 }));
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchText]);
+
+  const sortBy = (field) =>
+    setQuery((q) => ({
+      ...q,
+      sort: field,
+      order: q.sort === field && q.order === 'desc' ? 'asc' : 'desc',
+      page: 1,
+    }));
+
+  const pageCount = Math.max(1, Math.ceil(state.total / DEFAULT_PAGE_SIZE));
+  const firstRank = (query.page - 1) * DEFAULT_PAGE_SIZE + 1;
+
+  return (
+    <section className="sidebar-card" aria-label="Leaderboard">
+      <div className="panel-header">
+        <h3 className="sidebar-title">Leaderboard</h3>
+        <button
+          type="button"
+          className="btn"
+          onClick={fetchLeaderboard}
+          aria-label="Refresh leaderboard"
+          disabled={state.loading}
+        >
+          {state.loading ? 'Refreshing…' : 'Refresh'}
+        </button>
+      </div>
+
+      <div className="leaderboard-filters">
+        <input
+          type="search"
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          placeholder="Search players"
+          aria-label="Search players"
+        />
+        <select
+          value={query.window}
+          onChange={(e) => setQuery((q) => ({ ...q, window: e.target.value, page: 1 }))}
+          aria-label="Time period"
+        >
+          {TIME_WINDOWS.map((w) => (
+            <option key={w} value={w}>{TIME_WINDOW_LABELS[w]}</option>
+          ))}
+        </select>
+      </div>
+
+      {state.error ? (
+        <div className="meta form-error">
+          {formatError(state.error) || 'Unable to load leaderboard. Try again.'}
+        </div>
+      ) : state.rows.length === 0 ? (
+        <>
+          <div className="hr" />
+          <div className="meta">
+            {state.loading
+              ? 'Loading leaderboard…'
+              : query.search
+                ? `No players match "${query.search}".`
+                : 'Global rankings will appear here once games are played.'}
+          </div>
+        </>
+      ) : (
+        <>
+          <table className="leaderboard-table" aria-busy={state.loading}>
+            <thead>
+              <tr>
+                <th scope="col">#</th>
+                <th scope="col">Player</th>
+                {SORT_FIELDS.map((field) => (
+                  <th
+                    key={field}
+                    scope="col"
+                    aria-sort={query.sort === field ? (query.order === 'asc' ? 'ascending' : 'descending') : 'none'}
+                  >
+                    <button type="button" className="sort-button" onClick={() => sortBy(field)}>
+                      {SORT_LABELS[field]}
+                      {query.sort === field ? (query.order === 'asc' ? ' ▲' : ' ▼') : ''}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {state.rows.map((row, i) => (
+                <tr key={row.id} className="leaderboard-row" onClick={() => openProfile(row)}>
+                  <td className="meta">{firstRank + i}</td>
+                  <td>
+                    <button
+                      type="button"
+                      className="player-link"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        openProfile(row);
+                      }}
+                    >
+                      {row.name}
+                    </button>
+                  </td>
+                  <td
+                    className="kicker"
+                    title={row.ratingSource === 'local' ? 'Rating computed on this device from recorded results' : undefined}
+                  >
+                    {row.rating}
+                  </td>
+                  <td>{row.wins}</td>
+                  <td>{formatWinRate(row.winRate)}</td>
+                  <td>{row.gamesPlayed}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="pagination" role="navigation" aria-label="Leaderboard pages">
+            <button
+              type="button"
+              className="btn btn-small"
+              onClick={() => setQuery((q) => ({ ...q, page: q.page - 1 }))}
+              disabled={query.page <= 1 || state.loading}
+            >
+              Previous
+            </button>
+            <span className="meta">Page {query.page} of {pageCount}</span>
+            <button
+              type="button"
+              className="btn btn-small"
+              onClick={() => setQuery((q) => ({ ...q, page: q.page + 1 }))}
+              disabled={query.page >= pageCount || state.loading}
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
+
+    </section>
+  );
+}
+
+/** Open a player's profile route; the row is passed along so it shows while the profile loads. */
+function openProfile(row) {
+  navigate(pathFor(ROUTES.PLAYER, { id: row.id }), { state: { player: row } });
+}
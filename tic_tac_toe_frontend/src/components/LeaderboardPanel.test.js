@@ -0,0 +1,51 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { api } from '../api';
+import { GameProvider } from '../context';
+import { createMockGameServer } from '../testUtils/mockGameServer';
+import GameLayout from './GameLayout';
+
+// X takes the top row while O plays below it
+const X_WINS = [0, 3, 1, 4, 2];
+
+async function playGame(x, o, moves) {
+  const game = await api.createGame(x.id, o.id);
+  for (const position of moves) await api.postMove(game.id, position);
+}
+
+beforeEach(async () => {
+  global.fetch = createMockGameServer().fetch;
+  const [alice, bob, carol] = await Promise.all(['Alice', 'Bob', 'Carol'].map((name) => api.createPlayer(name)));
+  await playGame(alice, bob, X_WINS);
+  await playGame(alice, carol, X_WINS);
+  await playGame(bob, carol, X_WINS);
+  await playGame(carol, alice, X_WINS);
+});
+
+afterEach(() => {
+  delete global.fetch;
+  window.history.replaceState(null, '', '/');
+});
+
+const names = () => within(screen.getAllByRole('rowgroup')[1]).getAllByRole('button').map((b) => b.textContent);
+
+test('sorts, searches and opens a player profile', async () => {
+  render(<GameLayout />, { wrapper: GameProvider });
+  await waitFor(() => expect(names()).toEqual(['Alice', 'Bob', 'Carol']));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Games' }));
+  expect(screen.getByRole('columnheader', { name: /Games/ })).toHaveAttribute('aria-sort', 'descending');
+  await waitFor(() => expect(names()).toEqual(['Alice', 'Carol', 'Bob']));
+
+  fireEvent.change(screen.getByLabelText('Search players'), { target: { value: 'car' } });
+  await waitFor(() => expect(names()).toEqual(['Carol']));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Carol' }));
+  expect(window.location.pathname).toMatch(/^\/player\/player-\d+$/);
+  const profile = within(await screen.findByRole('dialog', { name: 'Carol' }));
+  const recent = within(await profile.findByRole('list', { name: 'Recent games' }));
+  expect(recent.getAllByRole('listitem')).toHaveLength(3);
+  const h2h = within(profile.getByRole('table', { name: 'Head to head' }));
+  expect(h2h.getByRole('row', { name: 'Alice 1 1 0' })).toBeInTheDocument();
+  expect(h2h.getByRole('row', { name: 'Bob 0 1 0' })).toBeInTheDocument();
+});
@@ -0,0 +1,47 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * Modal renders a centered dialog over a dimmed backdrop.
+ * - `title` labels the dialog and is shown as its heading
+ * - Escape, a click on the backdrop or onClose() from the content closes it
+ * - Focus moves into the dialog on open and back to the opener on close
+ */
+export default function Modal({ title, onClose, children, className = '' }) {
+  const dialogRef = useRef(null);
+  const titleId = useRef(`modal-title-${Math.random().toString(36).slice(2, 8)}`).current;
+  // Callers may pass a new onClose each render; focus handling must only run on open/close
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    const dialog = dialogRef.current;
+    const firstField = dialog && dialog.querySelector('input, select, textarea, button');
+    if (firstField) firstField.focus();
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onCloseRef.current();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => {
+      window.removeEventListener('keydown', onKeyDown);
+      if (opener && opener.focus) opener.focus();
+    };
+  }, []);
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className={`modal ${className}`}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id={titleId} className="sidebar-title">{title}</h3>
+        {children}
+      </div>
+    </div>
+  );
+}
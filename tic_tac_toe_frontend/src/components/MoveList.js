@@ -1,40 +1,75 @@
 import React from 'react';
+import { formatPosition } from '../engine';
+import { playerLabel } from '../players';
 
 /**
  * PUBLIC_INTERFACE
  * MoveList lists chronological moves for the current game.
- * It expects moves to be an array of objects like { moveNumber, player, position }.
+ * It expects moves to be an array of objects like { moveNumber, player, position, mark?, playedAt? },
+ * the board size and variant used to format positions (Ultimate and Notakto moves read
+ * "board 5, cell 3", Qubic moves "layer 2, row 1, col 3") and optional player names by
+ * symbol. Wild moves name the mark placed.
+ * Moves stamped with playedAt show the time they were made.
+ * When onSelect is provided, entries become buttons that jump to that move
+ * (onSelect(0) returns to the start); moves after currentMove are shown dimmed.
  */
-export default function MoveList({ moves }) {
+export default function MoveList({ moves, size = 3, variant = 'classic', names, currentMove, onSelect }) {
   if (!moves || moves.length === 0) {
     return (
       <div className="meta">No moves yet. Make the first move to begin!</div>
     );
   }
 
+  const selectable = typeof onSelect === 'function';
+  const current = currentMove ?? moves.length;
+
   return (
     <ol className="move-list" aria-label="Move List">
+      {selectable ? (
+        <li className={`move-item ${current === 0 ? 'move-item-current' : ''}`}>
+          <span className="move-dot" aria-hidden="true" />
+          <button
+            type="button"
+            className="move-button"
+            onClick={() => onSelect(0)}
+            aria-current={current === 0 ? 'step' : undefined}
+          >
+            Game start
+          </button>
+        </li>
+      ) : null}
       {moves.map((m, idx) => {
-        const display = `#${m.moveNumber ?? idx + 1} - ${m.player} to ${formatPos(
-          m.position
-        )}`;
+        const moveNumber = m.moveNumber ?? idx + 1;
+        const display = `#${moveNumber} - ${playerLabel(m.player, names)} to ${formatPosition(
+          m.position,
+          size,
+          variant
+        )}${m.mark ? ` with ${m.mark}` : ''}`;
+        const stateClass =
+          moveNumber === current ? 'move-item-current' : moveNumber > current ? 'move-item-future' : '';
         return (
-          <li key={`${m.moveNumber ?? idx}-${m.position}`} className="move-item">
+          <li key={`${m.moveNumber ?? idx}-${m.position}`} className={`move-item ${stateClass}`}>
             <span className="move-dot" aria-hidden="true" />
-            <span className="move-text">{display}</span>
+            {selectable ? (
+              <button
+                type="button"
+                className="move-button"
+                onClick={() => onSelect(moveNumber)}
+                aria-current={moveNumber === current ? 'step' : undefined}
+              >
+                {display}
+              </button>
+            ) : (
+              <span className="move-text">{display}</span>
+            )}
+            {m.playedAt ? (
+              <time className="move-time" dateTime={m.playedAt}>
+                {new Date(m.playedAt).toLocaleTimeString()}
+              </time>
+            ) : null}
           </li>
         );
       })}
     </ol>
   );
 }
-
-/**
- * Convert position (0-8) to human-friendly row/col.
- */
-function formatPos(p) {
-  if (typeof p !== 'number') return '?';
-  const row = Math.floor(p / 3) + 1;
-  const col = (p % 3) + 1;
-  return `row ${row}, col ${col}`;
-}
@@ -0,0 +1,108 @@
+import React from 'react';
+import { fromUltimateGrid, isNotakto, playableBoards, toBoardCell, toUltimateGrid, ULTIMATE_BOARDS } from '../engine';
+import useRovingFocus from '../hooks/useRovingFocus';
+import Square from './Square';
+import WinStrike from './WinStrike';
+
+/**
+ * PUBLIC_INTERFACE
+ * MultiBoard renders a game played on several small 3×3 boards of Square buttons
+ * (`game` is its engine state): Ultimate's nine boards in a 3×3 meta-board, or
+ * Notakto's one to three boards side by side.
+ * - The small boards the next move may go on are highlighted; a claimed Ultimate board
+ *   shows its owner's mark over it, and drawn or dead boards are dimmed
+ * - Ultimate's winning line of small boards is highlighted and struck through; on
+ *   Notakto the cells of the line that killed the last board are highlighted
+ * - Each small board is an ARIA grid; the whole board has one tab stop and the arrow
+ *   keys move across all cells as drawn (Home/End and Ctrl+Home/End as on BoardGrid)
+ * - Enter or Space plays the focused cell through onPlay(position); cells that can't
+ *   be played (or all of them when `disabled`) can be focused but not played
+ * - Changing `focusKey` moves focus to the top-left cell
+ */
+export default function MultiBoard({ game, label, onPlay, disabled = false, focusKey = null, className = '' }) {
+  const { board, subBoards, status, winningLine, variant } = game;
+  const notakto = isNotakto(game);
+  const open = new Set(playableBoards(game));
+  const winningBoards = new Set(notakto ? [] : winningLine || []);
+  const winningCells = new Set(notakto ? winningLine || [] : []);
+  // Boards are laid out three to a row, so Notakto's fit in one
+  const layout = notakto ? 'notakto-board' : 'ultimate-board';
+  const rows = Math.ceil(subBoards.length / 3) * 3;
+  const cols = Math.min(subBoards.length, 3) * 3;
+  const { activeCell, setActiveCell, cellRef, onGridKeyDown } = useRovingFocus({
+    rows,
+    cols,
+    toGrid: toUltimateGrid,
+    fromGrid: fromUltimateGrid,
+    cellCount: board.length,
+    focusKey,
+  });
+
+  const isPlayable = (position) =>
+    !disabled && !board[position] && open.has(toBoardCell(position).board) && typeof onPlay === 'function';
+
+  return (
+    <div
+      className={`${layout} ${status === 'draw' ? 'board-draw' : ''} ${className}`}
+      style={notakto ? { '--board-count': subBoards.length } : undefined}
+      role="group"
+      aria-label={label}
+      onKeyDown={onGridKeyDown}
+    >
+      {subBoards.map((result, index) => {
+        const stateClass = [
+          open.has(index) && !disabled ? 'sub-board-active' : '',
+          result ? `sub-board-${result === 'X' || result === 'O' ? 'claimed' : result}` : '',
+          winningBoards.has(index) ? 'sub-board-winning' : '',
+        ].join(' ');
+        return (
+          <div
+            key={index}
+            className={`sub-board ${stateClass}`}
+            role="grid"
+            aria-label={subBoardLabel(index, result, open.has(index))}
+          >
+            {[0, 1, 2].map((r) => (
+              <div key={r} className="board-row" role="row">
+                {[0, 1, 2].map((c) => {
+                  const position = index * ULTIMATE_BOARDS + r * 3 + c;
+                  return (
+                    <div key={position} className="board-cell" role="gridcell">
+                      <Square
+                        ref={cellRef(position)}
+                        index={position}
+                        variant={variant}
+                        value={board[position]}
+                        highlighted={winningCells.has(position)}
+                        onClick={() => onPlay(position)}
+                        disabled={!isPlayable(position)}
+                        tabIndex={position === activeCell ? 0 : -1}
+                        onFocus={() => setActiveCell(position)}
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+            {result === 'X' || result === 'O' ? (
+              <span className="sub-board-claim" aria-hidden="true">
+                {result}
+              </span>
+            ) : null}
+          </div>
+        );
+      })}
+      {/* Notakto's line is cells of one small board, which are only highlighted */}
+      {winningLine && !notakto ? <WinStrike line={winningLine} size={3} /> : null}
+    </div>
+  );
+}
+
+/** Accessible name of small board `index`: its number, result and whether the next move may go there. */
+function subBoardLabel(index, result, open) {
+  const name = `Board ${index + 1}`;
+  if (result === 'draw') return `${name}, drawn`;
+  if (result === 'dead') return `${name}, dead`;
+  if (result) return `${name}, won by ${result}`;
+  return open ? `${name}, next move here` : name;
+}
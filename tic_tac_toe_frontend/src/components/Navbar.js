@@ -1,19 +1,33 @@
-import React from 'react';
-// Wire the API client to be available for future use without altering UI yet
-// eslint-disable-next-line no-unused-vars
-import { api } from '../api';
+import React, { useCallback, useState } from 'react';
+import { signOut } from '../auth';
+import useSession from '../hooks/useSession';
+import useTheme from '../hooks/useTheme';
+import { navigate, pathFor, ROUTES } from '../router';
+import { setThemePreference, THEME_LABELS, THEMES } from '../theme';
+import AuthDialog from './AuthDialog';
+import HowItWorksDialog from './HowItWorksDialog';
+import ImportGameDialog from './ImportGameDialog';
+import NewGameDialog from './NewGameDialog';
+import SyncIndicator from './SyncIndicator';
 
 /**
  * PUBLIC_INTERFACE
  * Navbar renders the top navigation bar with brand and actions.
- * It dispatches a "new-game" CustomEvent on window for GameBoard to optionally handle.
+ * - New Game opens the game options dialog, which starts the game through the shared GameContext
+ * - Games opens the archive of past games (/history), to resume or review one;
+ *   Leaderboard opens the full leaderboard (/leaderboard) and Tournaments the
+ *   tournaments played on this device (/tournaments)
+ * - Import reads a game file to replay it or play on from its last position
+ * - How it works opens the rules tutorial
+ * - Shows the offline sync status and lets the user sign in or out
+ * - The theme switch picks light, dark, high contrast or the system setting
  */
 export default function Navbar() {
-  const onNewGame = () => {
-    // Fire-and-forget event; if no listener, it's a no-op
-    const evt = new CustomEvent('new-game', { bubbles: false });
-    window.dispatchEvent(evt);
-  };
+  const session = useSession();
+  const { preference } = useTheme();
+  // Which dialog is open: 'auth' | 'new-game' | 'import' | 'how-it-works' | null
+  const [dialog, setDialog] = useState(null);
+  const closeDialog = useCallback(() => setDialog(null), []);
 
   return (
     <nav className="navbar" role="navigation" aria-label="Main">
@@ -23,10 +37,49 @@ export default function Navbar() {
           <span>Ocean Tic Tac Toe</span>
         </div>
         <div className="nav-actions">
-          <button className="btn" type="button" aria-label="How it works">How it works</button>
-          <button className="btn btn-primary" type="button" aria-label="New Game" onClick={onNewGame}>New Game</button>
+          <SyncIndicator />
+          <select
+            className="theme-select"
+            aria-label="Theme"
+            value={preference}
+            onChange={(e) => setThemePreference(e.target.value)}
+          >
+            {THEMES.map((theme) => (
+              <option key={theme} value={theme}>{THEME_LABELS[theme]}</option>
+            ))}
+          </select>
+          {session ? (
+            <>
+              <span className="meta nav-user">Signed in as <strong>{session.user.name}</strong></span>
+              <button className="btn" type="button" onClick={signOut}>Sign out</button>
+            </>
+          ) : (
+            <button className="btn" type="button" onClick={() => setDialog('auth')}>Sign in</button>
+          )}
+          <button className="btn" type="button" onClick={() => navigate(pathFor(ROUTES.HISTORY))}>
+            Games
+          </button>
+          <button className="btn" type="button" onClick={() => navigate(pathFor(ROUTES.LEADERBOARD))}>
+            Leaderboard
+          </button>
+          <button className="btn" type="button" onClick={() => navigate(pathFor(ROUTES.TOURNAMENTS))}>
+            Tournaments
+          </button>
+          <button className="btn" type="button" aria-label="Import game" onClick={() => setDialog('import')}>
+            Import
+          </button>
+          <button className="btn" type="button" aria-label="How it works" onClick={() => setDialog('how-it-works')}>
+            How it works
+          </button>
+          <button className="btn btn-primary" type="button" aria-label="New Game" onClick={() => setDialog('new-game')}>
+            New Game
+          </button>
         </div>
       </div>
+      {dialog === 'auth' ? <AuthDialog onClose={closeDialog} /> : null}
+      {dialog === 'new-game' ? <NewGameDialog onClose={closeDialog} /> : null}
+      {dialog === 'import' ? <ImportGameDialog onClose={closeDialog} /> : null}
+      {dialog === 'how-it-works' ? <HowItWorksDialog onClose={closeDialog} /> : null}
     </nav>
   );
 }
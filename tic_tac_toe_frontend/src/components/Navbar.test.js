@@ -0,0 +1,78 @@
+import React from 'react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { installAuth } from '../auth';
+import { GameProvider } from '../context';
+import { createMockGameServer } from '../testUtils/mockGameServer';
+import GameLayout from './GameLayout';
+import Navbar from './Navbar';
+
+let uninstall;
+
+beforeEach(() => {
+  window.localStorage.clear();
+  global.fetch = createMockGameServer({ requireAuth: true }).fetch;
+  uninstall = installAuth();
+});
+
+afterEach(() => {
+  uninstall();
+  delete global.fetch;
+});
+
+test('creates an account, signs in and out from the navbar', async () => {
+  render(<Navbar />, { wrapper: GameProvider });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+  const dialog = screen.getByRole('dialog', { name: 'Sign in' });
+  expect(dialog).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Create an account' }));
+  fireEvent.change(screen.getByLabelText('Username'), { target: { value: 'alice' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'secret' } });
+  fireEvent.change(screen.getByLabelText('Display name'), { target: { value: 'Alice' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Create account' }));
+
+  await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+  expect(screen.getByText(/Signed in as/)).toHaveTextContent('Signed in as Alice');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Sign out' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+  fireEvent.change(screen.getByLabelText('Username'), { target: { value: 'alice' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'wrong' } });
+  fireEvent.click(within(screen.getByRole('dialog')).getByRole('button', { name: 'Sign in' }));
+  expect(await screen.findByRole('alert')).toHaveTextContent('Wrong username or password.');
+});
+
+test('starts a game from the navbar dialog and shows its moves in the sidebar', async () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  render(
+    <GameProvider>
+      <Navbar />
+      <GameLayout />
+    </GameProvider>
+  );
+
+  fireEvent.click(screen.getByRole('button', { name: 'New Game' }));
+  const dialog = within(screen.getByRole('dialog', { name: 'New game' }));
+  fireEvent.change(dialog.getByLabelText('Name for X'), { target: { value: 'Alice' } });
+  fireEvent.change(dialog.getByLabelText('Name for O'), { target: { value: 'Bob' } });
+  fireEvent.click(dialog.getByRole('button', { name: 'Start game' }));
+
+  await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+  await waitFor(() => expect(screen.getByLabelText('Row 2, column 2, empty')).toHaveAttribute('aria-disabled', 'false'));
+  fireEvent.click(screen.getByLabelText('Row 2, column 2, empty'));
+
+  const history = within(await screen.findByRole('list', { name: 'Game Move History' }));
+  expect(history.getByText('#1 - Alice (X) to row 2, col 2')).toBeInTheDocument();
+});
+
+test('walks through the rules tutorial', async () => {
+  render(<Navbar />, { wrapper: GameProvider });
+  const opener = screen.getByRole('button', { name: 'How it works' });
+  opener.focus();
+  fireEvent.click(opener);
+  expect(screen.getByText('Step 1 of 5')).toBeInTheDocument();
+  for (let i = 0; i < 4; i += 1) fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Got it' }));
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(opener).toHaveFocus();
+});
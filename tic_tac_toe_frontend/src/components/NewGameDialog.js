@@ -0,0 +1,40 @@
+import React from 'react';
+import { useGameContext } from '../context';
+import useSession from '../hooks/useSession';
+import { showBoard } from '../router';
+import Modal from './Modal';
+import PlayerSetup from './PlayerSetup';
+
+/**
+ * PUBLIC_INTERFACE
+ * NewGameDialog lets the Navbar start a game with chosen opponent, board and
+ * names (or join one by code), prefilled from the active game's settings.
+ * The choice is sent to GameBoard as a new-game or join command, and a page
+ * other than the board (e.g. /history) is left for the board.
+ */
+export default function NewGameDialog({ onClose }) {
+  const { activeGame, startNewGame, joinGame } = useGameContext();
+  const session = useSession();
+
+  return (
+    <Modal title="New game" onClose={onClose} className="modal-wide">
+      <PlayerSetup
+        initialMode={activeGame ? activeGame.mode : undefined}
+        initialNames={activeGame ? activeGame.names : undefined}
+        accountName={session ? session.user.name : null}
+        heading={null}
+        onStart={(mode, names) => {
+          startNewGame(mode, names);
+          showBoard();
+          onClose();
+        }}
+        onJoin={(code) => {
+          joinGame(code);
+          showBoard();
+          onClose();
+        }}
+        onCancel={onClose}
+      />
+    </Modal>
+  );
+}
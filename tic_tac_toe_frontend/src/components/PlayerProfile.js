@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from 'react';
+import { api, isCancelled, NotFoundError } from '../api';
+import useAbortSignal from '../hooks/useAbortSignal';
+import { formatWinRate, headToHead, normalizePlayerRecord, opponentOf, resultFor } from '../leaderboard';
+import Modal from './Modal';
+
+// How many games to load; head-to-head records are computed from these
+const GAMES_TO_LOAD = 50;
+const RECENT_GAMES_SHOWN = 10;
+
+const RESULT_LABELS = { win: 'Won', loss: 'Lost', draw: 'Draw', ongoing: 'In progress' };
+
+/**
+ * PUBLIC_INTERFACE
+ * PlayerProfile is a dialog with a player's totals, their recent games and
+ * their head-to-head record against each opponent (shown for the /player/:id route).
+ * `player` is an optional leaderboard row ({ id, name, ... }) shown until the
+ * full profile has loaded.
+ * When `onReplay` is given each recent game gets a Replay button calling onReplay(gameId).
+ */
+export default function PlayerProfile({ playerId, player, onClose, onReplay }) {
+  const [state, setState] = useState(() => ({
+    loading: true,
+    error: null,
+    stats: player || { ...normalizePlayerRecord({ id: playerId }), name: 'Player' },
+    games: [],
+  }));
+  const nextSignal = useAbortSignal();
+
+  useEffect(() => {
+    const signal = nextSignal();
+    Promise.all([api.getPlayer(playerId, { signal }), api.getPlayerGames(playerId, { limit: GAMES_TO_LOAD, signal })])
+      .then(([stats, games]) => {
+        const list = Array.isArray(games) ? games : (games && games.items) || [];
+        setState({ loading: false, error: null, stats: normalizePlayerRecord(stats), games: list });
+      })
+      .catch((e) => {
+        if (isCancelled(e)) return;
+        setState((s) => ({ ...s, loading: false, error: e }));
+      });
+  }, [playerId, nextSignal]);
+
+  const { stats, games } = state;
+  const records = headToHead(games, playerId);
+
+  return (
+    <Modal title={stats.name} onClose={onClose} className="modal-wide">
+      <div className="profile-stats" aria-label="Totals">
+        <Stat label="Rating" value={stats.rating} />
+        <Stat label="Games" value={stats.gamesPlayed} />
+        <Stat label="Wins" value={stats.wins} />
+        <Stat label="Losses" value={stats.losses} />
+        <Stat label="Draws" value={stats.draws} />
+        <Stat label="Win rate" value={formatWinRate(stats.winRate)} />
+        {stats.score !== null && stats.score !== undefined ? <Stat label="Score" value={stats.score} /> : null}
+      </div>
+
+      <h4 className="profile-heading">Rating history</h4>
+      <RatingHistoryChart history={stats.ratingHistory || []} />
+
+      {state.loading ? (
+        <div className="meta">Loading games…</div>
+      ) : state.error ? (
+        <div className="meta form-error">
+          {state.error instanceof NotFoundError ? 'No player found with this ID.' : "Unable to load this player's games."}
+        </div>
+      ) : (
+        <>
+          <h4 className="profile-heading">Recent games</h4>
+          {games.length === 0 ? (
+            <div className="meta">No games yet.</div>
+          ) : (
+            <ul className="profile-games" aria-label="Recent games">
+              {games.slice(0, RECENT_GAMES_SHOWN).map((game) => {
+                const result = resultFor(game, playerId);
+                return (
+                  <li key={game.id} className={`profile-game result-${result}`}>
+                    <span>vs {opponentOf(game, playerId).name}</span>
+                    <span className="meta">{formatDate(game.finishedAt || game.createdAt)}</span>
+                    <strong>{RESULT_LABELS[result]}</strong>
+                    {onReplay ? (
+                      <button
+                        type="button"
+                        className="btn-link"
+                        onClick={() => onReplay(game.id)}
+                        aria-label={`Replay game vs ${opponentOf(game, playerId).name}`}
+                      >
+                        Replay
+                      </button>
+                    ) : null}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          <h4 className="profile-heading">Head to head</h4>
+          {records.length === 0 ? (
+            <div className="meta">No finished games yet.</div>
+          ) : (
+            <table className="leaderboard-table" aria-label="Head to head">
+              <thead>
+                <tr>
+                  <th scope="col">Opponent</th>
+                  <th scope="col">W</th>
+                  <th scope="col">L</th>
+                  <th scope="col">D</th>
+                </tr>
+              </thead>
+              <tbody>
+                {records.map((r) => (
+                  <tr key={r.opponentId}>
+                    <td>{r.opponentName}</td>
+                    <td>{r.wins}</td>
+                    <td>{r.losses}</td>
+                    <td>{r.draws}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+
+      <div className="setup-actions">
+        <button type="button" className="btn" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/** Small line chart of a player's rating after each rated game. */
+function RatingHistoryChart({ history }) {
+  if (history.length === 0) return <div className="meta">No rated games yet.</div>;
+  const first = history[0];
+  const points = [
+    ...(typeof first.delta === 'number' ? [first.rating - first.delta] : []),
+    ...history.map((h) => h.rating),
+  ];
+  const width = 240;
+  const height = 60;
+  const min = Math.min(...points);
+  const max = Math.max(...points);
+  const span = Math.max(max - min, 1);
+  const x = (i) => (points.length === 1 ? width / 2 : (i / (points.length - 1)) * width);
+  const y = (rating) => height - 4 - ((rating - min) / span) * (height - 8);
+  const last = points[points.length - 1];
+  return (
+    <figure className="rating-chart">
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        role="img"
+        aria-label={`Rating history: from ${points[0]} to ${last} over ${history.length} rated games`}
+      >
+        <polyline points={points.map((r, i) => `${x(i)},${y(r)}`).join(' ')} />
+      </svg>
+      <figcaption className="meta">
+        Low {min} · High {max} · Now {last}
+      </figcaption>
+    </figure>
+  );
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="profile-stat">
+      <span className="meta">{label}</span>
+      <strong>{value}</strong>
+    </div>
+  );
+}
+
+function formatDate(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+}
@@ -0,0 +1,293 @@
+import React, { useMemo, useState } from 'react';
+import { DIFFICULTIES, DIFFICULTY_LABELS } from '../ai';
+import { TIME_CONTROLS, TIMEOUT_ACTION_LABELS, TIMEOUT_ACTIONS, timeControlId } from '../clock';
+import { BOARD_PRESETS, GAME_VARIANTS, hasFixedBoard, NOTAKTO_MAX_BOARDS } from '../engine';
+import { loadHumanProfiles, normalizeName } from '../players';
+
+// PUBLIC_INTERFACE
+// Settings for a first game: two players on a classic 3×3 board, no time limit
+export const DEFAULT_MODE = Object.freeze({
+  opponent: 'human',
+  computerSymbol: 'O',
+  difficulty: 'medium',
+  variant: 'classic',
+  size: 3,
+  winLength: 3,
+  boards: NOTAKTO_MAX_BOARDS,
+  timeControl: null,
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * PlayerSetup is the pre-game screen shown by GameBoard.
+ * - Players enter a name or pick a remembered profile for each human side
+ * - Opponent (two players, computer, online), game (classic, Misère, Wild, Ultimate,
+ *   Notakto or Qubic), board and time control are chosen here; Ultimate and Qubic have a
+ *   fixed board and Notakto a choice of one to three boards
+ * - Online guests can join an existing game by code instead
+ * - A signed-in user (accountName) always plays the first human side under their account name
+ * - `heading` titles the form; pass null when it is shown inside a titled dialog
+ * Calls onStart(mode, names) with names like { X: 'Alice', O: 'Bob' } (the
+ * computer side is omitted), or onJoin(code).
+ */
+export default function PlayerSetup({
+  initialMode = DEFAULT_MODE,
+  initialNames,
+  accountName,
+  heading = 'New game',
+  onStart,
+  onJoin,
+  onCancel,
+  isBusy,
+}) {
+  const [draft, setDraft] = useState(initialMode);
+  const [names, setNames] = useState({ X: initialNames?.X || '', O: initialNames?.O || '' });
+  const [joinCode, setJoinCode] = useState('');
+  const [formError, setFormError] = useState(null);
+  const profiles = useMemo(() => loadHumanProfiles(), []);
+
+  const update = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const humanSymbols = ['X', 'O'].filter((s) => draft.opponent !== 'computer' || s !== draft.computerSymbol);
+  const accountSymbol = accountName ? humanSymbols[0] : null;
+  const nameFor = (symbol) => (symbol === accountSymbol ? accountName : names[symbol]);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const chosen = {};
+    for (const symbol of humanSymbols) {
+      chosen[symbol] = normalizeName(nameFor(symbol));
+      if (!chosen[symbol]) {
+        setFormError(`Enter a name for ${symbol}.`);
+        return;
+      }
+    }
+    if (chosen.X && chosen.O && chosen.X.toLowerCase() === chosen.O.toLowerCase()) {
+      setFormError('Players need different names.');
+      return;
+    }
+    setFormError(null);
+    onStart(draft, chosen);
+  };
+
+  return (
+    <div className="player-setup" aria-label="Game setup">
+      <form onSubmit={submit}>
+        {heading ? <h3 className="sidebar-title">{heading}</h3> : null}
+
+        <div className="game-options" role="group" aria-label="Game options">
+          <label className="meta">
+            Opponent{' '}
+            <select
+              value={draft.opponent}
+              onChange={(e) => update({ opponent: e.target.value })}
+              disabled={isBusy}
+              aria-label="Opponent"
+            >
+              <option value="human">Two players</option>
+              <option value="computer">vs Computer</option>
+              <option value="online">Online</option>
+            </select>
+          </label>
+          <label className="meta">
+            Game{' '}
+            <select
+              value={draft.variant || 'classic'}
+              onChange={(e) => {
+                // Ultimate, Notakto and Qubic boards aren't presets; other games start from the default board
+                const onPreset = BOARD_PRESETS.some((p) => p.size === draft.size);
+                update({
+                  variant: e.target.value,
+                  ...(onPreset ? {} : { size: DEFAULT_MODE.size, winLength: DEFAULT_MODE.winLength }),
+                });
+              }}
+              disabled={isBusy}
+              aria-label="Game variant"
+            >
+              {GAME_VARIANTS.map((v) => (
+                <option key={v.id} value={v.id}>{v.label}</option>
+              ))}
+            </select>
+          </label>
+          {draft.variant === 'notakto' ? (
+            <label className="meta">
+              Boards{' '}
+              <select
+                value={draft.boards || NOTAKTO_MAX_BOARDS}
+                onChange={(e) => update({ boards: Number(e.target.value) })}
+                disabled={isBusy}
+                aria-label="Number of boards"
+              >
+                {Array.from({ length: NOTAKTO_MAX_BOARDS }, (_, i) => i + 1).map((count) => (
+                  <option key={count} value={count}>{count}</option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+          {!hasFixedBoard(draft.variant) ? (
+            <label className="meta">
+              Board{' '}
+              <select
+                value={draft.size}
+                onChange={(e) => {
+                  const preset = BOARD_PRESETS.find((p) => p.size === Number(e.target.value));
+                  update({ size: preset.size, winLength: preset.winLength });
+                }}
+                disabled={isBusy}
+                aria-label="Board size"
+              >
+                {BOARD_PRESETS.map((p) => (
+                  <option key={p.id} value={p.size}>{p.label}</option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+          {!hasFixedBoard(draft.variant) && draft.size > 3 ? (
+            <label className="meta">
+              In a row{' '}
+              <select
+                value={draft.winLength}
+                onChange={(e) => update({ winLength: Number(e.target.value) })}
+                disabled={isBusy}
+                aria-label={draft.variant === 'misere' ? 'Marks in a row to lose' : 'Marks in a row to win'}
+              >
+                {winLengthOptions(draft.size).map((k) => (
+                  <option key={k} value={k}>{k}</option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+          <label className="meta">
+            Time{' '}
+            <select
+              value={timeControlId(draft.timeControl) || 'none'}
+              onChange={(e) => {
+                const preset = TIME_CONTROLS.find((p) => p.id === e.target.value);
+                const onTimeout = draft.timeControl ? draft.timeControl.onTimeout : 'lose';
+                update({ timeControl: preset.timeControl ? { ...preset.timeControl, onTimeout } : null });
+              }}
+              disabled={isBusy}
+              aria-label="Time control"
+            >
+              {TIME_CONTROLS.map((p) => (
+                <option key={p.id} value={p.id}>{p.label}</option>
+              ))}
+            </select>
+          </label>
+          {draft.timeControl ? (
+            <label className="meta">
+              On timeout{' '}
+              <select
+                value={draft.timeControl.onTimeout}
+                onChange={(e) => update({ timeControl: { ...draft.timeControl, onTimeout: e.target.value } })}
+                disabled={isBusy}
+                aria-label="On timeout"
+              >
+                {TIMEOUT_ACTIONS.map((a) => (
+                  <option key={a} value={a}>{TIMEOUT_ACTION_LABELS[a]}</option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+          {draft.opponent === 'computer' ? (
+            <>
+              <label className="meta">
+                Computer plays{' '}
+                <select
+                  value={draft.computerSymbol}
+                  onChange={(e) => update({ computerSymbol: e.target.value })}
+                  disabled={isBusy}
+                  aria-label="Computer plays"
+                >
+                  <option value="X">X</option>
+                  <option value="O">O</option>
+                </select>
+              </label>
+              <label className="meta">
+                Difficulty{' '}
+                <select
+                  value={draft.difficulty}
+                  onChange={(e) => update({ difficulty: e.target.value })}
+                  disabled={isBusy}
+                  aria-label="Difficulty"
+                >
+                  {DIFFICULTIES.map((d) => (
+                    <option key={d} value={d}>{DIFFICULTY_LABELS[d]}</option>
+                  ))}
+                </select>
+              </label>
+            </>
+          ) : null}
+        </div>
+
+        <div className="player-fields">
+          {humanSymbols.map((symbol) => (
+            <label key={symbol} className="meta player-field">
+              {draft.opponent === 'online' && symbol === 'O' ? 'Opponent (O)' : `Player ${symbol}`}
+              {symbol === accountSymbol ? ' (you)' : ''}
+              <input
+                type="text"
+                value={nameFor(symbol)}
+                readOnly={symbol === accountSymbol}
+                onChange={(e) => setNames((n) => ({ ...n, [symbol]: e.target.value }))}
+                list="known-players"
+                placeholder="Enter or pick a name"
+                aria-label={`Name for ${symbol}`}
+                maxLength={40}
+                disabled={isBusy}
+              />
+            </label>
+          ))}
+          <datalist id="known-players">
+            {profiles.map((p) => (
+              <option key={p.name} value={p.name} />
+            ))}
+          </datalist>
+        </div>
+
+        {formError ? (
+          <div className="meta form-error" role="alert">{formError}</div>
+        ) : null}
+
+        <div className="setup-actions">
+          {onCancel ? (
+            <button type="button" className="btn" onClick={onCancel} disabled={isBusy}>
+              Cancel
+            </button>
+          ) : null}
+          <button type="submit" className="btn btn-primary" disabled={isBusy}>
+            {draft.opponent === 'online' ? 'Host game' : 'Start game'}
+          </button>
+        </div>
+      </form>
+
+      {draft.opponent === 'online' ? (
+        <form
+          className="join-form"
+          onSubmit={(e) => {
+            e.preventDefault();
+            onJoin(joinCode);
+          }}
+        >
+          <input
+            type="text"
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value)}
+            placeholder="Or enter a join code"
+            aria-label="Join code"
+            disabled={isBusy}
+          />
+          <button type="submit" className="btn btn-small" disabled={isBusy || !joinCode.trim()}>
+            Join
+          </button>
+        </form>
+      ) : null}
+    </div>
+  );
+}
+
+/** Win lengths offered for a board size: 3 up to the full row, capped at 7. */
+function winLengthOptions(size) {
+  const options = [];
+  for (let k = 3; k <= Math.min(size, 7); k += 1) options.push(k);
+  return options;
+}
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { fromLayerRowCol, getGameLines, QUBIC_SIZE, toLayerRowCol } from '../engine';
+import useRovingFocus from '../hooks/useRovingFocus';
+import Square from './Square';
+
+const LAYERS = Array.from({ length: QUBIC_SIZE }, (_, i) => i);
+
+/**
+ * PUBLIC_INTERFACE
+ * QubicBoard renders a Qubic game (`game` is its engine state) as its four 4×4 layers
+ * of Square buttons stacked top to bottom, layer 1 being the top of the cube.
+ * - Hovering or focusing a cell highlights every winning line through it, across all
+ *   four layers, so pillars and space diagonals are easy to follow
+ * - The cells of the winning line are highlighted
+ * - Each layer is an ARIA grid; the whole cube has one tab stop. Arrow keys move within
+ *   a layer, Page Up/Page Down to the same cell one layer up/down, Home/End to the start/
+ *   end of the row and Ctrl+Home/End to the corners of the layer
+ * - Enter or Space plays the focused cell through onPlay(position); occupied cells (or
+ *   all of them when `disabled`) can be focused but not played
+ * - Changing `focusKey` moves focus to the top-left cell of the top layer
+ */
+export default function QubicBoard({ game, label, onPlay, disabled = false, focusKey = null, className = '' }) {
+  const [traced, setTraced] = useState(null);
+  const { board, status, winningLine, variant } = game;
+  const winningCells = new Set(winningLine || []);
+  const relatedCells = new Set(traced === null ? [] : getGameLines(game).byCell[traced].flat());
+
+  // Arrow keys and Home/End stay within the focused cell's layer
+  const { activeCell, setActiveCell, focusCell, cellRef, onGridKeyDown } = useRovingFocus({
+    rows: QUBIC_SIZE,
+    cols: QUBIC_SIZE,
+    toGrid: toLayerRowCol,
+    fromGrid: (row, col) => fromLayerRowCol(toLayerRowCol(activeCell).layer, row, col),
+    cellCount: board.length,
+    focusKey,
+  });
+
+  const isPlayable = (position) => !disabled && !board[position] && typeof onPlay === 'function';
+
+  const onKeyDown = (e) => {
+    if (onGridKeyDown(e)) return;
+    const { layer, row, col } = toLayerRowCol(activeCell);
+    const layers = { PageUp: Math.max(0, layer - 1), PageDown: Math.min(QUBIC_SIZE - 1, layer + 1) };
+    if (layers[e.key] === undefined) return;
+    e.preventDefault();
+    focusCell(fromLayerRowCol(layers[e.key], row, col));
+  };
+
+  const onBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setTraced(null);
+  };
+
+  return (
+    <div
+      className={`qubic-board ${status === 'draw' ? 'board-draw' : ''} ${className}`}
+      role="group"
+      aria-label={label}
+      onKeyDown={onKeyDown}
+      onBlur={onBlur}
+      onMouseLeave={() => setTraced(null)}
+    >
+      {LAYERS.map((layer) => (
+        <div key={layer} className="qubic-layer" role="grid" aria-label={layerLabel(layer)}>
+          <span className="qubic-layer-name" aria-hidden="true">
+            {layer + 1}
+          </span>
+          {LAYERS.map((row) => (
+            <div key={row} className="board-row" role="row">
+              {LAYERS.map((col) => {
+                const position = fromLayerRowCol(layer, row, col);
+                return (
+                  <div
+                    key={position}
+                    className="board-cell"
+                    role="gridcell"
+                    onMouseEnter={() => setTraced(position)}
+                  >
+                    <Square
+                      ref={cellRef(position)}
+                      index={position}
+                      variant={variant}
+                      value={board[position]}
+                      highlighted={winningCells.has(position)}
+                      related={relatedCells.has(position) && position !== traced}
+                      onClick={() => onPlay(position)}
+                      disabled={!isPlayable(position)}
+                      tabIndex={position === activeCell ? 0 : -1}
+                      onFocus={() => {
+                        setActiveCell(position);
+                        setTraced(position);
+                      }}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/** Accessible name of a layer, saying which end of the cube the first and last are. */
+function layerLabel(layer) {
+  if (layer === 0) return 'Layer 1, top';
+  if (layer === QUBIC_SIZE - 1) return `Layer ${QUBIC_SIZE}, bottom`;
+  return `Layer ${layer + 1}`;
+}
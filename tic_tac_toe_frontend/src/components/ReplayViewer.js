@@ -0,0 +1,197 @@
+import React, { useEffect, useState } from 'react';
+import { isCancelled, NotFoundError } from '../api';
+import { copyText } from '../clipboard';
+import { formatVariant, gameConfigOf, isQubic, usesSmallBoards } from '../engine';
+import useAbortSignal from '../hooks/useAbortSignal';
+import { playerLabel } from '../players';
+import { BASE_STEP_MS, loadReplay, PLAYBACK_SPEEDS, replayLinkFor } from '../replay';
+import BoardGrid from './BoardGrid';
+import MoveList from './MoveList';
+import MultiBoard from './MultiBoard';
+import QubicBoard from './QubicBoard';
+
+/**
+ * PUBLIC_INTERFACE
+ * ReplayViewer plays back a past game on a read-only board.
+ * - Loads the game with getGame/getHistory (or from this device's saved games)
+ * - Play/pause, step back/forward, jump to start/end, playback speed and a scrubber
+ * - The winning line is highlighted once playback reaches the final position
+ * - "Copy link" shares the replay as a /replay/<gameId> URL
+ */
+export default function ReplayViewer({ gameId, onClose }) {
+  const [replay, setReplay] = useState(null);
+  const [error, setError] = useState(null);
+  const [cursor, setCursor] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const nextSignal = useAbortSignal();
+
+  useEffect(() => {
+    const signal = nextSignal();
+    setReplay(null);
+    setError(null);
+    setCursor(0);
+    loadReplay(gameId, { signal })
+      .then((loaded) => {
+        setReplay(loaded);
+        setIsPlaying(loaded.frames.length > 1);
+      })
+      .catch((e) => {
+        if (!isCancelled(e)) setError(e);
+      });
+  }, [gameId, nextSignal]);
+
+  const lastFrame = replay ? replay.frames.length - 1 : 0;
+
+  // Advance one move per step while playing; stop at the end
+  useEffect(() => {
+    if (!isPlaying || !replay) return undefined;
+    if (cursor >= lastFrame) {
+      setIsPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setCursor((c) => Math.min(c + 1, lastFrame)), BASE_STEP_MS / speed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, cursor, lastFrame, speed, replay]);
+
+  // Manual navigation pauses playback
+  const seek = (target) => {
+    setIsPlaying(false);
+    setCursor(Math.max(0, Math.min(target, lastFrame)));
+  };
+
+  const togglePlay = () => {
+    if (!isPlaying && cursor >= lastFrame) setCursor(0);
+    setIsPlaying((p) => !p);
+  };
+
+  if (error || !replay) {
+    return (
+      <div className="surface-card board-wrapper" aria-label="Game replay">
+        <div className="meta" role={error ? 'alert' : 'status'}>
+          {!error
+            ? 'Loading replay…'
+            : error instanceof NotFoundError
+            ? `No game found for "${gameId}".`
+            : 'Unable to load this game. Try again later.'}
+        </div>
+        <div className="setup-actions board-section">
+          <button type="button" className="btn" onClick={onClose}>
+            Close replay
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const frame = replay.frames[cursor];
+  const { size, variant } = frame;
+  const atEnd = cursor === lastFrame;
+  const names = replay.playerNames;
+  const statusText = atEnd && frame.status === 'won'
+    ? `Winner: ${playerLabel(frame.winner, names)}`
+    : atEnd && frame.status === 'draw'
+    ? 'Draw game'
+    : cursor === 0
+    ? 'Game start'
+    : `Move ${cursor} of ${lastFrame}`;
+
+  return (
+    <div className="surface-card board-wrapper" aria-label="Game replay">
+      <div className="board-header replay-header">
+        <div className="kicker" role="status" aria-live="polite">
+          Replay · {statusText}
+        </div>
+        <div className="replay-actions">
+          <button type="button" className="btn btn-small" onClick={() => copyText(replayLinkFor(gameId))}>
+            Copy link
+          </button>
+          <button type="button" className="btn btn-small" onClick={onClose}>
+            Close replay
+          </button>
+        </div>
+      </div>
+
+      {usesSmallBoards(variant) ? (
+        <MultiBoard game={frame} label={`Replay board, ${formatVariant(gameConfigOf(frame))}`} />
+      ) : isQubic(frame) ? (
+        <QubicBoard game={frame} label={`Replay board, ${formatVariant(gameConfigOf(frame))}`} />
+      ) : (
+        <BoardGrid
+          board={frame.board}
+          size={size}
+          label={`Replay board, ${formatVariant(gameConfigOf(frame))}`}
+          winningLine={frame.winningLine}
+          status={frame.status}
+        />
+      )}
+
+      <div className="replay-controls" role="group" aria-label="Playback controls">
+        <button type="button" className="btn" onClick={() => seek(0)} disabled={cursor === 0} aria-label="Go to start">
+          ⏮
+        </button>
+        <button
+          type="button"
+          className="btn"
+          onClick={() => seek(cursor - 1)}
+          disabled={cursor === 0}
+          aria-label="Step back"
+        >
+          ◀
+        </button>
+        <button
+          type="button"
+          className="btn btn-primary"
+          onClick={togglePlay}
+          disabled={lastFrame === 0}
+          aria-label={isPlaying ? 'Pause' : 'Play'}
+        >
+          {isPlaying ? '⏸' : '▶'}
+        </button>
+        <button
+          type="button"
+          className="btn"
+          onClick={() => seek(cursor + 1)}
+          disabled={atEnd}
+          aria-label="Step forward"
+        >
+          ▶
+        </button>
+        <button type="button" className="btn" onClick={() => seek(lastFrame)} disabled={atEnd} aria-label="Go to end">
+          ⏭
+        </button>
+        <label className="meta">
+          Speed{' '}
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} aria-label="Playback speed">
+            {PLAYBACK_SPEEDS.map((s) => (
+              <option key={s} value={s}>{s}×</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <input
+        className="replay-scrubber"
+        type="range"
+        min={0}
+        max={lastFrame}
+        value={cursor}
+        onChange={(e) => seek(Number(e.target.value))}
+        aria-label="Replay position"
+        aria-valuetext={statusText}
+      />
+
+      <div className="board-section">
+        <h4 className="sidebar-title">Moves</h4>
+        <MoveList
+          moves={replay.frames[lastFrame].moves}
+          size={size}
+          variant={variant}
+          names={names}
+          currentMove={cursor}
+          onSelect={seek}
+        />
+      </div>
+    </div>
+  );
+}
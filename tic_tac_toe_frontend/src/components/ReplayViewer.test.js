@@ -0,0 +1,62 @@
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { api } from '../api';
+import { createMockGameServer } from '../testUtils/mockGameServer';
+import ReplayViewer from './ReplayViewer';
+
+let gameId;
+
+beforeEach(async () => {
+  global.fetch = createMockGameServer().fetch;
+  const [alice, bob] = await Promise.all(['Alice', 'Bob'].map((name) => api.createPlayer(name)));
+  const game = await api.createGame(alice.id, bob.id);
+  // X takes the top row while O plays below it
+  for (const position of [0, 3, 1, 4, 2]) await api.postMove(game.id, position);
+  gameId = game.id;
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('steps, scrubs and highlights the winning line at the end', async () => {
+  const onClose = jest.fn();
+  render(<ReplayViewer gameId={gameId} onClose={onClose} />);
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Game start'));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pause' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Step forward' }));
+  expect(screen.getByLabelText('Row 1, column 1, contains X')).toBeInTheDocument();
+  expect(screen.getByRole('status')).toHaveTextContent('Move 1 of 5');
+
+  fireEvent.change(screen.getByLabelText('Replay position'), { target: { value: '4' } });
+  expect(screen.getByLabelText('Row 2, column 2, contains O')).toBeInTheDocument();
+  expect(screen.getByLabelText('Row 1, column 3, empty')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Go to end' }));
+  expect(screen.getByRole('status')).toHaveTextContent('Winner: Alice (X)');
+  expect(screen.getAllByLabelText(/winning line/)).toHaveLength(3);
+  expect(screen.getByLabelText('Row 2, column 1, contains O')).not.toHaveClass('cell-winning');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Step back' }));
+  expect(screen.queryAllByLabelText(/winning line/)).toHaveLength(0);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Close replay' }));
+  expect(onClose).toHaveBeenCalled();
+});
+
+test('plays automatically at the chosen speed', async () => {
+  jest.useFakeTimers();
+  try {
+    render(<ReplayViewer gameId={gameId} onClose={() => {}} />);
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Pause' })).toBeInTheDocument());
+    fireEvent.change(screen.getByLabelText('Playback speed'), { target: { value: '2' } });
+    act(() => jest.advanceTimersByTime(500));
+    expect(screen.getByRole('status')).toHaveTextContent('Move 1 of 5');
+    for (let i = 0; i < 4; i += 1) act(() => jest.advanceTimersByTime(500));
+    expect(screen.getByRole('status')).toHaveTextContent('Winner: Alice (X)');
+    expect(screen.getByRole('button', { name: 'Play' })).toBeInTheDocument();
+  } finally {
+    jest.useRealTimers();
+  }
+});
@@ -0,0 +1,145 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CHANNEL_STATUS_LABELS, isCancelled, NotFoundError } from '../api';
+import { copyText } from '../clipboard';
+import { formatVariant, gameConfigOf, isGameOver, isQubic, usesSmallBoards } from '../engine';
+import useAbortSignal from '../hooks/useAbortSignal';
+import useGameChannel from '../hooks/useGameChannel';
+import { isImportedId, isLocalId } from '../offline';
+import { playerLabel } from '../players';
+import { loadReplay } from '../replay';
+import { linkFor, pathFor, ROUTES } from '../router';
+import BoardGrid from './BoardGrid';
+import MoveList from './MoveList';
+import MultiBoard from './MultiBoard';
+import QubicBoard from './QubicBoard';
+
+/**
+ * PUBLIC_INTERFACE
+ * SpectatorView is the /watch/:id page: an existing game followed read-only as it is played.
+ * - Loads the game with getGame/getHistory and reloads it on every update pushed over the
+ *   game channel (joined as a spectator, or polled when WebSockets are unavailable)
+ * - Shows the player names, the move list, the channel status and how many spectators
+ *   are watching; the board can't be played and nothing is ever sent to the backend
+ * - Stops following once the game is over; "Copy link" shares the /watch/<gameId> URL
+ */
+export default function SpectatorView({ gameId, onClose }) {
+  const [watched, setWatched] = useState(null);
+  const [error, setError] = useState(null);
+  const [spectators, setSpectators] = useState(null);
+  const nextSignal = useAbortSignal();
+
+  const reload = useCallback(() => {
+    const signal = nextSignal();
+    loadReplay(gameId, { signal })
+      .then((loaded) => {
+        setWatched(loaded);
+        setError(null);
+      })
+      .catch((e) => {
+        if (!isCancelled(e)) setError(e);
+      });
+  }, [gameId, nextSignal]);
+
+  useEffect(() => {
+    setWatched(null);
+    setError(null);
+    setSpectators(null);
+    reload();
+  }, [reload]);
+
+  const game = watched ? watched.frames[watched.frames.length - 1] : null;
+  // Games that only exist on this device can't be followed; finished ones have nothing left to follow
+  const followed = !isLocalId(gameId) && !isImportedId(gameId) && !(game && isGameOver(game));
+  const channelStatus = useGameChannel(followed ? gameId : null, reload, {
+    role: 'spectator',
+    onPresence: (presence) => setSpectators(presence.spectators),
+  });
+
+  if (!watched) {
+    return (
+      <div className="surface-card board-wrapper route-page" aria-label="Spectator view">
+        <div className="meta" role={error ? 'alert' : 'status'}>
+          {!error
+            ? 'Loading game…'
+            : error instanceof NotFoundError
+            ? `No game found for "${gameId}".`
+            : 'Unable to load this game. Try again later.'}
+        </div>
+        <div className="setup-actions board-section">
+          <button type="button" className="btn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const names = watched.playerNames;
+  const { size, variant } = game;
+  const moveCount = game.moves.length;
+  const statusText =
+    game.status === 'won'
+      ? `Winner: ${playerLabel(game.winner, names)}`
+      : game.status === 'draw'
+      ? 'Draw game'
+      : `${playerLabel(game.currentPlayer, names)} to move${moveCount ? ` · ${moveCount} played` : ''}`;
+  const boardLabel = `Spectator board, ${formatVariant(gameConfigOf(game))}`;
+
+  return (
+    <div className="surface-card board-wrapper route-page" aria-label="Spectator view">
+      <div className="board-header replay-header">
+        <div className="kicker" role="status" aria-live="polite">
+          Watching · {statusText}
+        </div>
+        <div className="replay-actions">
+          <button
+            type="button"
+            className="btn btn-small"
+            onClick={() => copyText(linkFor(pathFor(ROUTES.WATCH, { id: gameId })))}
+          >
+            Copy link
+          </button>
+          <button type="button" className="btn btn-small" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+      <div className="meta spectator-meta">
+        <span>
+          {playerLabel('X', names)} vs {playerLabel('O', names)}
+        </span>
+        {followed ? <span>{CHANNEL_STATUS_LABELS[channelStatus] || ''}</span> : null}
+        {followed && spectators !== null ? (
+          <span aria-label="Spectators">
+            {spectators} {spectators === 1 ? 'spectator' : 'spectators'} watching
+          </span>
+        ) : null}
+      </div>
+      {error ? (
+        <div className="meta form-error" role="alert">
+          Lost contact with the game; showing the last position received.
+        </div>
+      ) : null}
+
+      {usesSmallBoards(variant) ? (
+        <MultiBoard game={game} label={boardLabel} disabled />
+      ) : isQubic(game) ? (
+        <QubicBoard game={game} label={boardLabel} disabled />
+      ) : (
+        <BoardGrid
+          board={game.board}
+          size={size}
+          label={boardLabel}
+          winningLine={game.winningLine}
+          status={game.status}
+          disabled
+        />
+      )}
+
+      <div className="board-section">
+        <h4 className="sidebar-title">Moves</h4>
+        <MoveList moves={game.moves} size={size} variant={variant} names={names} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import React from 'react';
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import { api } from '../api';
+import { createMockGameServer } from '../testUtils/mockGameServer';
+import SpectatorView from './SpectatorView';
+
+let server;
+let gameId;
+let posts;
+
+beforeEach(async () => {
+  server = createMockGameServer();
+  posts = [];
+  global.fetch = (url, options = {}) => {
+    if (options.method === 'POST') posts.push(String(url));
+    return server.fetch(url, options);
+  };
+  global.WebSocket = server.WebSocket;
+  const [alice, bob] = await Promise.all(['Alice', 'Bob'].map((name) => api.createPlayer(name)));
+  const game = await api.createGame(alice.id, bob.id);
+  await api.postMove(game.id, 4);
+  gameId = game.id;
+  posts = [];
+});
+
+afterEach(() => {
+  delete global.fetch;
+  delete global.WebSocket;
+});
+
+test('shows the game read-only and counts who is watching', async () => {
+  render(<SpectatorView gameId={gameId} onClose={jest.fn()} />);
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Watching · Bob (O) to move · 1 played'));
+  await waitFor(() => expect(screen.getByLabelText('Spectators')).toHaveTextContent('1 spectator watching'));
+
+  // Clicking the board sends nothing: the cells can't be played
+  const cell = screen.getByLabelText('Row 1, column 1, empty');
+  expect(cell).toHaveAttribute('aria-disabled', 'true');
+  fireEvent.click(cell);
+  expect(posts).toEqual([]);
+  expect(server.games.get(gameId).state.moves).toHaveLength(1);
+
+  // A second spectator joins
+  const other = new server.WebSocket(`ws://localhost/ws/games/${gameId}?role=spectator`);
+  await waitFor(() => expect(screen.getByLabelText('Spectators')).toHaveTextContent('2 spectators watching'));
+  act(() => other.close());
+  await waitFor(() => expect(screen.getByLabelText('Spectators')).toHaveTextContent('1 spectator watching'));
+
+  await act(() => api.postMove(gameId, 0));
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Alice (X) to move · 2 played'));
+  expect(within(screen.getByRole('list')).getAllByRole('listitem')).toHaveLength(2);
+});
+
+test('says so when the game does not exist', async () => {
+  const onClose = jest.fn();
+  render(<SpectatorView gameId="game-missing" onClose={onClose} />);
+  await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('No game found for "game-missing".'));
+  fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+  expect(onClose).toHaveBeenCalled();
+});
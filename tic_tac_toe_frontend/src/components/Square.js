@@ -1,25 +1,75 @@
-import React from 'react';
+import React, { forwardRef } from 'react';
+import { toBoardCell, toLayerRowCol, toRowCol, usesSmallBoards } from '../engine';
 
 /**
  * PUBLIC_INTERFACE
- * Square is a single cell button used in the 3x3 grid.
+ * Square is a single cell button used in the N×N grid (see BoardGrid).
  * It renders as a button for accessibility and handles disabled states.
+ * A disabled cell is only marked aria-disabled and ignores clicks, so it stays
+ * focusable and keyboard users can still move across the board.
+ * `highlighted` marks a cell of the winning line. A mark pops in when it is placed.
+ * Cells of an Ultimate or Notakto board (see MultiBoard) are named by small board and
+ * cell instead of row and column, and cells of a Qubic cube (see QubicBoard) by layer too.
+ * `related` marks a cell on a line through the hovered one (QubicBoard).
+ * `preview` is the mark a click would place (the one picked with SymbolPicker on Wild);
+ * an empty playable cell shows it faintly on hover and names it in its label.
  */
-export default function Square({ value, onClick, disabled, index }) {
+const Square = forwardRef(function Square(
+  {
+    value,
+    onClick,
+    disabled,
+    index,
+    size = 3,
+    variant = 'classic',
+    highlighted = false,
+    related = false,
+    preview,
+    tabIndex,
+    onFocus,
+  },
+  ref
+) {
+  const place = placeOf(index, size, variant);
+  const showPreview = Boolean(preview) && !value && !disabled;
   const ariaLabel = value
-    ? `Cell ${index + 1}, contains ${value}`
-    : `Cell ${index + 1}, empty`;
+    ? `${place}, contains ${value}${highlighted ? ', winning line' : ''}`
+    : `${place}, empty${showPreview ? `, places ${preview}` : ''}`;
 
   return (
     <button
+      ref={ref}
       type="button"
-      className={`cell ${!value ? 'cell-empty' : ''}`}
+      className={[
+        'cell',
+        !value ? 'cell-empty' : '',
+        highlighted ? 'cell-winning' : '',
+        related ? 'cell-related' : '',
+      ].join(' ')}
+      data-preview={showPreview ? preview : undefined}
       aria-label={ariaLabel}
-      aria-disabled={disabled}
-      disabled={disabled}
-      onClick={onClick}
+      aria-disabled={Boolean(disabled)}
+      tabIndex={tabIndex}
+      onFocus={onFocus}
+      onClick={disabled || !onClick ? undefined : onClick}
     >
-      {value || ''}
+      {value ? <span className="cell-mark">{value}</span> : ''}
     </button>
   );
+});
+
+export default Square;
+
+/** "Row R, column C", "Board B, cell C" on Ultimate and Notakto, or "Layer L, row R, column C" on Qubic (1-based). */
+function placeOf(index, size, variant) {
+  if (variant === 'qubic') {
+    const { layer, row, col } = toLayerRowCol(index);
+    return `Layer ${layer + 1}, row ${row + 1}, column ${col + 1}`;
+  }
+  if (usesSmallBoards(variant)) {
+    const { board, cell } = toBoardCell(index);
+    return `Board ${board + 1}, cell ${cell + 1}`;
+  }
+  const { row, col } = toRowCol(index, size);
+  return `Row ${row}, column ${col}`;
 }
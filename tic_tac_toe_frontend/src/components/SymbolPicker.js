@@ -0,0 +1,31 @@
+import React from 'react';
+
+const MARKS = ['X', 'O'];
+
+/**
+ * PUBLIC_INTERFACE
+ * SymbolPicker chooses the mark the next move of a Wild game places.
+ * - A radio group of X and O buttons; `value` is the picked mark and onChange(mark)
+ *   picks the other
+ * - The board previews the picked mark on empty cells (see Square's `preview`)
+ */
+export default function SymbolPicker({ value, onChange, disabled = false }) {
+  return (
+    <div className="symbol-picker" role="radiogroup" aria-label="Mark to place">
+      <span className="meta">Place</span>
+      {MARKS.map((mark) => (
+        <button
+          key={mark}
+          type="button"
+          role="radio"
+          aria-checked={value === mark}
+          className={`btn btn-small ${value === mark ? 'btn-primary' : ''}`}
+          onClick={() => onChange(mark)}
+          disabled={disabled}
+        >
+          {mark}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+import useSyncStatus from '../hooks/useSyncStatus';
+
+const LABELS = {
+  synced: 'Synced',
+  syncing: 'Syncing…',
+  offline: 'Offline',
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * SyncIndicator shows whether locally recorded games have reached the backend:
+ * "Offline" (changes are queued), "Syncing…" or "Synced".
+ */
+export default function SyncIndicator() {
+  const { status, pending } = useSyncStatus();
+  const label = LABELS[status] || LABELS.synced;
+  const detail = pending > 0 ? `${pending} change${pending === 1 ? '' : 's'} waiting to sync` : 'All changes saved';
+
+  return (
+    <span
+      className={`sync-indicator sync-${status}`}
+      role="status"
+      aria-live="polite"
+      aria-label={`Sync status: ${label}. ${detail}`}
+      title={detail}
+    >
+      <span className="sync-dot" aria-hidden="true" />
+      {label}
+      {pending > 0 ? <span className="sync-count">{pending}</span> : null}
+    </span>
+  );
+}
@@ -0,0 +1,167 @@
+import React from 'react';
+import { useGameContext } from '../context';
+import { formatVariant } from '../engine';
+import useTournaments from '../hooks/useTournaments';
+import { resolveId } from '../offline';
+import { navigate, pathFor, ROUTES, showBoard } from '../router';
+import { getPlayer, getRounds, getStandings, matchStatus, TOURNAMENT_FORMATS, tournamentWinner } from '../tournament';
+
+/**
+ * PUBLIC_INTERFACE
+ * TournamentView is the /tournament/:id page for one tournament saved on this device.
+ * - Single elimination shows the bracket, one column per round; round robin shows the
+ *   standings table and the matches of each round
+ * - Play starts the next game of a ready match on the board (both players on this
+ *   device); a match with a game under way offers to open that game instead
+ * - Results arrive as the games finish, and the champion is announced at the end
+ */
+export default function TournamentView({ tournamentId, onClose }) {
+  const tournament = useTournaments().find((t) => t.id === tournamentId);
+  const { playMatch } = useGameContext();
+
+  if (!tournament) {
+    return (
+      <section className="surface-card board-wrapper route-page" aria-label="Tournament">
+        <div className="meta" role="alert">
+          This tournament is not saved on this device.
+        </div>
+        <button type="button" className="btn btn-small" onClick={onClose}>
+          Close
+        </button>
+      </section>
+    );
+  }
+
+  const winner = tournamentWinner(tournament);
+  const rounds = getRounds(tournament);
+  const knockout = tournament.format === 'knockout';
+  const format = TOURNAMENT_FORMATS.find((f) => f.id === tournament.format);
+
+  const play = (match) => {
+    playMatch(tournament.id, match.id);
+    showBoard();
+  };
+  const openGame = (match) => {
+    const last = match.games[match.games.length - 1];
+    navigate(pathFor(ROUTES.GAME, { id: resolveId(last.gameId) }));
+  };
+
+  const renderMatch = (match) => (
+    <MatchCard key={match.id} tournament={tournament} match={match} onPlay={play} onOpen={openGame} />
+  );
+
+  return (
+    <section className="surface-card board-wrapper route-page" aria-labelledby="tournament-title">
+      <div className="board-header replay-header">
+        <h2 id="tournament-title" className="sidebar-title">
+          {tournament.name}
+        </h2>
+        <button type="button" className="btn btn-small" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <div className="meta">
+        {format ? format.label : tournament.format} · {tournament.players.length} players ·{' '}
+        {formatVariant(tournament.mode)}
+      </div>
+      {winner ? (
+        <div className="tournament-champion" role="status">
+          Winner: <strong>{winner.name}</strong>
+        </div>
+      ) : null}
+
+      {knockout ? (
+        <div className="tournament-bracket" aria-label="Bracket">
+          {rounds.map((round) => (
+            <section key={round.round} className="bracket-round" aria-label={round.label}>
+              <h3 className="meta">{round.label}</h3>
+              {round.matches.map(renderMatch)}
+            </section>
+          ))}
+        </div>
+      ) : (
+        <>
+          <table className="leaderboard-table" aria-label="Standings">
+            <thead>
+              <tr>
+                <th scope="col">#</th>
+                <th scope="col">Player</th>
+                <th scope="col">Played</th>
+                <th scope="col">Won</th>
+                <th scope="col">Drawn</th>
+                <th scope="col">Lost</th>
+                <th scope="col">Points</th>
+              </tr>
+            </thead>
+            <tbody>
+              {getStandings(tournament).map((row, i) => (
+                <tr key={row.player.id}>
+                  <td>{i + 1}</td>
+                  <td>{row.player.name}</td>
+                  <td>{row.played}</td>
+                  <td>{row.wins}</td>
+                  <td>{row.draws}</td>
+                  <td>{row.losses}</td>
+                  <td>{row.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rounds.map((round) => (
+            <section key={round.round} className="tournament-round" aria-label={round.label}>
+              <h3 className="meta">{round.label}</h3>
+              {round.matches.map(renderMatch)}
+            </section>
+          ))}
+        </>
+      )}
+    </section>
+  );
+}
+
+/** One match: its two players, its result or state, and the action it allows. */
+function MatchCard({ tournament, match, onPlay, onOpen }) {
+  const status = matchStatus(match);
+  const [first, second] = match.playerIds.map((id) => getPlayer(tournament, id));
+  const nameOf = (player) => (player ? player.name : match.result === 'bye' ? 'Bye' : 'To be decided');
+  const title = `${nameOf(first)} vs ${nameOf(second)}`;
+
+  return (
+    <div className={`match-card match-${status}`} role="group" aria-label={title}>
+      <div className="match-players">
+        {[first, second].map((player, i) => (
+          <span
+            // Both sides of a bye or an undecided match can be empty, so the slot is the key
+            key={i}
+            className={`match-player ${player && player.id === match.winnerId ? 'match-winner' : ''}`}
+          >
+            {nameOf(player)}
+          </span>
+        ))}
+      </div>
+      <div className="meta match-result">{resultText(tournament, match)}</div>
+      {status === 'ready' ? (
+        <button type="button" className="btn btn-small btn-primary" onClick={() => onPlay(match)}>
+          {match.games.length ? 'Play rematch' : 'Play'}
+        </button>
+      ) : null}
+      {status === 'playing' ? (
+        <button type="button" className="btn btn-small" onClick={() => onOpen(match)}>
+          Open game
+        </button>
+      ) : null}
+    </div>
+  );
+}
+
+/** What happened in a match so far, e.g. "Alice won", "Draw" or "1 drawn game, rematch". */
+function resultText(tournament, match) {
+  const winner = getPlayer(tournament, match.winnerId);
+  const draws = match.games.filter((g) => g.result === 'draw').length;
+  if (match.result === 'bye') return `${winner.name} goes through`;
+  if (match.result === 'draw') return 'Draw';
+  if (match.result === 'win') return match.bySeed ? `${winner.name} goes through on seed` : `${winner.name} won`;
+  if (matchStatus(match) === 'playing') return 'In progress';
+  if (draws) return `${draws} drawn game${draws === 1 ? '' : 's'}, rematch`;
+  return '';
+}
@@ -0,0 +1,215 @@
+import React, { useMemo, useState } from 'react';
+import { BOARD_PRESETS, formatVariant, GAME_VARIANTS, hasFixedBoard, NOTAKTO_MAX_BOARDS } from '../engine';
+import useTournaments from '../hooks/useTournaments';
+import { ensurePlayer, loadHumanProfiles, normalizeName } from '../players';
+import { navigate, pathFor, ROUTES } from '../router';
+import {
+  createTournament,
+  createTournamentId,
+  MAX_TOURNAMENT_PLAYERS,
+  MIN_TOURNAMENT_PLAYERS,
+  saveTournament,
+  TOURNAMENT_FORMATS,
+  tournamentWinner,
+} from '../tournament';
+
+const EMPTY_DRAFT = Object.freeze({
+  name: '',
+  format: 'round-robin',
+  variant: 'classic',
+  size: 3,
+  winLength: 3,
+  players: ['', '', '', ''],
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * TournamentsPage is the /tournaments page: the tournaments saved on this device and a
+ * form to start a new one.
+ * - A tournament is a round robin or a single-elimination bracket for 2–16 players, all
+ *   playing the same game and board; players are entered in seed order and reuse their
+ *   remembered profiles
+ * - Creating or picking a tournament opens it at /tournament/:id
+ */
+export default function TournamentsPage({ onClose }) {
+  const tournaments = useTournaments();
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [formError, setFormError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const profiles = useMemo(() => loadHumanProfiles(), []);
+
+  const update = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const setPlayerName = (index, value) =>
+    setDraft((d) => ({ ...d, players: d.players.map((p, i) => (i === index ? value : p)) }));
+  const open = (tournament) => navigate(pathFor(ROUTES.TOURNAMENT, { id: tournament.id }));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const names = draft.players.map(normalizeName).filter(Boolean);
+    if (names.length < MIN_TOURNAMENT_PLAYERS) {
+      setFormError(`Enter at least ${MIN_TOURNAMENT_PLAYERS} players.`);
+      return;
+    }
+    if (new Set(names.map((n) => n.toLowerCase())).size !== names.length) {
+      setFormError('Players need different names.');
+      return;
+    }
+    setFormError(null);
+    setIsBusy(true);
+    try {
+      const players = [];
+      for (const name of names) players.push(await ensurePlayer(name));
+      const { variant, size, winLength } = draft;
+      const tournament = createTournament({
+        id: createTournamentId(),
+        name: draft.name,
+        format: draft.format,
+        players,
+        mode: { variant, size, winLength, ...(variant === 'notakto' ? { boards: NOTAKTO_MAX_BOARDS } : {}) },
+      });
+      saveTournament(tournament);
+      setDraft(EMPTY_DRAFT);
+      open(tournament);
+    } catch (err) {
+      setFormError(err.message || 'Unable to create the tournament.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <section className="surface-card board-wrapper route-page" aria-labelledby="tournaments-title">
+      <div className="board-header replay-header">
+        <h2 id="tournaments-title" className="sidebar-title">
+          Tournaments
+        </h2>
+        <button type="button" className="btn btn-small" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {tournaments.length === 0 ? (
+        <div className="meta">No tournaments yet.</div>
+      ) : (
+        <ul className="tournament-list" aria-label="Saved tournaments">
+          {tournaments.map((t) => {
+            const winner = tournamentWinner(t);
+            return (
+              <li key={t.id}>
+                <button type="button" className="btn btn-small" onClick={() => open(t)}>
+                  {t.name}
+                </button>{' '}
+                <span className="meta">
+                  {formatLabel(t.format)} · {t.players.length} players · {formatVariant(t.mode)}
+                  {winner ? ` · won by ${winner.name}` : ''}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form className="tournament-form" onSubmit={submit} aria-label="New tournament">
+        <h3 className="sidebar-title">New tournament</h3>
+        <div className="game-options" role="group" aria-label="Tournament options">
+          <label className="meta">
+            Name{' '}
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => update({ name: e.target.value })}
+              placeholder="Tournament"
+              disabled={isBusy}
+              aria-label="Tournament name"
+            />
+          </label>
+          <label className="meta">
+            Format{' '}
+            <select
+              value={draft.format}
+              onChange={(e) => update({ format: e.target.value })}
+              disabled={isBusy}
+              aria-label="Format"
+            >
+              {TOURNAMENT_FORMATS.map((f) => (
+                <option key={f.id} value={f.id}>{f.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="meta">
+            Game{' '}
+            <select
+              value={draft.variant}
+              onChange={(e) => update({ variant: e.target.value })}
+              disabled={isBusy}
+              aria-label="Game variant"
+            >
+              {GAME_VARIANTS.map((v) => (
+                <option key={v.id} value={v.id}>{v.label}</option>
+              ))}
+            </select>
+          </label>
+          {!hasFixedBoard(draft.variant) ? (
+            <label className="meta">
+              Board{' '}
+              <select
+                value={draft.size}
+                onChange={(e) => {
+                  const preset = BOARD_PRESETS.find((p) => p.size === Number(e.target.value));
+                  update({ size: preset.size, winLength: preset.winLength });
+                }}
+                disabled={isBusy}
+                aria-label="Board size"
+              >
+                {BOARD_PRESETS.map((p) => (
+                  <option key={p.id} value={p.size}>{p.label}</option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+        </div>
+
+        <fieldset className="tournament-players" disabled={isBusy}>
+          <legend className="meta">Players, strongest seed first</legend>
+          {draft.players.map((name, i) => (
+            <input
+              key={i}
+              type="text"
+              list="tournament-profiles"
+              value={name}
+              onChange={(e) => setPlayerName(i, e.target.value)}
+              aria-label={`Player ${i + 1}`}
+            />
+          ))}
+          <datalist id="tournament-profiles">
+            {profiles.map((p) => (
+              <option key={p.name} value={p.name} />
+            ))}
+          </datalist>
+          <button
+            type="button"
+            className="btn btn-small"
+            onClick={() => update({ players: [...draft.players, ''] })}
+            disabled={draft.players.length >= MAX_TOURNAMENT_PLAYERS}
+          >
+            Add player
+          </button>
+        </fieldset>
+
+        {formError ? (
+          <div className="meta form-error" role="alert">
+            {formError}
+          </div>
+        ) : null}
+        <button type="submit" className="btn btn-primary" disabled={isBusy}>
+          Create tournament
+        </button>
+      </form>
+    </section>
+  );
+}
+
+function formatLabel(format) {
+  const found = TOURNAMENT_FORMATS.find((f) => f.id === format);
+  return found ? found.label : format;
+}
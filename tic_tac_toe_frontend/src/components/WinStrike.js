@@ -0,0 +1,19 @@
+import React from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * WinStrike is the animated line drawn across a board from the first to the last
+ * cell of `line` (row-major indexes on a `size`×`size` grid). It covers its
+ * positioned parent and ignores the pointer.
+ */
+export default function WinStrike({ line, size }) {
+  // Cell centres in board units, where each cell is 1×1
+  const centre = (index) => ({ x: (index % size) + 0.5, y: Math.floor(index / size) + 0.5 });
+  const from = centre(line[0]);
+  const to = centre(line[line.length - 1]);
+  return (
+    <svg className="win-strike" viewBox={`0 0 ${size} ${size}`} preserveAspectRatio="none" aria-hidden="true">
+      <line x1={from.x} y1={from.y} x2={to.x} y2={to.y} pathLength="1" />
+    </svg>
+  );
+}
@@ -0,0 +1,96 @@
+//
+// App-level game context
+// - activeGame: the game GameBoard is showing, published after every change, so
+//   the Sidebar and Navbar render its moves and result without refetching
+// - commands: typed requests any component can send to GameBoard (start a new
+//   game, join one, open a past one, continue an imported one, jump to a move, play
+//   a tournament match), delivered through a small event bus
+// - replayGameId: the game shown in the replay viewer, taken from the
+//   /replay/<gameId> route so replays can be shared
+//
+
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import useRoute from '../hooks/useRoute';
+import { goBack, navigate, pathFor, ROUTES } from '../router';
+
+// PUBLIC_INTERFACE
+export const GAME_COMMANDS = Object.freeze({
+  NEW_GAME: 'new-game', // { mode, names }
+  JOIN_GAME: 'join-game', // { code }
+  JUMP_TO_MOVE: 'jump-to-move', // { gameId, moveNumber }
+  OPEN_GAME: 'open-game', // { gameId, readOnly } (readOnly undefined: the game's own default)
+  CONTINUE_GAME: 'continue-game', // { game } (a described game from a game file)
+  PLAY_MATCH: 'play-match', // { tournamentId, matchId } (the next game of a tournament match)
+});
+
+const GameContext = createContext(null);
+
+// PUBLIC_INTERFACE
+export function GameProvider({ children }) {
+  /**
+   * Holds the active game and the command bus. activeGame is null before the
+   * first game, else { gameId, size, winLength, variant, moves, cursor, status, winner,
+   * playerNames, mode, names, seat, canTravel, startedAt, finishedAt }, canTravel telling
+   * whether its moves can be stepped through (not online or in an unfinished timed game).
+   * replayGameId is the game being replayed, or null.
+   */
+  const [activeGame, setActiveGame] = useState(null);
+  const route = useRoute();
+  const replayGameId = route.name === ROUTES.REPLAY ? route.params.id : null;
+  const busRef = useRef(null);
+  if (!busRef.current) busRef.current = createCommandBus();
+
+  // Commands never change identity, so effects can depend on them safely
+  const commands = useMemo(() => {
+    const bus = busRef.current;
+    return {
+      subscribe: bus.subscribe,
+      startNewGame: (mode, names) => bus.send(GAME_COMMANDS.NEW_GAME, { mode, names }),
+      joinGame: (code) => bus.send(GAME_COMMANDS.JOIN_GAME, { code }),
+      jumpToMove: (gameId, moveNumber) => bus.send(GAME_COMMANDS.JUMP_TO_MOVE, { gameId, moveNumber }),
+      openGame: (gameId, { readOnly } = {}) => bus.send(GAME_COMMANDS.OPEN_GAME, { gameId, readOnly }),
+      continueGame: (game) => bus.send(GAME_COMMANDS.CONTINUE_GAME, { game }),
+      playMatch: (tournamentId, matchId) => bus.send(GAME_COMMANDS.PLAY_MATCH, { tournamentId, matchId }),
+      openReplay: (gameId) => navigate(pathFor(ROUTES.REPLAY, { id: gameId })),
+      closeReplay: () => goBack(pathFor(ROUTES.HOME)),
+    };
+  }, []);
+
+  const value = useMemo(
+    () => ({ ...commands, activeGame, publishGame: setActiveGame, replayGameId }),
+    [commands, activeGame, replayGameId]
+  );
+
+  return <GameContext.Provider value={value}>{children}</GameContext.Provider>;
+}
+
+// PUBLIC_INTERFACE
+export function useGameContext() {
+  /** The shared game context; must be rendered inside <GameProvider>. */
+  const context = useContext(GameContext);
+  if (!context) throw new Error('useGameContext must be used inside <GameProvider>');
+  return context;
+}
+
+// PUBLIC_INTERFACE
+export function useGameCommand(type, handler) {
+  /** Run `handler(payload)` for every command of `type`; the latest handler is always used. */
+  const { subscribe } = useGameContext();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  useEffect(() => subscribe(type, (payload) => handlerRef.current(payload)), [subscribe, type]);
+}
+
+function createCommandBus() {
+  const handlers = new Map();
+  return {
+    subscribe(type, handler) {
+      if (!handlers.has(type)) handlers.set(type, new Set());
+      handlers.get(type).add(handler);
+      return () => handlers.get(type).delete(handler);
+    },
+    send(type, payload) {
+      (handlers.get(type) || []).forEach((handler) => handler(payload));
+    },
+  };
+}
@@ -0,0 +1,589 @@
+//
+// Pure, framework-free Tic Tac Toe engine
+// - Game state is an immutable (frozen) plain object
+// - Every transition returns a new state; illegal moves throw IllegalMoveError
+// - Used by GameBoard, the offline fallback and the computer opponent alike
+//
+// State shape:
+//   {
+//     variant: 'classic'|'misere'|'wild'|'ultimate'|'notakto'|'qubic',  // rule set, see GAME_VARIANTS
+//     size: number,          // board is size×size (each small board's size on Notakto; size³ on Qubic)
+//     winLength: number,     // marks in a row needed to win
+//     board: Array<'X'|'O'|null>,  // row-major, size*size cells; Notakto: 9 per small board; Qubic: layer by layer
+//     currentPlayer: 'X'|'O',  // the side to move; on Wild and Notakto not the mark it places
+//     moves: Array<{ moveNumber, player, position, mark?, playedAt? }>,  // mark: Wild only; playedAt: ISO time
+//     status: 'in-progress'|'won'|'draw',
+//     winner: 'X'|'O'|null,  // on Misère and Notakto the player who did not complete the line
+//     winningLine: number[]|null,  // cells of the completed line, in order along it
+//     timedOut?: 'X'|'O',  // only on a game lost on time (see loseOnTime)
+//     // Ultimate and Notakto (see ultimate.js, notakto.js); on Ultimate winningLine lists small boards
+//     subBoards?: Array<'X'|'O'|'draw'|'dead'|null>,  // result of each small board; 'dead' on Notakto
+//     activeBoard?: number|null,  // Ultimate: small board the next move must be on; null for any open one
+//   }
+//
+
+import { IllegalMoveError } from './errors';
+import { getCubeWinningLines, getWinningLines } from './lines';
+import { deadLine, isNotakto, NOTAKTO_MAX_BOARDS } from './notakto';
+import { isQubic, QUBIC_SIZE } from './qubic';
+import { isUltimate, metaOutcome, nextActiveBoard, subBoardResult, toBoardCell, ULTIMATE_BOARDS } from './ultimate';
+
+export const MIN_BOARD_SIZE = 3;
+export const MAX_BOARD_SIZE = 15;
+
+// Ready-made variants offered by the UI
+export const BOARD_PRESETS = Object.freeze([
+  { id: '3x3', size: 3, winLength: 3, label: '3×3 classic' },
+  { id: '4x4', size: 4, winLength: 4, label: '4×4, 4 in a row' },
+  { id: '5x5', size: 5, winLength: 4, label: '5×5, 4 in a row' },
+  { id: '15x15', size: 15, winLength: 5, label: '15×15 gomoku, 5 in a row' },
+]);
+
+// Rule sets offered by the UI (name is the short form shown with saved games). Misère
+// and Wild play on any board; Ultimate always uses nine 3×3 boards, Notakto one to
+// three, Qubic a 4×4×4 cube
+export const GAME_VARIANTS = Object.freeze([
+  { id: 'classic', name: 'Classic', label: 'Classic' },
+  { id: 'misere', name: 'Misère', label: 'Misère (completing a line loses)' },
+  { id: 'wild', name: 'Wild', label: 'Wild (play X or O each turn)' },
+  { id: 'ultimate', name: 'Ultimate', label: 'Ultimate (nine boards)' },
+  { id: 'notakto', name: 'Notakto', label: 'Notakto (X only, the last line loses)' },
+  { id: 'qubic', name: 'Qubic', label: 'Qubic (4×4×4 cube)' },
+]);
+
+// PUBLIC_INTERFACE
+export function hasFixedBoard(variant) {
+  /** True for rule sets whose board is part of the rules, so no board size is picked (Ultimate, Notakto, Qubic). */
+  return variant === 'ultimate' || variant === 'notakto' || variant === 'qubic';
+}
+
+// PUBLIC_INTERFACE
+export function defaultWinLength(size) {
+  /** Conventional K for an N×N board: the full row up to 4×4, then 4, then 5 (gomoku). */
+  if (size <= 4) return size;
+  if (size <= 7) return 4;
+  return 5;
+}
+
+// PUBLIC_INTERFACE
+export function otherPlayer(player) {
+  /** Return the symbol that moves after `player`. */
+  return player === 'X' ? 'O' : 'X';
+}
+
+// PUBLIC_INTERFACE
+export function checkWinner(board, size = boardSizeOf(board), winLength = defaultWinLength(size)) {
+  /** Return 'X' | 'O' for a completed line, 'draw' for a full board, else null. */
+  for (const line of getWinningLines(size, winLength).all) {
+    const winner = lineOwner(board, line);
+    if (winner) return winner;
+  }
+  if (board.every((v) => v === 'X' || v === 'O')) return 'draw';
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function findWinningLine(board, size = boardSizeOf(board), winLength = defaultWinLength(size)) {
+  /** Cell indexes of the first completed line on the board, or null if nobody has won. */
+  const line = getWinningLines(size, winLength).all.find((candidate) => lineOwner(board, candidate));
+  return line ? [...line] : null;
+}
+
+// PUBLIC_INTERFACE
+export function getOutcome(state) {
+  /**
+   * Return { status, winner } for a state (or a bare square board array). Who completed
+   * a line on a Misère, Wild or Notakto board depends on the moves, so those states
+   * report their own result.
+   */
+  if (Array.isArray(state)) return outcomeFrom(checkWinner(state));
+  if (isUltimate(state)) return outcomeFrom(metaOutcome(state.subBoards).result);
+  if (state.variant && state.variant !== 'classic') return { status: state.status, winner: state.winner };
+  return outcomeFrom(checkWinner(state.board, state.size, state.winLength));
+}
+
+// PUBLIC_INTERFACE
+export function isGameOver(state) {
+  /** True once the game is won or drawn. */
+  return state.status === 'won' || state.status === 'draw';
+}
+
+// PUBLIC_INTERFACE
+export function createGame({
+  startingPlayer = 'X',
+  size = MIN_BOARD_SIZE,
+  winLength,
+  variant = 'classic',
+  boards = NOTAKTO_MAX_BOARDS,
+} = {}) {
+  /**
+   * Create a fresh game state with an empty size×size board (nine 3×3 boards for
+   * Ultimate, `boards` of them for Notakto, a 4×4×4 cube for Qubic).
+   */
+  if (!GAME_VARIANTS.some((v) => v.id === variant)) {
+    throw new IllegalMoveError('INVALID_OPTIONS', `Unknown game variant "${variant}"`, { variant });
+  }
+  if (variant === 'ultimate') {
+    return freezeState({
+      ...createGame({ startingPlayer, size: ULTIMATE_BOARDS, winLength: 3 }),
+      variant,
+      subBoards: Array(ULTIMATE_BOARDS).fill(null),
+      activeBoard: null,
+    });
+  }
+  if (variant === 'notakto') {
+    if (!Number.isInteger(boards) || boards < 1 || boards > NOTAKTO_MAX_BOARDS) {
+      throw new IllegalMoveError('INVALID_OPTIONS', `Notakto is played on 1 to ${NOTAKTO_MAX_BOARDS} boards`, {
+        boards,
+      });
+    }
+    return freezeState({
+      ...createGame({ startingPlayer, size: 3, winLength: 3 }),
+      variant,
+      board: Array(boards * ULTIMATE_BOARDS).fill(null),
+      subBoards: Array(boards).fill(null),
+    });
+  }
+  if (variant === 'qubic') {
+    return freezeState({
+      ...createGame({ startingPlayer, size: QUBIC_SIZE, winLength: QUBIC_SIZE }),
+      variant,
+      board: Array(QUBIC_SIZE ** 3).fill(null),
+    });
+  }
+  const k = winLength ?? defaultWinLength(size);
+  if (!Number.isInteger(size) || size < MIN_BOARD_SIZE || size > MAX_BOARD_SIZE) {
+    throw new IllegalMoveError('INVALID_OPTIONS', `Board size must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}`, {
+      size,
+    });
+  }
+  if (!Number.isInteger(k) || k < MIN_BOARD_SIZE || k > size) {
+    throw new IllegalMoveError('INVALID_OPTIONS', `Win length must be between ${MIN_BOARD_SIZE} and ${size}`, {
+      winLength: k,
+    });
+  }
+  return freezeState({
+    variant,
+    size,
+    winLength: k,
+    board: Array(size * size).fill(null),
+    currentPlayer: startingPlayer,
+    moves: [],
+    status: 'in-progress',
+    winner: null,
+    winningLine: null,
+  });
+}
+
+// PUBLIC_INTERFACE
+export function gameConfigOf(state) {
+  /** createGame options for the rules and board of `state`: { size, winLength, variant, boards? }. */
+  const config = { size: state.size, winLength: state.winLength, variant: state.variant };
+  if (isNotakto(state)) config.boards = state.subBoards.length;
+  return config;
+}
+
+// PUBLIC_INTERFACE
+export function getGameLines(state) {
+  /** The winning lines ({ all, byCell }) of the board `state` is played on: the cube's on Qubic. */
+  return isQubic(state)
+    ? getCubeWinningLines(state.size, state.winLength)
+    : getWinningLines(state.size, state.winLength);
+}
+
+// PUBLIC_INTERFACE
+export function getLegalMoves(state) {
+  /** List of cell indices the current player may play; empty when the game is over. */
+  if (isGameOver(state)) return [];
+  const legal = [];
+  state.board.forEach((v, i) => {
+    if (!v && (!state.subBoards || isOpenBoard(state, toBoardCell(i).board))) legal.push(i);
+  });
+  return legal;
+}
+
+// PUBLIC_INTERFACE
+export function getLegalMarks(state) {
+  /** Symbols the player to move may place, their own first: both on Wild, only X on Notakto. */
+  if (state.variant === 'wild') return [state.currentPlayer, otherPlayer(state.currentPlayer)];
+  return [isNotakto(state) ? 'X' : state.currentPlayer];
+}
+
+// PUBLIC_INTERFACE
+export function getLegalPlays(state) {
+  /** Every legal move as { position, mark }; on Wild each cell is listed once per mark. */
+  const marks = getLegalMarks(state);
+  return getLegalMoves(state).flatMap((position) => marks.map((mark) => ({ position, mark })));
+}
+
+// PUBLIC_INTERFACE
+export function validateMove(state, position, mark) {
+  /** Throw IllegalMoveError if `position` (with `mark`, when given) cannot be played in `state`. */
+  if (isGameOver(state)) {
+    throw new IllegalMoveError('GAME_OVER', 'The game is already over', { position });
+  }
+  if (!Number.isInteger(position) || position < 0 || position >= state.board.length) {
+    throw new IllegalMoveError('OUT_OF_RANGE', `Position ${position} is not on the board`, { position });
+  }
+  if (state.board[position]) {
+    throw new IllegalMoveError('OCCUPIED', `Cell ${position + 1} is already taken`, { position });
+  }
+  if (state.subBoards && !isOpenBoard(state, toBoardCell(position).board)) {
+    const { board } = toBoardCell(position);
+    throw state.subBoards[board]
+      ? new IllegalMoveError('BOARD_CLOSED', `Board ${board + 1} is already decided`, { position })
+      : new IllegalMoveError('WRONG_BOARD', `This move must be on board ${state.activeBoard + 1}`, { position });
+  }
+  if (mark !== undefined && mark !== null && !getLegalMarks(state).includes(mark)) {
+    throw new IllegalMoveError('INVALID_MARK', `${state.currentPlayer} can't place ${mark} in this game`, {
+      position,
+      mark,
+    });
+  }
+}
+
+// PUBLIC_INTERFACE
+export function applyMove(state, position, { playedAt, mark } = {}) {
+  /**
+   * Return the state after the current player plays `position`, stamped with `playedAt`
+   * if given. `mark` is the symbol placed on Wild (default: the player's own).
+   */
+  validateMove(state, position, mark);
+  const player = state.currentPlayer;
+  const placed = mark ?? getLegalMarks(state)[0];
+  const board = [...state.board];
+  board[position] = placed;
+  const move = { moveNumber: state.moves.length + 1, player, position };
+  if (state.variant === 'wild') move.mark = placed;
+  if (playedAt) move.playedAt = playedAt;
+  if (isUltimate(state)) return applyUltimateMove(state, board, move);
+  if (isNotakto(state)) return applyNotaktoMove(state, board, move);
+  // Only lines through the new mark can have been completed by this move
+  const completed = getGameLines(state).byCell[position].find(
+    (line) => lineOwner(board, line) === placed
+  );
+  const outcome = completed
+    ? outcomeFrom(state.variant === 'misere' ? otherPlayer(player) : player)
+    : outcomeFrom(board.every((v) => v) ? 'draw' : null);
+  return freezeState({
+    variant: state.variant,
+    size: state.size,
+    winLength: state.winLength,
+    board,
+    currentPlayer: outcome.status === 'in-progress' ? otherPlayer(player) : player,
+    moves: [...state.moves, move],
+    status: outcome.status,
+    winner: outcome.winner,
+    winningLine: completed ? [...completed] : null,
+  });
+}
+
+// PUBLIC_INTERFACE
+export function loseOnTime(state, player = state.currentPlayer) {
+  /** Return the state after `player` ran out of time: the other player wins on the same board. */
+  if (isGameOver(state)) {
+    throw new IllegalMoveError('GAME_OVER', 'The game is already over');
+  }
+  return freezeState({ ...state, status: 'won', winner: otherPlayer(player), timedOut: player });
+}
+
+// PUBLIC_INTERFACE
+export function undo(state) {
+  /** Return the state before the last move. */
+  if (state.moves.length === 0) {
+    throw new IllegalMoveError('NOTHING_TO_UNDO', 'There are no moves to undo');
+  }
+  const startingPlayer = state.moves[0].player;
+  return replayMoves(state.moves.slice(0, -1), { startingPlayer, ...gameConfigOf(state) });
+}
+
+// PUBLIC_INTERFACE
+export function replayMoves(moves, options) {
+  /** Build a state by applying `moves` in order from a fresh game; each is a position or a { position, mark }. */
+  return moves.reduce(
+    (s, m) => (typeof m === 'number' ? applyMove(s, m) : applyMove(s, m.position, { mark: m.mark })),
+    createGame(options)
+  );
+}
+
+// PUBLIC_INTERFACE
+export function fromSnapshot(snapshot, fallback = createGame()) {
+  /**
+   * Build an engine state from a server game payload
+   * ({ board, currentPlayer, moves?, boardSize?, winLength?, mode?, timedOut? }, mode being the variant).
+   * The outcome is always recomputed with the engine's rules so server responses
+   * and the offline fallback agree; a game the server reports as lost on time
+   * (timedOut: 'X'|'O') is only decided by the board if a line ended it first.
+   * Missing fields are taken from `fallback`.
+   */
+  if (!snapshot || !Array.isArray(snapshot.board)) return fallback;
+  const variant = snapshot.variant ?? snapshot.mode ?? fallback.variant ?? 'classic';
+  if (variant === 'ultimate') return withTimeout(ultimateFromSnapshot(snapshot, fallback), snapshot);
+  if (variant === 'notakto') return withTimeout(notaktoFromSnapshot(snapshot, fallback), snapshot);
+  const cube = variant === 'qubic';
+  const size = snapshot.boardSize ?? snapshot.size ?? (cube ? QUBIC_SIZE : fallback.size);
+  const winLength = snapshot.winLength ?? (cube ? QUBIC_SIZE : fallback.winLength);
+  if (snapshot.board.length !== (cube ? size ** 3 : size * size)) {
+    throw new IllegalMoveError('INVALID_STATE', 'Server board has an unexpected size', {
+      length: snapshot.board.length,
+      size,
+    });
+  }
+  const board = snapshotBoard(snapshot);
+  const moves = snapshotMoves(snapshot, fallback);
+  const last = moves[moves.length - 1];
+  const lines = getGameLines({ variant, size, winLength }).all;
+  const found = lines.find((candidate) => lineOwner(board, candidate));
+  const line = found ? [...found] : null;
+  // The mark on a completed line tells who won, except on Wild where either player may have placed it
+  let result = board.every((v) => v) ? 'draw' : null;
+  if (line && variant === 'misere') result = otherPlayer(board[line[0]]);
+  else if (line) result = variant === 'wild' && last ? last.player : board[line[0]];
+  const outcome = outcomeFrom(result);
+  const state = freezeState({
+    variant,
+    size,
+    winLength,
+    board,
+    currentPlayer: snapshotPlayer(snapshot, board, variant === 'wild' ? moves : null, outcome),
+    moves,
+    status: outcome.status,
+    winner: outcome.winner,
+    winningLine: line,
+  });
+  return withTimeout(state, snapshot);
+}
+
+// PUBLIC_INTERFACE
+export function syncWithSnapshot(state, snapshot) {
+  /**
+   * Bring `state` up to date with a newer server snapshot (e.g. an opponent's move
+   * received in realtime). When the snapshot carries no move list, moves are
+   * inferred from the cells that changed, in turn order.
+   */
+  if (!snapshot || !Array.isArray(snapshot.board) || Array.isArray(snapshot.moves)) {
+    return fromSnapshot(snapshot, state);
+  }
+  const changed = [];
+  snapshot.board.forEach((v, i) => {
+    if (v && v !== state.board[i]) changed.push(i);
+  });
+  const sameLine = state.board.every((v, i) => !v || snapshot.board[i] === v);
+  if (!sameLine) {
+    // Moves were taken back on the server: keep only the moves still on its board
+    const kept = state.moves.filter((m) => snapshot.board[m.position] === markOf(m, state.variant));
+    return fromSnapshot({ ...snapshot, moves: kept }, state);
+  }
+  // On Wild and Notakto a mark doesn't tell who placed it; the players simply take turns
+  const byMark = state.variant !== 'wild' && !isNotakto(state);
+  let player = state.currentPlayer;
+  const added = [];
+  // Order new marks so they alternate starting with the player to move
+  const pending = [...changed];
+  while (pending.length) {
+    const expected = player;
+    const idx = byMark ? pending.findIndex((p) => snapshot.board[p] === expected) : 0;
+    const position = pending.splice(idx === -1 ? 0 : idx, 1)[0];
+    const mover = byMark ? snapshot.board[position] : player;
+    added.push({
+      moveNumber: state.moves.length + added.length + 1,
+      player: mover,
+      position,
+      ...(state.variant === 'wild' ? { mark: snapshot.board[position] } : {}),
+    });
+    player = otherPlayer(mover);
+  }
+  return fromSnapshot({ ...snapshot, moves: [...state.moves, ...added] }, state);
+}
+
+/** The Ultimate state after `move`, played on `board` (already holding the new mark). */
+function applyUltimateMove(state, board, move) {
+  const subBoards = [...state.subBoards];
+  const { board: played } = toBoardCell(move.position);
+  subBoards[played] = subBoardResult(board, played);
+  const meta = metaOutcome(subBoards);
+  const outcome = outcomeFrom(meta.result);
+  return freezeState({
+    variant: state.variant,
+    size: state.size,
+    winLength: state.winLength,
+    board,
+    currentPlayer: outcome.status === 'in-progress' ? otherPlayer(move.player) : move.player,
+    moves: [...state.moves, move],
+    status: outcome.status,
+    winner: outcome.winner,
+    winningLine: meta.line,
+    subBoards,
+    activeBoard: outcome.status === 'in-progress' ? nextActiveBoard(subBoards, move.position) : null,
+  });
+}
+
+/** The Notakto state after `move`; a board with three in a row dies, and killing the last one loses. */
+function applyNotaktoMove(state, board, move) {
+  const subBoards = [...state.subBoards];
+  const { board: played } = toBoardCell(move.position);
+  const line = deadLine(board, played);
+  if (line) subBoards[played] = 'dead';
+  const over = subBoards.every(Boolean);
+  return freezeState({
+    variant: state.variant,
+    size: state.size,
+    winLength: state.winLength,
+    board,
+    currentPlayer: over ? move.player : otherPlayer(move.player),
+    moves: [...state.moves, move],
+    status: over ? 'won' : 'in-progress',
+    winner: over ? otherPlayer(move.player) : null,
+    winningLine: over ? line : null,
+    subBoards,
+  });
+}
+
+/** fromSnapshot for an Ultimate game: small boards and the required board are worked out from the marks. */
+function ultimateFromSnapshot(snapshot, fallback) {
+  const size = ULTIMATE_BOARDS;
+  if (snapshot.board.length !== size * size) {
+    throw new IllegalMoveError('INVALID_STATE', 'Server board has an unexpected size', {
+      length: snapshot.board.length,
+      size,
+    });
+  }
+  const board = snapshotBoard(snapshot);
+  const subBoards = Array.from({ length: ULTIMATE_BOARDS }, (_, index) => subBoardResult(board, index));
+  const meta = metaOutcome(subBoards);
+  const outcome = outcomeFrom(meta.result);
+  const moves = snapshotMoves(snapshot, fallback);
+  const last = moves[moves.length - 1];
+  return freezeState({
+    variant: 'ultimate',
+    size,
+    winLength: 3,
+    board,
+    currentPlayer: snapshotPlayer(snapshot, board),
+    moves,
+    status: outcome.status,
+    winner: outcome.winner,
+    winningLine: meta.line,
+    subBoards,
+    activeBoard: outcome.status === 'in-progress' && last ? nextActiveBoard(subBoards, last.position) : null,
+  });
+}
+
+/** fromSnapshot for a Notakto game: dead boards are worked out from the marks, the loser from the moves. */
+function notaktoFromSnapshot(snapshot, fallback) {
+  const count = snapshot.board.length / ULTIMATE_BOARDS;
+  if (!Number.isInteger(count) || count < 1 || count > NOTAKTO_MAX_BOARDS) {
+    throw new IllegalMoveError('INVALID_STATE', 'Server board has an unexpected size', {
+      length: snapshot.board.length,
+    });
+  }
+  const board = snapshot.board.map((v) => (v ? 'X' : null));
+  const subBoards = Array.from({ length: count }, (_, index) => (deadLine(board, index) ? 'dead' : null));
+  const moves = snapshotMoves(snapshot, fallback);
+  const over = subBoards.every(Boolean);
+  const outcome = outcomeFrom(over ? otherPlayer(lastMover(moves, board)) : null);
+  const last = moves[moves.length - 1];
+  return freezeState({
+    variant: 'notakto',
+    size: 3,
+    winLength: 3,
+    board,
+    currentPlayer: snapshotPlayer(snapshot, board, moves, outcome),
+    moves,
+    status: outcome.status,
+    winner: outcome.winner,
+    winningLine: over && last ? deadLine(board, toBoardCell(last.position).board) : null,
+    subBoards,
+  });
+}
+
+/** `state` lost on time by snapshot.timedOut, unless the board already ended the game. */
+function withTimeout(state, snapshot) {
+  return snapshot.timedOut && !isGameOver(state) ? loseOnTime(state, snapshot.timedOut) : state;
+}
+
+function snapshotBoard(snapshot) {
+  return snapshot.board.map((v) => (v === 'X' || v === 'O' ? v : null));
+}
+
+function snapshotMoves(snapshot, fallback) {
+  return Array.isArray(snapshot.moves) ? normalizeMoves(snapshot.moves) : fallback.moves;
+}
+
+/**
+ * The player to move as sent, otherwise inferred: from the number of each mark, or
+ * when the marks don't tell (Wild, Notakto: pass `moves`) from who moved last; after
+ * the last move of a game it stays with whoever made it, as applyMove leaves it.
+ */
+function snapshotPlayer(snapshot, board, moves = null, outcome = null) {
+  if (snapshot.currentPlayer === 'X' || snapshot.currentPlayer === 'O') return snapshot.currentPlayer;
+  if (moves) {
+    const mover = lastMover(moves, board);
+    if (!mover) return 'X';
+    return outcome && outcome.status !== 'in-progress' ? mover : otherPlayer(mover);
+  }
+  const xs = board.filter((v) => v === 'X').length;
+  const os = board.filter((v) => v === 'O').length;
+  return xs > os ? 'O' : 'X';
+}
+
+/** Who made the last move: as listed, else by turn count with X starting; null on an empty board. */
+function lastMover(moves, board) {
+  const last = moves[moves.length - 1];
+  if (last && last.player) return last.player;
+  const count = board.filter(Boolean).length;
+  if (count === 0) return null;
+  return count % 2 === 1 ? 'X' : 'O';
+}
+
+/** The symbol a move put on the board. */
+function markOf(move, variant) {
+  if (variant === 'notakto') return 'X';
+  return move.mark ?? move.player;
+}
+
+/** Whether the player to move may play on small board `index` of an Ultimate or Notakto game. */
+function isOpenBoard(state, index) {
+  if (state.subBoards[index]) return false;
+  return state.activeBoard === null || state.activeBoard === undefined || state.activeBoard === index;
+}
+
+function boardSizeOf(board) {
+  return Math.round(Math.sqrt(board.length));
+}
+
+function lineOwner(board, line) {
+  const first = board[line[0]];
+  if (!first) return null;
+  for (let i = 1; i < line.length; i += 1) {
+    if (board[line[i]] !== first) return null;
+  }
+  return first;
+}
+
+function outcomeFrom(result) {
+  if (result === 'draw') return { status: 'draw', winner: null };
+  if (result) return { status: 'won', winner: result };
+  return { status: 'in-progress', winner: null };
+}
+
+function normalizeMoves(moves) {
+  return moves
+    .map((m, idx) => ({
+      moveNumber: m.moveNumber ?? idx + 1,
+      player: m.player ?? m.symbol ?? null,
+      position: m.position ?? m.pos ?? null,
+      ...(m.mark === 'X' || m.mark === 'O' ? { mark: m.mark } : {}),
+      ...(m.playedAt ? { playedAt: m.playedAt } : {}),
+    }))
+    .filter((m) => Number.isInteger(m.position));
+}
+
+function freezeState(state) {
+  Object.freeze(state.board);
+  if (state.subBoards) Object.freeze(state.subBoards);
+  if (state.winningLine) Object.freeze(state.winningLine);
+  state.moves.forEach(Object.freeze);
+  Object.freeze(state.moves);
+  return Object.freeze(state);
+}
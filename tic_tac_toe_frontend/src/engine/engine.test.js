@@ -0,0 +1,197 @@
+import {
+  applyMove,
+  createGame,
+  formatCoordinate,
+  formatPosition,
+  fromLayerRowCol,
+  fromSnapshot,
+  getCubeWinningLines,
+  getLegalMarks,
+  getLegalMoves,
+  getOutcome,
+  getWinningLines,
+  IllegalMoveError,
+  loseOnTime,
+  parseCoordinate,
+  playableBoards,
+  replayMoves,
+  syncWithSnapshot,
+  undo,
+} from '.';
+
+test('applyMove alternates players and leaves the previous state untouched', () => {
+  const start = createGame();
+  const next = applyMove(start, 4);
+  expect(start.board[4]).toBeNull();
+  expect(next.board[4]).toBe('X');
+  expect(next.currentPlayer).toBe('O');
+  expect(next.moves).toEqual([{ moveNumber: 1, player: 'X', position: 4 }]);
+  expect(Object.isFrozen(next.board)).toBe(true);
+});
+
+test('stamps moves with their time and ends games on time', () => {
+  const next = applyMove(createGame(), 4, { playedAt: '2024-03-05T10:00:05.000Z' });
+  expect(next.moves[0]).toEqual({ moveNumber: 1, player: 'X', position: 4, playedAt: '2024-03-05T10:00:05.000Z' });
+
+  const lost = loseOnTime(next);
+  expect(lost).toMatchObject({ status: 'won', winner: 'X', timedOut: 'O', board: next.board });
+  expect(() => loseOnTime(lost)).toThrow(IllegalMoveError);
+  // A server payload for a game lost on time keeps that result
+  expect(fromSnapshot({ ...lost, status: undefined, winner: undefined })).toMatchObject({ winner: 'X', timedOut: 'O' });
+});
+
+test('detects wins and draws', () => {
+  const won = replayMoves([0, 3, 1, 4, 2]);
+  expect(getOutcome(won)).toEqual({ status: 'won', winner: 'X' });
+  expect(getLegalMoves(won)).toEqual([]);
+  expect(won.winningLine).toEqual([0, 1, 2]);
+  expect(createGame().winningLine).toBeNull();
+  expect(undo(won).winningLine).toBeNull();
+
+  // The line is reported in order along it, whichever cell completed it
+  expect(replayMoves([6, 0, 2, 1, 4]).winningLine).toEqual([2, 4, 6]);
+  expect(fromSnapshot({ board: ['O', 'X', null, 'O', 'X', null, 'O', null, 'X'] }).winningLine).toEqual([0, 3, 6]);
+
+  const drawn = replayMoves([0, 1, 2, 4, 3, 5, 7, 6, 8]);
+  expect(drawn.status).toBe('draw');
+  expect(drawn.winningLine).toBeNull();
+});
+
+test('rejects illegal moves with a code', () => {
+  const state = applyMove(createGame(), 0);
+  expect(() => applyMove(state, 0)).toThrow(IllegalMoveError);
+  expect(() => applyMove(state, 9)).toThrow(expect.objectContaining({ code: 'OUT_OF_RANGE' }));
+  expect(() => applyMove(replayMoves([0, 3, 1, 4, 2]), 5)).toThrow(
+    expect.objectContaining({ code: 'GAME_OVER' })
+  );
+  expect(() => undo(createGame())).toThrow(expect.objectContaining({ code: 'NOTHING_TO_UNDO' }));
+});
+
+test('undo restores the previous position', () => {
+  const state = replayMoves([0, 4, 8]);
+  expect(undo(state)).toEqual(replayMoves([0, 4]));
+});
+
+test('fromSnapshot recomputes the outcome from a server board', () => {
+  const state = fromSnapshot({ board: ['X', 'X', 'X', 'O', 'O', null, null, null, null], status: 'in-progress' });
+  expect(state.status).toBe('won');
+  expect(state.winner).toBe('X');
+});
+
+test('generates winning lines for N×N boards with K in a row', () => {
+  expect(getWinningLines(3, 3).all).toHaveLength(8);
+  expect(getWinningLines(4, 4).all).toHaveLength(10);
+  // 5×5 with 4 in a row: 10 horizontal + 10 vertical + 4 + 4 diagonals
+  expect(getWinningLines(5, 4).all).toHaveLength(28);
+});
+
+test('plays K in a row on larger boards', () => {
+  const options = { size: 15, winLength: 5 };
+  // X fills row 8 from col 3..7 while O plays elsewhere
+  const state = replayMoves([108, 0, 109, 1, 110, 2, 111, 3, 112], options);
+  expect(state.winner).toBe('X');
+  expect(state.size).toBe(15);
+  expect(() => createGame({ size: 4, winLength: 5 })).toThrow(
+    expect.objectContaining({ code: 'INVALID_OPTIONS' })
+  );
+});
+
+test('formats positions for the board size', () => {
+  expect(formatPosition(5)).toBe('row 2, col 3');
+  expect(formatPosition(16, 15)).toBe('row 2, col 2');
+});
+
+test('Ultimate sends each move to the small board matching its cell', () => {
+  const options = { variant: 'ultimate' };
+  // X plays board 1 cell 5, so O must answer on board 5
+  const state = replayMoves([4], options);
+  expect(state.activeBoard).toBe(4);
+  expect(playableBoards(state)).toEqual([4]);
+  expect(getLegalMoves(state)).toEqual([36, 37, 38, 39, 40, 41, 42, 43, 44]);
+  expect(() => applyMove(state, 0)).toThrow(expect.objectContaining({ code: 'WRONG_BOARD' }));
+  expect(formatPosition(40, 9, 'ultimate')).toBe('board 5, cell 5');
+  expect(formatCoordinate(40, 9, 'ultimate')).toBe('e5');
+  expect(parseCoordinate('e5', 9, 'ultimate')).toBe(40);
+});
+
+test('Ultimate claims small boards and wins with three of them in a row', () => {
+  const options = { variant: 'ultimate' };
+  // X takes the middle row of board 1 while O's replies send it back there
+  const claimed = replayMoves([3, 27, 4, 36, 5], options);
+  expect(claimed.subBoards[0]).toBe('X');
+  expect(claimed.activeBoard).toBe(5);
+
+  // A move sending the opponent to a decided board lets them play on any open board
+  const free = replayMoves([3, 27, 4, 36, 5, 45], options);
+  expect(free.activeBoard).toBeNull();
+  expect(() => applyMove(free, 2)).toThrow(expect.objectContaining({ code: 'BOARD_CLOSED' }));
+
+  // X claims boards 1, 2 and 3 the same way
+  const won = replayMoves([3, 27, 4, 36, 5, 46, 12, 28, 13, 37, 14, 47, 21, 29, 22, 38, 23], options);
+  expect(won.subBoards).toEqual(['X', 'X', 'X', 'O', 'O', null, null, null, null]);
+  expect(won).toMatchObject({ status: 'won', winner: 'X', winningLine: [0, 1, 2], activeBoard: null });
+  expect(fromSnapshot({ board: won.board, moves: won.moves, mode: 'ultimate' })).toMatchObject({
+    variant: 'ultimate',
+    status: 'won',
+    subBoards: won.subBoards,
+  });
+  expect(syncWithSnapshot(replayMoves([4], options), { board: replayMoves([4, 40], options).board }).activeBoard).toBe(4);
+  expect(undo(won)).toEqual(replayMoves(won.moves.slice(0, -1).map((m) => m.position), options));
+});
+
+test('Misère: completing a line loses', () => {
+  const lost = replayMoves([0, 3, 1, 4, 2], { variant: 'misere' });
+  expect(lost).toMatchObject({ status: 'won', winner: 'O', winningLine: [0, 1, 2] });
+  expect(getOutcome(lost)).toEqual({ status: 'won', winner: 'O' });
+  expect(fromSnapshot({ board: lost.board, mode: 'misere' })).toMatchObject({ variant: 'misere', winner: 'O' });
+});
+
+test('Wild: either player places X or O and whoever completes a line wins', () => {
+  const options = { variant: 'wild' };
+  const start = createGame(options);
+  expect(getLegalMarks(start)).toEqual(['X', 'O']);
+  // X places O twice; O's own O completes the row, so O wins
+  const plays = [{ position: 0, mark: 'O' }, 4, { position: 1, mark: 'O' }, { position: 2, mark: 'O' }];
+  const won = replayMoves(plays, options);
+  expect(won.board.slice(0, 3)).toEqual(['O', 'O', 'O']);
+  expect(won.moves[1]).toEqual({ moveNumber: 2, player: 'O', position: 4, mark: 'O' });
+  expect(won).toMatchObject({ status: 'won', winner: 'O', winningLine: [0, 1, 2] });
+  expect(fromSnapshot({ board: won.board, moves: won.moves, mode: 'wild' })).toMatchObject({ winner: 'O' });
+  expect(undo(won)).toEqual(replayMoves(won.moves.slice(0, -1), options));
+  expect(() => applyMove(createGame(), 0, { mark: 'O' })).toThrow(expect.objectContaining({ code: 'INVALID_MARK' }));
+});
+
+test('Notakto: both players place X and whoever kills the last board loses', () => {
+  const options = { variant: 'notakto', boards: 2 };
+  // X kills board 1 with its top row, then O kills board 2 with its middle row
+  const killed = replayMoves([0, 1, 2], options);
+  expect(killed.board.slice(0, 3)).toEqual(['X', 'X', 'X']);
+  expect(killed.subBoards).toEqual(['dead', null]);
+  expect(killed.status).toBe('in-progress');
+  expect(() => applyMove(killed, 4)).toThrow(expect.objectContaining({ code: 'BOARD_CLOSED' }));
+  expect(getLegalMoves(killed)).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+
+  const lost = replayMoves([0, 1, 2, 12, 13, 14], options);
+  expect(lost).toMatchObject({ status: 'won', winner: 'X', winningLine: [12, 13, 14], subBoards: ['dead', 'dead'] });
+  expect(fromSnapshot({ board: lost.board, mode: 'notakto' })).toMatchObject({ status: 'won', winner: 'X' });
+  expect(() => createGame({ variant: 'notakto', boards: 4 })).toThrow(
+    expect.objectContaining({ code: 'INVALID_OPTIONS' })
+  );
+});
+
+test('Qubic: four in a row on a 4×4×4 cube, across layers too', () => {
+  expect(getCubeWinningLines(4, 4).all).toHaveLength(76);
+  const options = { variant: 'qubic' };
+  expect(createGame(options)).toMatchObject({ size: 4, winLength: 4 });
+  expect(createGame(options).board).toHaveLength(64);
+
+  // X takes a space diagonal, one cell on each layer, while O fills the top row
+  const won = replayMoves([0, 1, 21, 2, 42, 3, 63], options);
+  expect(won).toMatchObject({ status: 'won', winner: 'X', winningLine: [0, 21, 42, 63] });
+  expect(fromSnapshot({ board: won.board, mode: 'qubic' })).toMatchObject({ variant: 'qubic', size: 4, winner: 'X' });
+  expect(fromLayerRowCol(2, 1, 3)).toBe(39);
+  expect(formatPosition(39, 4, 'qubic')).toBe('layer 3, row 2, col 4');
+  expect(formatCoordinate(39, 4, 'qubic')).toBe('3:d2');
+  expect(parseCoordinate('3:d2', 4, 'qubic')).toBe(39);
+  expect(parseCoordinate('5:a1', 4, 'qubic')).toBeNull();
+});
@@ -0,0 +1,19 @@
+//
+// Errors raised by the game engine
+//
+
+// PUBLIC_INTERFACE
+export class IllegalMoveError extends Error {
+  /**
+   * Thrown when a move breaks the rules. `code` is one of:
+   * GAME_OVER | OUT_OF_RANGE | OCCUPIED | NOTHING_TO_UNDO | INVALID_STATE | INVALID_OPTIONS |
+   * INVALID_MARK (a symbol the player may not place), and for Ultimate and Notakto
+   * WRONG_BOARD (not the small board the move must be on) | BOARD_CLOSED
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'IllegalMoveError';
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,7 @@
+export * from './engine';
+export * from './errors';
+export * from './lines';
+export * from './notakto';
+export * from './notation';
+export * from './qubic';
+export * from './ultimate';
@@ -0,0 +1,90 @@
+//
+// Winning line generation for N×N boards with K-in-a-row, and for N×N×N cubes
+// (Qubic, see qubic.js). Lines are generated once per board shape and cached.
+//
+
+const lineCache = new Map();
+
+// Row/column steps: horizontal, vertical, diagonal, anti-diagonal
+const DIRECTIONS = [
+  [0, 1],
+  [1, 0],
+  [1, 1],
+  [1, -1],
+];
+
+// Layer/row/column steps for cubes: one of each pair of opposite directions, 13 in all
+const CUBE_DIRECTIONS = [];
+for (let dl = -1; dl <= 1; dl += 1) {
+  for (let dr = -1; dr <= 1; dr += 1) {
+    for (let dc = -1; dc <= 1; dc += 1) {
+      const first = dl || dr || dc;
+      if (first > 0) CUBE_DIRECTIONS.push([dl, dr, dc]);
+    }
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getWinningLines(size, winLength) {
+  /** Every run of `winLength` cells (as index arrays) on a `size`×`size` board. */
+  const key = `${size}:${winLength}`;
+  if (lineCache.has(key)) return lineCache.get(key);
+
+  const lines = [];
+  for (let row = 0; row < size; row += 1) {
+    for (let col = 0; col < size; col += 1) {
+      for (const [dr, dc] of DIRECTIONS) {
+        const endRow = row + dr * (winLength - 1);
+        const endCol = col + dc * (winLength - 1);
+        if (endRow < 0 || endRow >= size || endCol < 0 || endCol >= size) continue;
+        const line = [];
+        for (let step = 0; step < winLength; step += 1) {
+          line.push((row + dr * step) * size + (col + dc * step));
+        }
+        lines.push(Object.freeze(line));
+      }
+    }
+  }
+
+  return cacheLines(key, lines, size * size);
+}
+
+// PUBLIC_INTERFACE
+export function getCubeWinningLines(size, winLength = size) {
+  /**
+   * Every run of `winLength` cells on a `size`×`size`×`size` cube, cells numbered
+   * layer by layer (layer * size² + row * size + col): the lines of each layer, the
+   * pillars and diagonals across layers, and the space diagonals. 76 for 4×4×4.
+   */
+  const key = `cube:${size}:${winLength}`;
+  if (lineCache.has(key)) return lineCache.get(key);
+
+  const inside = (v) => v >= 0 && v < size;
+  const lines = [];
+  for (let layer = 0; layer < size; layer += 1) {
+    for (let row = 0; row < size; row += 1) {
+      for (let col = 0; col < size; col += 1) {
+        for (const [dl, dr, dc] of CUBE_DIRECTIONS) {
+          const last = winLength - 1;
+          if (!inside(layer + dl * last) || !inside(row + dr * last) || !inside(col + dc * last)) continue;
+          const line = [];
+          for (let step = 0; step < winLength; step += 1) {
+            line.push((layer + dl * step) * size * size + (row + dr * step) * size + (col + dc * step));
+          }
+          lines.push(Object.freeze(line));
+        }
+      }
+    }
+  }
+  return cacheLines(key, lines, size * size * size);
+}
+
+/** Index `lines` by cell, freeze and cache them under `key`. */
+function cacheLines(key, lines, cellCount) {
+  const byCell = Array.from({ length: cellCount }, () => []);
+  lines.forEach((line) => line.forEach((cell) => byCell[cell].push(line)));
+
+  const entry = Object.freeze({ all: Object.freeze(lines), byCell: Object.freeze(byCell.map(Object.freeze)) });
+  lineCache.set(key, entry);
+  return entry;
+}
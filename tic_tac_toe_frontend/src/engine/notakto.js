@@ -0,0 +1,30 @@
+//
+// Notakto
+// - Both players place X on one to three separate 3×3 boards, numbered board by
+//   board as in Ultimate (position = board * 9 + cell, see ultimate.js) and drawn
+//   side by side
+// - Three in a row kills a board: no more marks may go on it
+// - Whoever kills the last live board loses, so a game can't end in a draw
+// Helpers here are pure and work on plain board arrays; engine.js builds the
+// game states from them.
+//
+
+import { getWinningLines } from './lines';
+import { ULTIMATE_BOARDS } from './ultimate';
+
+// PUBLIC_INTERFACE
+export const NOTAKTO_MAX_BOARDS = 3;
+
+// PUBLIC_INTERFACE
+export function isNotakto(state) {
+  /** True for a Notakto game state (or config). */
+  return Boolean(state) && state.variant === 'notakto';
+}
+
+// PUBLIC_INTERFACE
+export function deadLine(board, index) {
+  /** Positions of the first three in a row on small board `index`, in order along it, or null while it is live. */
+  const offset = index * ULTIMATE_BOARDS;
+  const line = getWinningLines(3, 3).all.find((candidate) => candidate.every((cell) => board[offset + cell]));
+  return line ? line.map((cell) => offset + cell) : null;
+}
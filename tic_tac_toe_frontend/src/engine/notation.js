@@ -0,0 +1,119 @@
+//
+// Human-friendly position formatting shared by MoveList and the Sidebar, and
+// compact coordinates for game files: a column letter (a, b, c, ...) followed
+// by a row number counted from the top, so "a1" is the top-left cell
+// Ultimate positions are named by small board and cell ("board 5, cell 3", both
+// counted 1-9 from the top left); their coordinates are those of the 9×9 grid
+// as drawn, so "e5" is the centre cell of the centre board. Notakto boards are
+// named the same way and drawn side by side, so their grid is three rows deep.
+// Qubic positions are named by layer, counted 1-4 from the top, then row and
+// column ("layer 2, row 1, col 3"); their coordinates put the layer before the
+// cell on it: "2:c1". A Wild move also names its mark: "O@b2".
+//
+
+import { defaultWinLength, GAME_VARIANTS } from './engine';
+import { NOTAKTO_MAX_BOARDS } from './notakto';
+import { fromLayerRowCol, QUBIC_SIZE, toLayerRowCol } from './qubic';
+import { fromUltimateGrid, toBoardCell, toUltimateGrid, usesSmallBoards } from './ultimate';
+
+// PUBLIC_INTERFACE
+export function toRowCol(position, size = 3) {
+  /** Convert a row-major cell index into 1-based { row, col }. */
+  return { row: Math.floor(position / size) + 1, col: (position % size) + 1 };
+}
+
+// PUBLIC_INTERFACE
+export function formatPosition(position, size = 3, variant = 'classic') {
+  /**
+   * Format a cell index (0 to size*size-1) as "row R, col C", "board B, cell C" for
+   * Ultimate and Notakto, or "layer L, row R, col C" for Qubic.
+   */
+  if (typeof position !== 'number') return '?';
+  if (variant === 'qubic') {
+    const { layer, row, col } = toLayerRowCol(position);
+    return `layer ${layer + 1}, row ${row + 1}, col ${col + 1}`;
+  }
+  if (usesSmallBoards(variant)) {
+    const { board, cell } = toBoardCell(position);
+    return `board ${board + 1}, cell ${cell + 1}`;
+  }
+  const { row, col } = toRowCol(position, size);
+  return `row ${row}, col ${col}`;
+}
+
+// PUBLIC_INTERFACE
+export function formatCoordinate(position, size = 3, variant = 'classic') {
+  /** Format a cell index as a coordinate like "b2" (column letter, row number from the top); "2:b2" on Qubic. */
+  if (variant === 'qubic') {
+    const { layer, row, col } = toLayerRowCol(position);
+    return `${layer + 1}:${String.fromCharCode(97 + col)}${row + 1}`;
+  }
+  const { row, col } = gridRowCol(position, size, variant);
+  return `${String.fromCharCode(96 + col)}${row}`;
+}
+
+// PUBLIC_INTERFACE
+export function parseCoordinate(text, size = 3, variant = 'classic') {
+  /** Cell index of a coordinate like "b2" (case-insensitive), or null if it is not on the board. */
+  if (variant === 'qubic') return parseCubeCoordinate(text);
+  const match = /^([a-z])(\d{1,2})$/i.exec(String(text).trim());
+  if (!match) return null;
+  const col = match[1].toLowerCase().charCodeAt(0) - 96;
+  const row = Number(match[2]);
+  // Notakto's boards sit in one row; cells past its last board are left for the engine to reject
+  const rows = variant === 'notakto' ? 3 : size;
+  const cols = variant === 'notakto' ? 3 * NOTAKTO_MAX_BOARDS : size;
+  if (col < 1 || col > cols || row < 1 || row > rows) return null;
+  if (usesSmallBoards(variant)) return fromUltimateGrid(row - 1, col - 1);
+  return (row - 1) * size + (col - 1);
+}
+
+// PUBLIC_INTERFACE
+export function formatPlay(position, mark, size = 3, variant = 'classic') {
+  /** Coordinate of a move for game files, prefixed with its mark on Wild ("O@b2"). */
+  const coordinate = formatCoordinate(position, size, variant);
+  return variant === 'wild' && mark ? `${mark}@${coordinate}` : coordinate;
+}
+
+// PUBLIC_INTERFACE
+export function parsePlay(text, size = 3, variant = 'classic') {
+  /** { position, mark } of a move written by formatPlay (mark null when not given), or null if unreadable. */
+  const match = /^(?:([XO])@)?(.+)$/i.exec(String(text).trim());
+  if (match[1] && variant !== 'wild') return null;
+  const position = parseCoordinate(match[2], size, variant);
+  if (position === null) return null;
+  return { position, mark: match[1] ? match[1].toUpperCase() : null };
+}
+
+// PUBLIC_INTERFACE
+export function formatVariant({ variant = 'classic', size = 3, winLength, boards } = {}) {
+  /** Short description of a game's rules and board: "3×3, 3 in a row", "Misère 4×4, 4 in a row", "Notakto, 3 boards". */
+  const known = GAME_VARIANTS.find((v) => v.id === variant);
+  const name = known ? known.name : variant;
+  if (variant === 'ultimate') return name;
+  if (variant === 'qubic') return `${name} ${QUBIC_SIZE}×${QUBIC_SIZE}×${QUBIC_SIZE}`;
+  if (variant === 'notakto') {
+    const count = boards || NOTAKTO_MAX_BOARDS;
+    return `${name}, ${count} board${count === 1 ? '' : 's'}`;
+  }
+  const board = `${size}×${size}, ${winLength ?? defaultWinLength(size)} in a row`;
+  return variant === 'classic' ? board : `${name} ${board}`;
+}
+
+/** Cell index of a Qubic coordinate like "2:c1", or null if it is not on the cube. */
+function parseCubeCoordinate(text) {
+  const match = /^(\d):([a-z])(\d)$/i.exec(String(text).trim());
+  if (!match) return null;
+  const layer = Number(match[1]) - 1;
+  const col = match[2].toLowerCase().charCodeAt(0) - 97;
+  const row = Number(match[3]) - 1;
+  if ([layer, row, col].some((v) => v < 0 || v >= QUBIC_SIZE)) return null;
+  return fromLayerRowCol(layer, row, col);
+}
+
+/** 1-based { row, col } of a position as drawn on the board. */
+function gridRowCol(position, size, variant) {
+  if (!usesSmallBoards(variant)) return toRowCol(position, size);
+  const { row, col } = toUltimateGrid(position);
+  return { row: row + 1, col: col + 1 };
+}
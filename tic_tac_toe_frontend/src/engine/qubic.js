@@ -0,0 +1,35 @@
+//
+// Qubic: 3D Tic Tac Toe on a 4×4×4 cube
+// - The cube is four stacked 4×4 layers. Positions are numbered layer by layer:
+//   position = layer * 16 + row * 4 + col, all counted from 0 (layer 0 on top)
+// - Four in a row wins along any of the 76 lines: the rows, columns and diagonals of
+//   each layer, the pillars and diagonals running down through the layers, and the
+//   four space diagonals between opposite corners of the cube
+// Helpers here are pure; engine.js builds the game states and lines.js the lines.
+//
+
+// PUBLIC_INTERFACE
+export const QUBIC_SIZE = 4;
+
+// PUBLIC_INTERFACE
+export function isQubic(state) {
+  /** True for a Qubic game state (or config). */
+  return Boolean(state) && state.variant === 'qubic';
+}
+
+// PUBLIC_INTERFACE
+export function toLayerRowCol(position) {
+  /** 0-based { layer, row, col } of a position on the cube. */
+  const perLayer = QUBIC_SIZE * QUBIC_SIZE;
+  return {
+    layer: Math.floor(position / perLayer),
+    row: Math.floor((position % perLayer) / QUBIC_SIZE),
+    col: position % QUBIC_SIZE,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function fromLayerRowCol(layer, row, col) {
+  /** Position of the cell at 0-based (layer, row, col). */
+  return (layer * QUBIC_SIZE + row) * QUBIC_SIZE + col;
+}
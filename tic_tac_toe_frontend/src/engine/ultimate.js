@@ -0,0 +1,102 @@
+//
+// Ultimate Tic Tac Toe
+// - The board is nine small 3×3 boards laid out in a 3×3 meta-board. Positions are
+//   numbered board by board: position = board * 9 + cell, with boards and cells
+//   both counted 0-8 in row-major order
+// - The cell of each move sends the opponent to the small board in the same place;
+//   if that board is already decided they may play on any open board
+// - Three in a row on a small board claims it; a small board filled without a
+//   winner is drawn and belongs to nobody. Three claimed boards in a row win.
+// Helpers here are pure and work on plain board arrays; engine.js builds the
+// game states from them. Notakto (see notakto.js) numbers its boards and cells
+// the same way, so the board/cell and grid helpers serve it too.
+//
+
+import { getWinningLines } from './lines';
+
+// PUBLIC_INTERFACE
+export const ULTIMATE_BOARDS = 9;
+
+// PUBLIC_INTERFACE
+export function isUltimate(state) {
+  /** True for an Ultimate game state (or config). */
+  return Boolean(state) && state.variant === 'ultimate';
+}
+
+// PUBLIC_INTERFACE
+export function usesSmallBoards(variant) {
+  /** True for rule sets played on separate 3×3 boards numbered board by board (Ultimate and Notakto). */
+  return variant === 'ultimate' || variant === 'notakto';
+}
+
+// PUBLIC_INTERFACE
+export function toBoardCell(position) {
+  /** Split a position into its small board and the cell on it, both 0-8. */
+  return { board: Math.floor(position / ULTIMATE_BOARDS), cell: position % ULTIMATE_BOARDS };
+}
+
+// PUBLIC_INTERFACE
+export function toUltimateGrid(position) {
+  /** 0-based { row, col } of a position on the 9×9 grid as it is drawn. */
+  const { board, cell } = toBoardCell(position);
+  return {
+    row: Math.floor(board / 3) * 3 + Math.floor(cell / 3),
+    col: (board % 3) * 3 + (cell % 3),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function fromUltimateGrid(row, col) {
+  /** Position of the cell drawn at 0-based (row, col) on the 9×9 grid. */
+  const board = Math.floor(row / 3) * 3 + Math.floor(col / 3);
+  const cell = (row % 3) * 3 + (col % 3);
+  return board * ULTIMATE_BOARDS + cell;
+}
+
+// PUBLIC_INTERFACE
+export function subBoardResult(board, index) {
+  /** 'X' | 'O' once a player has three in a row on small board `index`, 'draw' when it is full, else null. */
+  const offset = index * ULTIMATE_BOARDS;
+  for (const line of getWinningLines(3, 3).all) {
+    const first = board[offset + line[0]];
+    if (first && line.every((cell) => board[offset + cell] === first)) return first;
+  }
+  for (let cell = 0; cell < ULTIMATE_BOARDS; cell += 1) {
+    if (!board[offset + cell]) return null;
+  }
+  return 'draw';
+}
+
+// PUBLIC_INTERFACE
+export function metaOutcome(subBoards) {
+  /**
+   * Result of the meta-board from the small boards' results: { result, line } where
+   * result is 'X' | 'O' (with the small boards of the winning line), 'draw' once every
+   * small board is decided without a winner, else null.
+   */
+  const line = getWinningLines(3, 3).all.find((candidate) => {
+    const first = subBoards[candidate[0]];
+    return (first === 'X' || first === 'O') && candidate.every((b) => subBoards[b] === first);
+  });
+  if (line) return { result: subBoards[line[0]], line: [...line] };
+  return { result: subBoards.every(Boolean) ? 'draw' : null, line: null };
+}
+
+// PUBLIC_INTERFACE
+export function nextActiveBoard(subBoards, position) {
+  /** The small board the reply to `position` must be played on, or null for any open board. */
+  const { cell } = toBoardCell(position);
+  return subBoards[cell] ? null : cell;
+}
+
+// PUBLIC_INTERFACE
+export function playableBoards(state) {
+  /** Small boards the player to move may play on; empty when the game is over. */
+  if (state.status !== 'in-progress') return [];
+  if (state.activeBoard !== null && state.activeBoard !== undefined) return [state.activeBoard];
+  const open = [];
+  state.subBoards.forEach((result, index) => {
+    if (!result) open.push(index);
+  });
+  return open;
+}
@@ -0,0 +1,356 @@
+//
+// Portable game files
+// - A game is written down as its players, board, moves as coordinates ("a1"
+//   is the top-left cell, see engine/notation.js), result and timestamps, in
+//   one of two formats:
+//
+//   JSON
+//     { "format": "tictactoe-game", "version": 1, "gameId": "game-12",
+//       "players": { "X": "Alice", "O": "Bob" }, "board": { "size": 3, "winLength": 3 },
+//       "moves": ["a1", "b2", "b1", "c3", "c1"], "result": "X",
+//       "startedAt": "2024-03-05T10:00:00.000Z", "finishedAt": "2024-03-05T10:02:13.000Z" }
+//     result is "X", "O", "draw" or "*" (unfinished); times are ISO strings or null
+//
+//   Text (PGN-like): [Tag "value"] pairs, a blank line, then numbered moves
+//   ending with the result
+//     [Game "game-12"]
+//     [X "Alice"]
+//     [O "Bob"]
+//     [Board "3x3"]
+//     [WinLength "3"]
+//     [StartedAt "2024-03-05T10:00:00.000Z"]
+//     [FinishedAt "2024-03-05T10:02:13.000Z"]
+//     [Result "1-0"]
+//
+//     1. a1 b2 2. b1 c3 3. c1 1-0
+//     Results: 1-0 (X won), 0-1 (O won), 1/2-1/2 (draw), * (unfinished).
+//     {Comments} and ; line comments are ignored.
+//
+// - Games with other rules name their variant ("board": { ..., "variant": "ultimate" }
+//   or [Variant "ultimate"]); without one a game is classic. Ultimate moves are
+//   coordinates on the 9×9 grid as drawn, so "e5" is the centre of the centre board,
+//   and Notakto's on its boards side by side, whose number is given as
+//   "board": { ..., "boards": 2 } or [Boards "2"]. Qubic moves name the layer before
+//   the cell on it, "2:c1", and its text files have [Board "4x4x4"]. A Wild move names
+//   the mark it placed before the cell, "O@b2"; without one the player placed their own.
+//
+// - Files are replayed through the rules engine when read, so illegal moves,
+//   unknown cells or a result that doesn't match the moves are rejected with
+//   a GameFileError
+//
+
+import { applyMove, createGame, formatCoordinate, formatPlay, gameConfigOf, parsePlay } from '../engine';
+import { createImportedId, saveGameRecord } from '../offline';
+
+// PUBLIC_INTERFACE
+export const GAME_FILE_FORMAT = 'tictactoe-game';
+
+// PUBLIC_INTERFACE
+export const GAME_FILE_VERSION = 1;
+
+// PUBLIC_INTERFACE
+export const GAME_FILE_TYPES = Object.freeze({
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  text: { label: 'Text', extension: 'txt', mimeType: 'text/plain' },
+});
+
+const TEXT_RESULTS = Object.freeze({ X: '1-0', O: '0-1', draw: '1/2-1/2', '*': '*' });
+
+const RESULT_LABELS = Object.freeze({ X: 'X won', O: 'O won', draw: 'it was a draw', '*': 'the game is unfinished' });
+
+// PUBLIC_INTERFACE
+export class GameFileError extends Error {
+  /** A game file that can't be read: malformed, or its moves break the rules. */
+  constructor(message) {
+    super(message);
+    this.name = 'GameFileError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export function describeGame({
+  gameId,
+  players = {},
+  size = 3,
+  winLength,
+  variant = 'classic',
+  boards,
+  positions = [],
+  marks = null,
+  startedAt,
+  finishedAt,
+}) {
+  /**
+   * Check a game with the rules engine and return its portable description:
+   * { gameId, players: { X, O }, size, winLength, variant, boards, positions, marks, result,
+   *   startedAt, finishedAt }
+   * with result 'X' | 'O' | 'draw' | '*' and names/times null when unknown. boards is
+   * Notakto's number of boards and marks the symbol of each move on Wild, else null.
+   * Throws GameFileError for an unsupported board or an illegal move.
+   */
+  let state;
+  try {
+    state = createGame({ size, winLength, variant, boards: boards ?? undefined });
+  } catch (e) {
+    throw new GameFileError(`Unsupported board: ${e.message}`);
+  }
+  positions.forEach((position, i) => {
+    try {
+      state = applyMove(state, position, { mark: marks ? marks[i] : null });
+    } catch (e) {
+      const cell = Number.isInteger(position) ? formatCoordinate(position, state.size, state.variant) : String(position);
+      if (e.code === 'GAME_OVER') throw new GameFileError(`Move ${i + 1} (${cell}) comes after the game is over.`);
+      if (e.code === 'OCCUPIED') throw new GameFileError(`Move ${i + 1} (${cell}) is on a cell that is already taken.`);
+      if (e.code === 'WRONG_BOARD') {
+        throw new GameFileError(`Move ${i + 1} (${cell}) is not on the board the previous move sent it to.`);
+      }
+      if (e.code === 'BOARD_CLOSED') {
+        throw new GameFileError(`Move ${i + 1} (${cell}) is on a small board that is already decided.`);
+      }
+      if (e.code === 'INVALID_MARK') {
+        throw new GameFileError(`Move ${i + 1} (${cell}) places a mark these rules don't allow.`);
+      }
+      throw new GameFileError(`Move ${i + 1} (${cell}) is not on the board.`);
+    }
+  });
+  return {
+    gameId: gameId || null,
+    players: { X: players.X || null, O: players.O || null },
+    size: state.size,
+    winLength: state.winLength,
+    variant: state.variant,
+    boards: gameConfigOf(state).boards ?? null,
+    positions: [...positions],
+    marks: state.variant === 'wild' ? state.moves.map((m) => m.mark) : null,
+    result: state.status === 'won' ? state.winner : state.status === 'draw' ? 'draw' : '*',
+    startedAt: startedAt || null,
+    finishedAt: finishedAt || null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function formatGameFile(game, format = 'json') {
+  /** Write a described game (see describeGame) as 'json' or 'text'. */
+  const moves = game.positions.map((p, i) => formatPlay(p, game.marks ? game.marks[i] : null, game.size, game.variant));
+  const variant = game.variant && game.variant !== 'classic' ? game.variant : null;
+  const boards = variant === 'notakto' ? game.boards : null;
+  if (format === 'json') {
+    const file = {
+      format: GAME_FILE_FORMAT,
+      version: GAME_FILE_VERSION,
+      gameId: game.gameId,
+      players: game.players,
+      board: {
+        size: game.size,
+        winLength: game.winLength,
+        ...(variant ? { variant } : {}),
+        ...(boards ? { boards } : {}),
+      },
+      moves,
+      result: game.result,
+      startedAt: game.startedAt,
+      finishedAt: game.finishedAt,
+    };
+    return `${JSON.stringify(file, null, 2)}\n`;
+  }
+  const tags = [
+    ['Game', game.gameId],
+    ['X', game.players.X],
+    ['O', game.players.O],
+    ['Board', Array(variant === 'qubic' ? 3 : 2).fill(game.size).join('x')],
+    ['Variant', variant],
+    ['Boards', boards ? String(boards) : null],
+    ['WinLength', String(game.winLength)],
+    ['StartedAt', game.startedAt],
+    ['FinishedAt', game.finishedAt],
+    ['Result', TEXT_RESULTS[game.result]],
+  ].filter(([, value]) => value);
+  const numbered = [];
+  moves.forEach((move, i) => numbered.push(i % 2 === 0 ? `${i / 2 + 1}. ${move}` : move));
+  numbered.push(TEXT_RESULTS[game.result]);
+  return `${tags.map(([tag, value]) => `[${tag} "${escapeTag(value)}"]`).join('\n')}\n\n${wrap(numbered)}\n`;
+}
+
+// PUBLIC_INTERFACE
+export function parseGameFile(content) {
+  /**
+   * Read a game file in either format (JSON is detected by its opening '{"', which a
+   * text file's {comment} can't start with) and check it with the rules engine. Returns the described game; throws GameFileError if unreadable.
+   */
+  const text = String(content || '').trim();
+  if (!text) throw new GameFileError('The file is empty.');
+  const parsed = /^\{\s*["}]/.test(text) ? readJson(text) : readText(text);
+  const plays = parsed.moves.map((move, i) => toPlay(move, i, parsed.size, parsed.variant));
+  const game = describeGame({
+    ...parsed,
+    positions: plays.map((play) => play.position),
+    marks: plays.map((play) => play.mark),
+  });
+  if (parsed.result && parsed.result !== game.result) {
+    throw new GameFileError(`The file says ${RESULT_LABELS[parsed.result]}, but its moves show ${RESULT_LABELS[game.result]}.`);
+  }
+  return game;
+}
+
+// PUBLIC_INTERFACE
+export function gameFileName(game, format = 'json') {
+  /** Download name such as "tictactoe-game-12.json". */
+  const base = String(game.gameId || 'game').replace(/[^\w.-]+/g, '-');
+  return `tictactoe-${base}.${GAME_FILE_TYPES[format].extension}`;
+}
+
+// PUBLIC_INTERFACE
+export function saveImportedGame(game) {
+  /**
+   * Keep an imported game on this device (read-only, listed in the archive) and
+   * return its new ID, so it can be opened in the replay viewer.
+   */
+  const id = createImportedId();
+  const now = new Date().toISOString();
+  saveGameRecord(
+    {
+      id,
+      mode: { opponent: 'human', ...configOf(game) },
+      names: { X: game.players.X || '', O: game.players.O || '' },
+      players: {
+        X: game.players.X ? { id: null, name: game.players.X } : null,
+        O: game.players.O ? { id: null, name: game.players.O } : null,
+      },
+      seat: null,
+      config: configOf(game),
+      moves: game.positions,
+      moveMarks: game.marks,
+      cursor: game.positions.length,
+      readOnly: true,
+      startedAt: game.startedAt || now,
+      finishedAt: game.finishedAt,
+    },
+    { activate: false }
+  );
+  return id;
+}
+
+/** { gameId, players, size, winLength, variant, boards, moves, result, startedAt, finishedAt } from the JSON format. */
+function readJson(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    throw new GameFileError('The file is not valid JSON.');
+  }
+  if (!file || typeof file !== 'object' || Array.isArray(file)) throw new GameFileError('The file is not a game.');
+  if (file.format !== undefined && file.format !== GAME_FILE_FORMAT) {
+    throw new GameFileError(`Unknown format "${file.format}".`);
+  }
+  if (Number(file.version) > GAME_FILE_VERSION) {
+    throw new GameFileError('The file was written by a newer version of the app.');
+  }
+  if (!Array.isArray(file.moves)) throw new GameFileError('The file has no list of moves.');
+  const board = file.board || {};
+  const result = file.result ?? null;
+  if (result !== null && !Object.prototype.hasOwnProperty.call(TEXT_RESULTS, result)) {
+    throw new GameFileError(`Unknown result "${result}".`);
+  }
+  return {
+    gameId: stringOrNull(file.gameId),
+    players: { X: stringOrNull(file.players && file.players.X), O: stringOrNull(file.players && file.players.O) },
+    size: board.size === undefined ? 3 : Number(board.size),
+    winLength: board.winLength === undefined ? undefined : Number(board.winLength),
+    variant: board.variant === undefined ? 'classic' : String(board.variant),
+    boards: board.boards === undefined ? undefined : Number(board.boards),
+    moves: file.moves,
+    result,
+    startedAt: dateOrNull(file.startedAt, 'startedAt'),
+    finishedAt: dateOrNull(file.finishedAt, 'finishedAt'),
+  };
+}
+
+/** The same fields from the text format. */
+function readText(text) {
+  const tags = {};
+  const movetext = [];
+  text
+    .replace(/\{[^}]*\}/g, ' ')
+    .split(/\r?\n/)
+    .forEach((rawLine) => {
+      const line = rawLine.replace(/;.*$/, '').trim();
+      if (!line) return;
+      const tag = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(line);
+      if (tag) tags[tag[1].toLowerCase()] = tag[2].replace(/\\(.)/g, '$1');
+      else if (line.startsWith('[')) throw new GameFileError(`Can't read the tag ${line}`);
+      else movetext.push(line);
+    });
+
+  const tokens = movetext.join(' ').split(/\s+/).filter(Boolean);
+  const textResults = Object.entries(TEXT_RESULTS);
+  let result = null;
+  const moves = [];
+  tokens.forEach((token) => {
+    const move = token.replace(/^\d+\.+/, '');
+    if (!move) return;
+    const asResult = textResults.find(([, code]) => code === move);
+    if (asResult) result = asResult[0];
+    else if (result !== null) throw new GameFileError(`Move "${move}" comes after the result.`);
+    else moves.push(move);
+  });
+  const tagResult = tags.result ? textResults.find(([, code]) => code === tags.result) : null;
+  if (tags.result && !tagResult) throw new GameFileError(`Unknown result "${tags.result}".`);
+  if (tagResult && result !== null && tagResult[0] !== result) {
+    throw new GameFileError('The Result tag and the result after the moves disagree.');
+  }
+
+  const board = tags.board ? /^(\d+)\s*[x×]\s*(\d+)(?:\s*[x×]\s*(\d+))?$/i.exec(tags.board) : null;
+  if (tags.board && (!board || board[1] !== board[2] || (board[3] && board[3] !== board[1]))) {
+    throw new GameFileError(`Unsupported board "${tags.board}".`);
+  }
+  return {
+    gameId: tags.game || null,
+    players: { X: tags.x || null, O: tags.o || null },
+    size: board ? Number(board[1]) : 3,
+    winLength: tags.winlength ? Number(tags.winlength) : undefined,
+    variant: tags.variant || 'classic',
+    boards: tags.boards ? Number(tags.boards) : undefined,
+    moves,
+    result: tagResult ? tagResult[0] : result,
+    startedAt: dateOrNull(tags.startedat, 'StartedAt'),
+    finishedAt: dateOrNull(tags.finishedat, 'FinishedAt'),
+  };
+}
+
+function toPlay(move, index, size, variant) {
+  const play = typeof move === 'string' ? parsePlay(move, size, variant) : null;
+  if (play === null) throw new GameFileError(`Move ${index + 1} "${move}" is not a cell on a ${size}×${size} board.`);
+  return play;
+}
+
+/** Game settings of a described game, as the game store keeps them. */
+function configOf(game) {
+  const config = { size: game.size, winLength: game.winLength, variant: game.variant };
+  if (game.boards) config.boards = game.boards;
+  return config;
+}
+
+function stringOrNull(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function dateOrNull(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Number.isNaN(Date.parse(value))) throw new GameFileError(`${field} is not a valid date.`);
+  return new Date(value).toISOString();
+}
+
+function escapeTag(value) {
+  return String(value).replace(/[\\"]/g, '\\$&');
+}
+
+/** Join tokens into lines of at most 80 characters. */
+function wrap(tokens) {
+  const lines = [''];
+  tokens.forEach((token) => {
+    const last = lines.length - 1;
+    if (lines[last] && lines[last].length + token.length + 1 > 80) lines.push(token);
+    else lines[last] = lines[last] ? `${lines[last]} ${token}` : token;
+  });
+  return lines.join('\n');
+}
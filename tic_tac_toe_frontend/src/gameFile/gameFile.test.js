@@ -0,0 +1,100 @@
+import { loadGameRecord } from '../offline';
+import { describeGame, formatGameFile, GameFileError, gameFileName, parseGameFile, saveImportedGame } from './gameFile';
+
+// X takes the top row: a1 b2 b1 c3 c1
+const finished = describeGame({
+  gameId: 'game-12',
+  players: { X: 'Alice', O: 'Bob "the Builder"' },
+  size: 3,
+  winLength: 3,
+  positions: [0, 4, 1, 8, 2],
+  startedAt: '2024-03-05T10:00:00.000Z',
+  finishedAt: '2024-03-05T10:02:13.000Z',
+});
+
+afterEach(() => window.localStorage.clear());
+
+test('round-trips a game through both formats', () => {
+  expect(finished.result).toBe('X');
+  const text = formatGameFile(finished, 'text');
+  expect(text).toContain('[Board "3x3"]');
+  expect(text).toContain('1. a1 b2 2. b1 c3 3. c1 1-0');
+
+  expect(parseGameFile(formatGameFile(finished, 'json'))).toEqual(finished);
+  expect(parseGameFile(text)).toEqual(finished);
+  expect(gameFileName(finished, 'text')).toBe('tictactoe-game-12.txt');
+});
+
+test('writes Ultimate moves as coordinates on the 9×9 grid', () => {
+  // Board 1 cell 5 sends O to the centre board
+  const ultimate = describeGame({ gameId: 'game-13', variant: 'ultimate', positions: [4, 40] });
+  expect(ultimate).toMatchObject({ size: 9, variant: 'ultimate', result: '*' });
+  const text = formatGameFile(ultimate, 'text');
+  expect(text).toContain('[Variant "ultimate"]');
+  expect(text).toContain('1. b2 e5 *');
+  expect(parseGameFile(text)).toEqual(ultimate);
+  expect(parseGameFile(formatGameFile(ultimate, 'json'))).toEqual(ultimate);
+  expect(() => parseGameFile('[Variant "ultimate"]\n\n1. b2 a1')).toThrow(
+    new GameFileError('Move 2 (a1) is not on the board the previous move sent it to.')
+  );
+});
+
+test('writes the mark of Wild moves and the boards of a Notakto game', () => {
+  // X places O twice, then O completes the row of Os and wins
+  const wild = describeGame({ variant: 'wild', positions: [0, 4, 1, 2], marks: ['O', null, 'O', 'O'] });
+  expect(wild).toMatchObject({ variant: 'wild', marks: ['O', 'O', 'O', 'O'], result: 'O' });
+  const text = formatGameFile(wild, 'text');
+  expect(text).toContain('1. O@a1 O@b2 2. O@b1 O@c1 0-1');
+  expect(parseGameFile(text)).toEqual(wild);
+  expect(parseGameFile(formatGameFile(wild, 'json'))).toEqual(wild);
+
+  const notakto = describeGame({ variant: 'notakto', boards: 2, positions: [0, 13] });
+  expect(notakto).toMatchObject({ size: 3, boards: 2, marks: null, result: '*' });
+  expect(formatGameFile(notakto, 'text')).toContain('[Boards "2"]');
+  expect(parseGameFile(formatGameFile(notakto, 'text'))).toEqual(notakto);
+  expect(() => parseGameFile('1. O@a1')).toThrow(GameFileError);
+});
+
+test('writes Qubic moves with their layer', () => {
+  // X takes the space diagonal from the top front corner to the bottom back one
+  const qubic = describeGame({ variant: 'qubic', positions: [0, 1, 21, 2, 42, 3, 63] });
+  expect(qubic).toMatchObject({ size: 4, winLength: 4, result: 'X' });
+  const text = formatGameFile(qubic, 'text');
+  expect(text).toContain('[Board "4x4x4"]');
+  expect(text).toContain('1. 1:a1 1:b1 2. 2:b2 1:c1 3. 3:c3 1:d1 4. 4:d4 1-0');
+  expect(parseGameFile(text)).toEqual(qubic);
+  expect(parseGameFile(formatGameFile(qubic, 'json'))).toEqual(qubic);
+});
+
+test('reads hand-written text with comments and no tags', () => {
+  const game = parseGameFile('{opening} 1. b2 a1 ; centre first\n2. c3 *');
+  expect(game).toMatchObject({ size: 3, winLength: 3, positions: [4, 0, 8], result: '*' });
+  expect(game.players).toEqual({ X: null, O: null });
+});
+
+test('rejects files whose moves break the rules', () => {
+  const cases = [
+    ['1. a1 a1', 'Move 2 (a1) is on a cell that is already taken.'],
+    ['1. a1 b2 2. b1 c3 3. c1 a3', 'Move 6 (a3) comes after the game is over.'],
+    ['1. a1 d4', 'Move 2 "d4" is not a cell on a 3×3 board.'],
+    ['[Result "0-1"]\n\n1. a1 b2 2. b1 c3 3. c1', 'The file says O won, but its moves show X won.'],
+    ['{"board": {"size": 3, "winLength": 4}, "moves": []}', 'Unsupported board: Win length must be between 3 and 3'],
+    ['{"moves": ["a1"], "startedAt": "yesterday"}', 'startedAt is not a valid date.'],
+    ['{"moves": ["a1"', 'The file is not valid JSON.'],
+  ];
+  cases.forEach(([content, message]) => {
+    expect(() => parseGameFile(content)).toThrow(new GameFileError(message));
+  });
+});
+
+test('keeps an imported game on this device, read-only', () => {
+  const id = saveImportedGame(finished);
+  expect(id).toMatch(/^imported-/);
+  expect(loadGameRecord(id)).toMatchObject({
+    readOnly: true,
+    moves: [0, 4, 1, 8, 2],
+    players: { X: { id: null, name: 'Alice' } },
+    finishedAt: finished.finishedAt,
+  });
+  expect(window.localStorage.getItem('tictactoe.activeGame.v1')).toBeNull();
+});
@@ -0,0 +1,21 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * useAbortSignal returns `nextSignal()`, which aborts the previous request's
+ * signal and hands out a fresh one. Everything still in flight is aborted when
+ * the component unmounts, so late responses never update an unmounted tree.
+ */
+export default function useAbortSignal() {
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  }, []);
+
+  return useCallback(() => {
+    if (controllerRef.current) controllerRef.current.abort();
+    controllerRef.current = new AbortController();
+    return controllerRef.current.signal;
+  }, []);
+}
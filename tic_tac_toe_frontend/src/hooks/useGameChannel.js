@@ -0,0 +1,35 @@
+import { useEffect, useRef, useState } from 'react';
+import { subscribeToGame } from '../api';
+
+/**
+ * PUBLIC_INTERFACE
+ * useGameChannel follows a backend game in realtime while `gameId` is set.
+ * onUpdate(game) receives each new server state; the returned value is the
+ * channel status ('idle' | 'connecting' | 'live' | 'reconnecting' | 'polling' | 'closed').
+ * Pass { role: 'spectator' } to follow it as a spectator, and onPresence({ spectators })
+ * to receive the spectator count.
+ */
+export default function useGameChannel(gameId, onUpdate, { role = 'player', onPresence } = {}) {
+  const [status, setStatus] = useState('idle');
+  // Keep the latest callbacks without resubscribing on every render
+  const onUpdateRef = useRef(onUpdate);
+  onUpdateRef.current = onUpdate;
+  const onPresenceRef = useRef(onPresence);
+  onPresenceRef.current = onPresence;
+
+  useEffect(() => {
+    if (!gameId) {
+      setStatus('idle');
+      return undefined;
+    }
+    const channel = subscribeToGame(gameId, {
+      role,
+      onUpdate: (game) => onUpdateRef.current(game),
+      onPresence: (presence) => onPresenceRef.current && onPresenceRef.current(presence),
+      onStatus: setStatus,
+    });
+    return () => channel.close();
+  }, [gameId, role]);
+
+  return status;
+}
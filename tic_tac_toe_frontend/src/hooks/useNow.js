@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * useNow returns the current time (ms since the epoch), refreshed every
+ * `intervalMs` while `active` is true, so running clocks re-render.
+ */
+export default function useNow(active, intervalMs = 200) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!active) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [active, intervalMs]);
+
+  return now;
+}
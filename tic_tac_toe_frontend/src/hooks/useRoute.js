@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react';
+import { getRoute, subscribeRoute } from '../router';
+
+/**
+ * PUBLIC_INTERFACE
+ * useRoute returns the current route ({ name, params, path, state }) and
+ * re-renders after every navigation, including the browser's back/forward.
+ */
+export default function useRoute() {
+  const [route, setRoute] = useState(getRoute);
+  useEffect(() => {
+    setRoute(getRoute());
+    return subscribeRoute(setRoute);
+  }, []);
+  return route;
+}
@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * useRovingFocus keeps one cell of a board in the tab order (roving tabindex) and moves
+ * focus with the arrow keys, Home/End (start/end of the row) and Ctrl+Home/End (corners).
+ * - `rows` × `cols` is the grid the keys move across; toGrid(cell) gives a cell's
+ *   { row, col } in it and fromGrid(row, col) the cell back
+ * - `cellCount` clamps the active cell when the board shrinks
+ * - Changing `focusKey` (anything but null) moves focus to cell 0
+ * Returns { activeCell, setActiveCell, focusCell, cellRef, onGridKeyDown }: pass
+ * cellRef(cell) as each cell's ref and tabIndex={cell === activeCell ? 0 : -1};
+ * onGridKeyDown(e) handles a navigation key and returns whether it did.
+ */
+export default function useRovingFocus({ rows, cols, toGrid, fromGrid, cellCount, focusKey = null }) {
+  const [active, setActiveCell] = useState(0);
+  const cellRefs = useRef([]);
+  const activeCell = Math.max(0, Math.min(active, cellCount - 1));
+
+  const focusCell = useCallback((cell) => {
+    setActiveCell(cell);
+    const element = cellRefs.current[cell];
+    if (element) element.focus();
+  }, []);
+
+  useEffect(() => {
+    if (focusKey !== null) focusCell(0);
+  }, [focusKey, focusCell]);
+
+  const cellRef = (cell) => (element) => {
+    cellRefs.current[cell] = element;
+  };
+
+  const onGridKeyDown = (e) => {
+    const { row, col } = toGrid(activeCell);
+    const moves = {
+      ArrowUp: [Math.max(0, row - 1), col],
+      ArrowDown: [Math.min(rows - 1, row + 1), col],
+      ArrowLeft: [row, Math.max(0, col - 1)],
+      ArrowRight: [row, Math.min(cols - 1, col + 1)],
+      Home: e.ctrlKey ? [0, 0] : [row, 0],
+      End: e.ctrlKey ? [rows - 1, cols - 1] : [row, cols - 1],
+    };
+    if (!moves[e.key]) return false;
+    e.preventDefault();
+    focusCell(fromGrid(...moves[e.key]));
+    return true;
+  };
+
+  return { activeCell, setActiveCell, focusCell, cellRef, onGridKeyDown };
+}
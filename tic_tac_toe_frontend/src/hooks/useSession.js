@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react';
+import { getSession, subscribeSession } from '../auth';
+
+/**
+ * PUBLIC_INTERFACE
+ * useSession returns the signed-in session ({ accessToken, refreshToken, user })
+ * or null, and re-renders on sign-in, token refresh and sign-out.
+ */
+export default function useSession() {
+  const [session, setSession] = useState(getSession);
+  useEffect(() => {
+    setSession(getSession());
+    return subscribeSession(setSession);
+  }, []);
+  return session;
+}
@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react';
+import { getSyncState, subscribeSyncState } from '../offline';
+
+/**
+ * PUBLIC_INTERFACE
+ * useSyncStatus returns the offline sync queue state ({ status, pending }) and
+ * re-renders whenever it changes. status is 'synced' | 'syncing' | 'offline'.
+ */
+export default function useSyncStatus() {
+  const [state, setState] = useState(getSyncState);
+  useEffect(() => {
+    setState(getSyncState());
+    return subscribeSyncState(setState);
+  }, []);
+  return state;
+}
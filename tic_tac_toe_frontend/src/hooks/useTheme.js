@@ -0,0 +1,20 @@
+import { useEffect, useState } from 'react';
+import { getThemePreference, resolveTheme, subscribeTheme } from '../theme';
+
+/**
+ * PUBLIC_INTERFACE
+ * useTheme returns { preference, theme }: the user's choice ('system' | 'light' |
+ * 'dark' | 'high-contrast') and the theme actually shown. Re-renders when either changes.
+ */
+export default function useTheme() {
+  const [state, setState] = useState(currentTheme);
+  useEffect(() => {
+    setState(currentTheme());
+    return subscribeTheme(setState);
+  }, []);
+  return state;
+}
+
+function currentTheme() {
+  return { preference: getThemePreference(), theme: resolveTheme() };
+}
@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react';
+import { listTournaments, subscribeTournaments } from '../tournament';
+
+/**
+ * PUBLIC_INTERFACE
+ * useTournaments returns the tournaments saved on this device, newest first, and
+ * re-renders whenever one is created or a match result is recorded.
+ */
+export default function useTournaments() {
+  const [tournaments, setTournaments] = useState(listTournaments);
+  useEffect(() => {
+    setTournaments(listTournaments());
+    return subscribeTournaments(() => setTournaments(listTournaments()));
+  }, []);
+  return tournaments;
+}
@@ -2,6 +2,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { installAuth } from './auth';
+import { redirectLegacyLinks } from './router';
+import { installTheme } from './theme';
+
+// Attach the signed-in user's token before any component issues a request
+installAuth();
+// Old ?join= and ?replay= links open their /join/:id and /replay/:id routes
+redirectLegacyLinks();
+// Set data-theme before the first render so the page never flashes the wrong colors
+installTheme();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -0,0 +1,191 @@
+//
+// Leaderboard data helpers
+// - Normalizes leaderboard pages and player records from the backend
+// - Falls back to sorting, filtering and paging locally when an older backend
+//   returns the whole leaderboard as a plain array, or when ranking by rating on a
+//   backend without ratings (its pages can't be ordered by the local ones); then
+//   at most MAX_RANKED_ROWS rows are fetched, once per search and time window until
+//   clearRankedRows() is called
+// - Derives a player's results and head-to-head records from their games
+// - Ratings come from the backend's `elo` when it has one, else from the
+//   ratings computed locally from recorded results (see ../ratings)
+//
+
+import { api } from '../api';
+import { getLocalRating } from '../ratings';
+
+// PUBLIC_INTERFACE
+export const SORT_FIELDS = Object.freeze(['rating', 'wins', 'winRate', 'gamesPlayed']);
+
+// PUBLIC_INTERFACE
+export const SORT_LABELS = Object.freeze({
+  rating: 'Rating',
+  wins: 'Wins',
+  winRate: 'Win rate',
+  gamesPlayed: 'Games',
+});
+
+// PUBLIC_INTERFACE
+export const TIME_WINDOWS = Object.freeze(['today', 'week', 'all']);
+
+// PUBLIC_INTERFACE
+export const TIME_WINDOW_LABELS = Object.freeze({
+  today: 'Today',
+  week: 'This week',
+  all: 'All time',
+});
+
+// PUBLIC_INTERFACE
+export const DEFAULT_PAGE_SIZE = 10;
+
+// PUBLIC_INTERFACE
+export const MAX_RANKED_ROWS = 200;
+
+// Rows fetched to rank by local rating: { key, items } for the last search and time window
+let rankedRows = null;
+
+// PUBLIC_INTERFACE
+export function normalizePlayerRecord(r, index = 0) {
+  /**
+   * Map a backend row to { id, name, wins, losses, draws, gamesPlayed, winRate, score,
+   * rating, ratingSource, ratingHistory }. winRate is 0..1; score is null when the backend
+   * does not report one. ratingSource is 'server' or 'local'.
+   */
+  const wins = r.wins ?? r.win ?? r.w ?? 0;
+  const losses = r.losses ?? r.loss ?? r.l ?? 0;
+  const draws = r.draws ?? r.d ?? 0;
+  const gamesPlayed = r.gamesPlayed ?? r.games ?? wins + losses + draws;
+  const id = r.id ?? r.playerId ?? `row-${index}`;
+  const serverRating = r.elo ?? r.rating ?? null;
+  const local = serverRating === null ? getLocalRating(id) : null;
+  return {
+    id,
+    name: r.name ?? r.player ?? r.username ?? 'Unknown',
+    wins,
+    losses,
+    draws,
+    gamesPlayed,
+    winRate: r.winRate ?? (gamesPlayed > 0 ? wins / gamesPlayed : 0),
+    score: r.score ?? r.points ?? null,
+    rating: serverRating ?? local.rating,
+    ratingSource: serverRating === null ? 'local' : 'server',
+    ratingHistory: Array.isArray(r.ratingHistory) ? r.ratingHistory : local ? local.history : [],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function normalizeLeaderboardPage(payload, query = {}) {
+  /**
+   * Turn a getLeaderboard response into { rows, total, page, pageSize }.
+   * `query` ({ sort, order, search, page, pageSize }) is applied locally if the
+   * backend returned a plain, unpaged array.
+   */
+  const pageSize = query.pageSize || DEFAULT_PAGE_SIZE;
+  if (payload && !Array.isArray(payload) && Array.isArray(payload.items)) {
+    const rows = payload.items.map(normalizePlayerRecord);
+    // A backend without ratings can't order by them; order this page by the local ones
+    // (loadLeaderboardPage fetches every row instead when there is more than one page)
+    const localRatings = query.sort === 'rating' && rows.every((row) => row.ratingSource === 'local');
+    return {
+      rows: localRatings ? sortRows(rows, 'rating', query.order || 'desc') : rows,
+      total: payload.total ?? payload.items.length,
+      page: payload.page ?? query.page ?? 1,
+      pageSize: payload.pageSize ?? pageSize,
+    };
+  }
+  const all = (Array.isArray(payload) ? payload : []).map(normalizePlayerRecord);
+  const needle = (query.search || '').trim().toLowerCase();
+  const matching = needle ? all.filter((row) => row.name.toLowerCase().includes(needle)) : all;
+  const sorted = sortRows(matching, query.sort || 'rating', query.order || 'desc');
+  const page = query.page || 1;
+  return {
+    rows: sorted.slice((page - 1) * pageSize, page * pageSize),
+    total: sorted.length,
+    page,
+    pageSize,
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function loadLeaderboardPage(query, { signal } = {}) {
+  /**
+   * Fetch and normalize one page of the leaderboard ({ rows, total, page, pageSize }).
+   * Ranking by rating on a backend without ratings fetches the first MAX_RANKED_ROWS
+   * rows in one request and ranks them by the local ratings, so the order holds across
+   * pages; those rows are reused for every page until clearRankedRows() is called.
+   * Players past that limit (or past what the backend returns) are left out.
+   */
+  const request = { ...query, pageSize: query.pageSize || DEFAULT_PAGE_SIZE };
+  const data = await api.getLeaderboard({ ...request, signal });
+  const page = normalizeLeaderboardPage(data, request);
+  const rankedLocally = request.sort === 'rating' && page.rows.every((row) => row.ratingSource === 'local');
+  if (Array.isArray(data) || !rankedLocally || page.total <= page.rows.length) return page;
+  const key = JSON.stringify([request.search || '', request.window || 'all', page.total]);
+  if (!rankedRows || rankedRows.key !== key) {
+    const pageSize = Math.min(page.total, MAX_RANKED_ROWS);
+    const all = await api.getLeaderboard({ ...request, page: 1, pageSize, signal });
+    rankedRows = { key, items: Array.isArray(all) ? all : all.items || [] };
+  }
+  return normalizeLeaderboardPage(rankedRows.items, request);
+}
+
+// PUBLIC_INTERFACE
+export function clearRankedRows() {
+  /** Forget the rows fetched to rank by local rating, e.g. once a game has changed the results. */
+  rankedRows = null;
+}
+
+// PUBLIC_INTERFACE
+export function resultFor(game, playerId) {
+  /** 'win' | 'loss' | 'draw' | 'ongoing' for `playerId` in `game`. */
+  if (game.status === 'draw') return 'draw';
+  if (game.status !== 'won') return 'ongoing';
+  const winnerId = game.winner === 'X' ? game.playerXId : game.playerOId;
+  return winnerId === playerId ? 'win' : 'loss';
+}
+
+// PUBLIC_INTERFACE
+export function opponentOf(game, playerId) {
+  /** { id, name } of the other player in `game`. */
+  return game.playerXId === playerId
+    ? { id: game.playerOId, name: game.playerOName || 'Unknown' }
+    : { id: game.playerXId, name: game.playerXName || 'Unknown' };
+}
+
+// PUBLIC_INTERFACE
+export function headToHead(games, playerId) {
+  /** Finished games grouped by opponent: [{ opponentId, opponentName, wins, losses, draws }], most played first. */
+  const byOpponent = new Map();
+  games.forEach((game) => {
+    const result = resultFor(game, playerId);
+    if (result === 'ongoing') return;
+    const opponent = opponentOf(game, playerId);
+    const record = byOpponent.get(opponent.id) || {
+      opponentId: opponent.id,
+      opponentName: opponent.name,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+    };
+    if (result === 'win') record.wins += 1;
+    else if (result === 'loss') record.losses += 1;
+    else record.draws += 1;
+    byOpponent.set(opponent.id, record);
+  });
+  const total = (r) => r.wins + r.losses + r.draws;
+  return [...byOpponent.values()].sort((a, b) => total(b) - total(a) || a.opponentName.localeCompare(b.opponentName));
+}
+
+// PUBLIC_INTERFACE
+export function formatWinRate(winRate) {
+  /** 0.666 -> "67%". */
+  return `${Math.round(winRate * 100)}%`;
+}
+
+function sortRows(rows, field, order) {
+  const direction = order === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const diff = ((a[field] ?? -Infinity) - (b[field] ?? -Infinity)) * direction;
+    return diff || a.name.localeCompare(b.name);
+  });
+}
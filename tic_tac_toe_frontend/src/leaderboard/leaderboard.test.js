@@ -0,0 +1,82 @@
+import { api } from '../api';
+import { recordGameResult } from '../ratings';
+import { createMockGameServer } from '../testUtils/mockGameServer';
+import { clearRankedRows, headToHead, loadLeaderboardPage, normalizeLeaderboardPage } from './leaderboard';
+
+test('sorts, filters and pages a plain array leaderboard locally', () => {
+  const payload = [
+    { id: 'a', name: 'Alice', wins: 2, losses: 2, draws: 0 },
+    { id: 'b', name: 'Bob', wins: 3, losses: 0, draws: 1 },
+    { id: 'c', name: 'Carol', wins: 1, losses: 0, draws: 0 },
+  ];
+  const byWinRate = normalizeLeaderboardPage(payload, { sort: 'winRate', order: 'desc', pageSize: 2 });
+  expect(byWinRate.total).toBe(3);
+  expect(byWinRate.rows.map((r) => r.name)).toEqual(['Carol', 'Bob']);
+  expect(byWinRate.rows[1]).toMatchObject({ gamesPlayed: 4, winRate: 0.75, score: null });
+
+  const page2 = normalizeLeaderboardPage(payload, { sort: 'winRate', order: 'desc', pageSize: 2, page: 2 });
+  expect(page2.rows.map((r) => r.name)).toEqual(['Alice']);
+
+  const search = normalizeLeaderboardPage(payload, { search: 'AL' });
+  expect(search.rows.map((r) => r.name)).toEqual(['Alice']);
+});
+
+test('keeps server pages as they are', () => {
+  const page = normalizeLeaderboardPage({ items: [{ id: 'a', name: 'Alice', score: 9 }], total: 31, page: 4, pageSize: 10 });
+  expect(page).toMatchObject({ total: 31, page: 4, pageSize: 10 });
+  expect(page.rows[0].score).toBe(9);
+});
+
+test('ranks every page by local rating when the backend has no ratings', async () => {
+  const server = createMockGameServer();
+  global.fetch = server.fetch;
+  const [alice, bob, zed] = await Promise.all(['Alice', 'Bob', 'Zed'].map((name) => api.createPlayer(name)));
+  // Zed beats Alice twice and Bob draws with Alice: Zed leads, though last by name
+  for (const [x, o, moves] of [
+    [zed, alice, [0, 3, 1, 4, 2]],
+    [zed, alice, [0, 3, 1, 4, 2]],
+    [bob, alice, [0, 1, 2, 4, 3, 5, 7, 6, 8]],
+  ]) {
+    const game = await api.createGame(x.id, o.id);
+    for (const position of moves) await api.postMove(game.id, position);
+    const { status, winner } = await api.getGame(game.id);
+    recordGameResult({ gameId: game.id, playerXId: x.id, playerOId: o.id, status, winner });
+  }
+
+  const requests = [];
+  global.fetch = (url, options) => {
+    requests.push(new URL(url).searchParams.get('pageSize'));
+    return server.fetch(url, options);
+  };
+  const first = await loadLeaderboardPage({ sort: 'rating', order: 'desc', page: 1, pageSize: 2 });
+  const second = await loadLeaderboardPage({ sort: 'rating', order: 'desc', page: 2, pageSize: 2 });
+  expect([...first.rows, ...second.rows].map((r) => r.name)).toEqual(['Zed', 'Bob', 'Alice']);
+  expect(first.total).toBe(3);
+  // Every row is fetched once for the ranking, and the second page reuses them
+  expect(requests).toEqual(['2', '3', '2']);
+  clearRankedRows();
+  window.localStorage.clear();
+  delete global.fetch;
+});
+
+test('tallies head-to-head records from finished games', () => {
+  const game = (playerXId, playerOId, status, winner) => ({
+    playerXId,
+    playerOId,
+    playerXName: playerXId,
+    playerOName: playerOId,
+    status,
+    winner,
+  });
+  const games = [
+    game('alice', 'bob', 'won', 'X'),
+    game('bob', 'alice', 'won', 'X'),
+    game('alice', 'bob', 'draw', null),
+    game('carol', 'alice', 'won', 'O'),
+    game('alice', 'carol', 'playing', null),
+  ];
+  expect(headToHead(games, 'alice')).toEqual([
+    { opponentId: 'bob', opponentName: 'bob', wins: 1, losses: 1, draws: 1 },
+    { opponentId: 'carol', opponentName: 'carol', wins: 1, losses: 0, draws: 0 },
+  ]);
+});
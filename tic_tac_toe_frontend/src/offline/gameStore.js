@@ -0,0 +1,79 @@
+//
+// Local persistence of games so they survive reloads, including games played
+// while the backend was unreachable and games imported from a file (which only
+// ever exist on this device).
+//
+// Record shape:
+//   { id, mode, names, players: { X, O }, seat, config: { size, winLength, variant, boards? },
+//     moves: number[], moveTimes: (ISO string|null)[], moveMarks: ('X'|'O'|null)[] (Wild),
+//     timedOut, cursor, readOnly, startedAt, finishedAt, updatedAt }
+//
+
+import { readJson, writeJson } from './storage';
+import { resolveId } from './syncQueue';
+
+const GAMES_KEY = 'tictactoe.games.v1';
+const ACTIVE_KEY = 'tictactoe.activeGame.v1';
+// Oldest records beyond this are dropped to keep localStorage small
+const MAX_STORED_GAMES = 50;
+
+// PUBLIC_INTERFACE
+export function isImportedId(id) {
+  /** True for IDs of games imported from a file. */
+  return typeof id === 'string' && id.startsWith('imported-');
+}
+
+// PUBLIC_INTERFACE
+export function createImportedId() {
+  /** A new ID for an imported game, such as "imported-k3j9x2". */
+  return `imported-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// PUBLIC_INTERFACE
+export function saveGameRecord(record, { activate = true } = {}) {
+  /** Store (or replace) a game record and, unless `activate` is false, mark it as the active game. */
+  if (!record || !record.id) return;
+  const games = readJson(GAMES_KEY, {});
+  games[record.id] = { ...record, updatedAt: Date.now() };
+  const ids = Object.keys(games).sort((a, b) => games[b].updatedAt - games[a].updatedAt);
+  ids.slice(MAX_STORED_GAMES).forEach((id) => delete games[id]);
+  writeJson(GAMES_KEY, games);
+  if (activate) writeJson(ACTIVE_KEY, record.id);
+}
+
+// PUBLIC_INTERFACE
+export function loadGameRecord(id) {
+  /** Load a stored game by its local or backend ID; the ID is resolved if it was synced. */
+  if (!id) return null;
+  const games = readJson(GAMES_KEY, {});
+  const record = games[id] || games[resolveId(id)] || null;
+  return record ? { ...record, id: resolveId(record.id) } : null;
+}
+
+// PUBLIC_INTERFACE
+export function listGameRecords() {
+  /** Every stored game, most recently updated first, with synced IDs resolved. */
+  const games = readJson(GAMES_KEY, {});
+  return Object.values(games)
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+    .map((record) => ({ ...record, id: resolveId(record.id) }));
+}
+
+// PUBLIC_INTERFACE
+export function loadActiveGameRecord() {
+  /** The game that was on screen when the app was last used, if any. */
+  return loadGameRecord(readJson(ACTIVE_KEY, null));
+}
+
+// PUBLIC_INTERFACE
+export function renameGameRecord(oldId, newId) {
+  /** Re-key a stored game once its local ID has been replaced by the backend ID. */
+  if (!oldId || !newId || oldId === newId) return;
+  const games = readJson(GAMES_KEY, {});
+  if (games[oldId]) {
+    games[newId] = { ...games[oldId], id: newId };
+    delete games[oldId];
+    writeJson(GAMES_KEY, games);
+  }
+  if (readJson(ACTIVE_KEY, null) === oldId) writeJson(ACTIVE_KEY, newId);
+}
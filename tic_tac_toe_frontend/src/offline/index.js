@@ -0,0 +1,3 @@
+export * from './storage';
+export * from './syncQueue';
+export * from './gameStore';
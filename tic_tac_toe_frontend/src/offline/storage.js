@@ -0,0 +1,25 @@
+//
+// Small JSON wrapper around localStorage used by the offline modules.
+// Storage errors (quota, private mode) are swallowed: offline data is best-effort.
+//
+
+// PUBLIC_INTERFACE
+export function readJson(key, fallback) {
+  /** Read and parse a stored JSON value, returning `fallback` if missing or invalid. */
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeJson(key, value) {
+  /** Serialize and store a JSON value. */
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // ignore; data is only kept for this session
+  }
+}
@@ -0,0 +1,219 @@
+//
+// Offline sync queue
+// - API calls that could not reach the backend are queued in localStorage
+// - The queue is replayed in order once the API is reachable again
+// - Local "mock-*" IDs handed out while offline are mapped to the real IDs the
+//   backend returns, and later operations are rewritten to use them; local IDs
+//   whose create the backend rejected are remembered, so they can be created again
+// - Listeners are told the sync status: 'synced' | 'syncing' | 'offline'
+//
+// Queued operation shapes:
+//   { type: 'createPlayer', localId, name }
+//   { type: 'createGame', localId, playerXId, playerOId, options }
+//   { type: 'postMove', gameId, position, mark?, playedAt }  // position: { position, layer, row, col } on Qubic
+//   { type: 'undoMove', gameId, count }
+//   { type: 'forfeitOnTime', gameId, player }
+//
+
+import { api, ApiError, isTransientError, ValidationError } from '../api';
+import { readJson, writeJson } from './storage';
+
+const QUEUE_KEY = 'tictactoe.syncQueue.v1';
+const ID_MAP_KEY = 'tictactoe.idMap.v1';
+const REJECTED_KEY = 'tictactoe.rejectedIds.v1';
+const DEFAULT_SYNC_INTERVAL_MS = 15000;
+
+const listeners = new Set();
+let flushing = null;
+let lastAttemptFailed = false;
+
+// PUBLIC_INTERFACE
+export function isLocalId(id) {
+  /** True for IDs fabricated while the backend was unreachable. */
+  return typeof id === 'string' && id.startsWith('mock-');
+}
+
+// PUBLIC_INTERFACE
+export function createLocalId(kind) {
+  /** Fabricate a local ID such as "mock-game-k3j9x2". */
+  return `mock-${kind}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// PUBLIC_INTERFACE
+export function isRetryableError(error) {
+  /** Network failures, timeouts and 5xx responses are worth retrying; 4xx rejections are not. */
+  if (!error) return false;
+  if (error instanceof ApiError) return isTransientError(error);
+  // Anything else did not come from a server response
+  return error.status === undefined || error.status === null;
+}
+
+// PUBLIC_INTERFACE
+export function resolveId(id) {
+  /** Return the backend ID for a local ID once it has been synced, else the ID itself. */
+  const map = readJson(ID_MAP_KEY, {});
+  return map[id] || id;
+}
+
+// PUBLIC_INTERFACE
+export function isRejectedId(id) {
+  /** True for a local ID whose queued create the backend rejected: it will never be synced. */
+  return isLocalId(id) && readJson(REJECTED_KEY, []).includes(id);
+}
+
+// PUBLIC_INTERFACE
+export function getPendingOperations() {
+  /** The queued operations, oldest first. */
+  return readJson(QUEUE_KEY, []);
+}
+
+// PUBLIC_INTERFACE
+export function hasPendingFor(id) {
+  /** True if queued operations still reference this player or game (by local or real ID). */
+  const target = resolveId(id);
+  return getPendingOperations().some((op) =>
+    [op.localId, op.gameId, op.playerXId, op.playerOId].some((ref) => ref && resolveId(ref) === target)
+  );
+}
+
+// PUBLIC_INTERFACE
+export function enqueue(op) {
+  /** Queue an operation for replay and try to sync right away. */
+  writeJson(QUEUE_KEY, [...getPendingOperations(), { ...op, queuedAt: Date.now() }]);
+  notify();
+  flushQueue();
+  return op;
+}
+
+// PUBLIC_INTERFACE
+export function getSyncState() {
+  /** Current { status, pending } where status is 'synced' | 'syncing' | 'offline'. */
+  const pending = getPendingOperations().length;
+  let status = 'synced';
+  if (flushing) status = 'syncing';
+  else if (pending > 0) status = lastAttemptFailed || isBrowserOffline() ? 'offline' : 'syncing';
+  return { status, pending };
+}
+
+// PUBLIC_INTERFACE
+export function subscribeSyncState(listener) {
+  /** Call `listener(state)` whenever the sync state changes; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// PUBLIC_INTERFACE
+export function flushQueue() {
+  /**
+   * Replay queued operations in order. Stops at the first network/server failure
+   * (to retry later); operations the backend rejects (4xx) are dropped.
+   * Concurrent calls share one run.
+   */
+  if (flushing) return flushing;
+  if (getPendingOperations().length === 0) return Promise.resolve(getSyncState());
+  flushing = (async () => {
+    lastAttemptFailed = false;
+    notify();
+    let queue = getPendingOperations();
+    while (queue.length > 0) {
+      const op = queue[0];
+      try {
+        await runOperation(op);
+      } catch (e) {
+        if (isRetryableError(e)) {
+          lastAttemptFailed = true;
+          break;
+        }
+        // Rejected by the backend: it will never succeed, skip it
+        markRejected(op.localId);
+      }
+      // Re-read so operations queued meanwhile are kept
+      queue = getPendingOperations().slice(1);
+      writeJson(QUEUE_KEY, queue);
+      notify();
+    }
+    return getSyncState();
+  })();
+  return flushing.finally(() => {
+    flushing = null;
+    notify();
+  });
+}
+
+// PUBLIC_INTERFACE
+export function startAutoSync({ intervalMs = DEFAULT_SYNC_INTERVAL_MS } = {}) {
+  /** Retry the queue when the browser comes back online and periodically; returns a stop function. */
+  const onOnline = () => flushQueue();
+  const onOffline = () => notify();
+  window.addEventListener('online', onOnline);
+  window.addEventListener('offline', onOffline);
+  const timer = setInterval(() => {
+    if (getPendingOperations().length > 0) flushQueue();
+  }, intervalMs);
+  flushQueue();
+  return () => {
+    window.removeEventListener('online', onOnline);
+    window.removeEventListener('offline', onOffline);
+    clearInterval(timer);
+  };
+}
+
+async function runOperation(op) {
+  switch (op.type) {
+    case 'createPlayer': {
+      const player = await api.createPlayer(op.name);
+      mapId(op.localId, player && player.id);
+      return;
+    }
+    case 'createGame': {
+      const game = await api.createGame(
+        requireSynced(op.playerXId),
+        requireSynced(op.playerOId),
+        op.options || {}
+      );
+      mapId(op.localId, game && game.id);
+      return;
+    }
+    case 'postMove':
+      await api.postMove(requireSynced(op.gameId), op.position, { playedAt: op.playedAt, mark: op.mark });
+      return;
+    case 'undoMove':
+      await api.undoMove(requireSynced(op.gameId), op.count);
+      return;
+    case 'forfeitOnTime':
+      await api.forfeitOnTime(requireSynced(op.gameId), op.player);
+      return;
+    default:
+      throw rejection(`Unknown queued operation "${op.type}"`);
+  }
+}
+
+function requireSynced(id) {
+  const real = resolveId(id);
+  // The operation that created this ID was rejected, so nothing can refer to it
+  if (isLocalId(real)) throw rejection(`"${id}" was never created on the server`);
+  return real;
+}
+
+function rejection(message) {
+  return new ValidationError(message);
+}
+
+function mapId(localId, realId) {
+  if (!localId || !realId) return;
+  writeJson(ID_MAP_KEY, { ...readJson(ID_MAP_KEY, {}), [localId]: realId });
+}
+
+function markRejected(localId) {
+  if (!localId) return;
+  writeJson(REJECTED_KEY, [...readJson(REJECTED_KEY, []), localId]);
+}
+
+function isBrowserOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+function notify() {
+  const state = getSyncState();
+  listeners.forEach((listener) => listener(state));
+}
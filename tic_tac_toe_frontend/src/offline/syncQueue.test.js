@@ -0,0 +1,75 @@
+import { ensurePlayer } from '../players';
+import { createMockGameServer } from '../testUtils/mockGameServer';
+import { enqueue, flushQueue, getSyncState, isLocalId, isRejectedId, resolveId } from '.';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('replays queued calls once the API is reachable, mapping local IDs', async () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+
+  const alice = await ensurePlayer('Alice');
+  const bob = await ensurePlayer('Bob');
+  expect(isLocalId(alice.id)).toBe(true);
+  enqueue({ type: 'createGame', localId: 'mock-game-1', playerXId: alice.id, playerOId: bob.id, options: {} });
+  enqueue({ type: 'postMove', gameId: 'mock-game-1', position: 4 });
+  await flushQueue();
+  expect(getSyncState()).toEqual({ status: 'offline', pending: 4 });
+
+  const server = createMockGameServer();
+  global.fetch = server.fetch;
+  await flushQueue();
+
+  expect(getSyncState()).toEqual({ status: 'synced', pending: 0 });
+  const gameId = resolveId('mock-game-1');
+  expect(isLocalId(gameId)).toBe(false);
+  const game = server.games.get(gameId);
+  expect(game.playerXId).toBe(resolveId(alice.id));
+  expect(game.state.board[4]).toBe('X');
+
+  // The stored profile now reuses the real player ID
+  expect((await ensurePlayer('Alice')).id).toBe(resolveId(alice.id));
+});
+
+test('drops operations the backend rejects and keeps going', async () => {
+  const server = createMockGameServer();
+  global.fetch = server.fetch;
+  enqueue({ type: 'postMove', gameId: 'game-404', position: 0 });
+  enqueue({ type: 'createPlayer', localId: 'mock-player-1', name: 'Carol' });
+  await flushQueue();
+  expect(getSyncState().pending).toBe(0);
+  expect(isLocalId(resolveId('mock-player-1'))).toBe(false);
+});
+
+test('a player the backend rejects is reported instead of given an unsynced ID', async () => {
+  const server = createMockGameServer();
+  // Every /players request hits an unknown route: a 404, which retrying won't fix
+  global.fetch = (url, options) => server.fetch(String(url).replace('/players', '/unknown'), options);
+  await expect(ensurePlayer('Dave')).rejects.toThrow();
+  expect(getSyncState().pending).toBe(0);
+});
+
+test('a queued player the backend later rejects is created again on next use', async () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  const offline = await ensurePlayer('Erin');
+  expect(isLocalId(offline.id)).toBe(true);
+  await flushQueue();
+
+  // The backend is back but refuses the queued create
+  const server = createMockGameServer();
+  global.fetch = (url, options) => server.fetch(String(url).replace('/players', '/unknown'), options);
+  await flushQueue();
+  expect(getSyncState().pending).toBe(0);
+  expect(isRejectedId(offline.id)).toBe(true);
+
+  global.fetch = server.fetch;
+  const erin = await ensurePlayer('Erin');
+  expect(isLocalId(erin.id)).toBe(false);
+  expect(server.players.get(erin.id).name).toBe('Erin');
+  expect((await ensurePlayer('Erin')).id).toBe(erin.id);
+});
@@ -0,0 +1,10 @@
+//
+// Display helpers for player names next to their symbols
+//
+
+// PUBLIC_INTERFACE
+export function playerLabel(symbol, names) {
+  /** "Alice (X)" when a name is known for the symbol, otherwise just "X". */
+  const name = names && names[symbol];
+  return name ? `${name} (${symbol})` : symbol || '?';
+}
@@ -0,0 +1,2 @@
+export * from './profiles';
+export * from './format';
@@ -0,0 +1,99 @@
+//
+// Player profiles persisted in localStorage and synced with the backend
+// - Profiles are reused across sessions so the same name maps to the same player
+// - createPlayer is only called for names without a server ID yet
+// - When the backend is unreachable a local mock ID is stored and createPlayer
+//   is queued; the profile picks up the real ID once the queue has synced
+//
+
+import { api } from '../api';
+import { createLocalId, enqueue, isRejectedId, isRetryableError, resolveId } from '../offline';
+
+const STORAGE_KEY = 'tictactoe.profiles.v1';
+
+// PUBLIC_INTERFACE
+export function loadProfiles() {
+  /** Return stored profiles ({ name, id, kind, lastUsedAt }), most recently used first. */
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    if (!Array.isArray(list)) return [];
+    return list
+      .filter((p) => p && typeof p.name === 'string')
+      .sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0));
+  } catch {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+export function loadHumanProfiles() {
+  /** Stored profiles for people (computer opponents are excluded). */
+  return loadProfiles().filter((p) => p.kind !== 'computer');
+}
+
+// PUBLIC_INTERFACE
+export function findProfile(name) {
+  /** Find a stored profile by name, case-insensitively. */
+  const key = normalizeName(name).toLowerCase();
+  return loadProfiles().find((p) => p.name.toLowerCase() === key) || null;
+}
+
+// PUBLIC_INTERFACE
+export function saveProfile(profile) {
+  /** Insert or update a profile by name and return the stored copy. */
+  const name = normalizeName(profile.name);
+  if (!name) throw new Error('Name is required');
+  const profiles = loadProfiles();
+  const idx = profiles.findIndex((p) => p.name.toLowerCase() === name.toLowerCase());
+  const stored = {
+    ...(idx === -1 ? {} : profiles[idx]),
+    ...profile,
+    name,
+    lastUsedAt: Date.now(),
+  };
+  if (idx === -1) profiles.push(stored);
+  else profiles[idx] = stored;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  } catch {
+    // storage full or disabled: the profile just isn't remembered
+  }
+  return stored;
+}
+
+// PUBLIC_INTERFACE
+export async function ensurePlayer(name, { kind = 'human' } = {}) {
+  /**
+   * Return a player ({ id, name }) for `name`, reusing the stored ID when there
+   * is one and creating the player via the API otherwise.
+   * When the backend is unavailable a local mock ID is returned and creation is
+   * queued for sync; other failures (e.g. a name the backend rejects) are thrown.
+   * A stored local ID whose queued create was later rejected is replaced by a new player.
+   */
+  const clean = normalizeName(name);
+  if (!clean) throw new Error('Name is required');
+  const existing = findProfile(clean);
+  if (existing && existing.id && !isRejectedId(existing.id)) {
+    // A queued player may have been synced since: pick up its real ID
+    const stored = saveProfile({ ...existing, id: resolveId(existing.id), kind });
+    return { id: stored.id, name: stored.name };
+  }
+  try {
+    const created = await api.createPlayer(clean);
+    const stored = saveProfile({ name: clean, id: created && created.id ? created.id : null, kind });
+    return { ...created, id: stored.id, name: stored.name };
+  } catch (e) {
+    if (!isRetryableError(e)) throw e;
+    const localId = createLocalId('player');
+    enqueue({ type: 'createPlayer', localId, name: clean });
+    saveProfile({ name: clean, id: localId, kind });
+    return { id: localId, name: clean };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function normalizeName(name) {
+  /** Trim and collapse whitespace in a player name. */
+  return String(name || '').trim().replace(/\s+/g, ' ');
+}
@@ -0,0 +1,58 @@
+//
+// Elo rating math
+// - Expected score from the rating difference (400-point logistic curve)
+// - X moves first and wins more often, so X is expected to score as if it were
+//   FIRST_MOVE_ADVANTAGE points stronger; beating O as X earns a little less
+// - Provisional players (fewer than PROVISIONAL_GAMES) move faster (higher K)
+//
+
+// PUBLIC_INTERFACE
+export const DEFAULT_RATING = 1500;
+
+// PUBLIC_INTERFACE
+export const FIRST_MOVE_ADVANTAGE = 35;
+
+const PROVISIONAL_GAMES = 20;
+const PROVISIONAL_K = 40;
+const ESTABLISHED_K = 20;
+
+// PUBLIC_INTERFACE
+export function expectedScore(rating, opponentRating) {
+  /** Probability-like expected score (0..1) of a player against an opponent. */
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+// PUBLIC_INTERFACE
+export function kFactor(gamesPlayed) {
+  /** How far one game can move a rating: more while a player is new. */
+  return gamesPlayed < PROVISIONAL_GAMES ? PROVISIONAL_K : ESTABLISHED_K;
+}
+
+// PUBLIC_INTERFACE
+export function rateGame(players, result) {
+  /**
+   * Rating updates for one finished game.
+   * players: { X: { rating, games }, O: { rating, games } } before the game
+   * result:  'X' | 'O' (the winner) or 'draw'
+   * Returns { X: { before, after, delta }, O: { before, after, delta } } with whole-number ratings.
+   */
+  const expectedX = expectedScore(players.X.rating + FIRST_MOVE_ADVANTAGE, players.O.rating);
+  const scoreX = result === 'X' ? 1 : result === 'O' ? 0 : 0.5;
+  const update = (symbol, score, expected) => {
+    const before = players[symbol].rating;
+    const after = Math.round(before + kFactor(players[symbol].games) * (score - expected));
+    return { before, after, delta: after - before };
+  };
+  return {
+    X: update('X', scoreX, expectedX),
+    O: update('O', 1 - scoreX, 1 - expectedX),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function formatRatingDelta(delta) {
+  /** +12, −7 (with a real minus sign) or ±0. */
+  if (delta > 0) return `+${delta}`;
+  if (delta < 0) return `−${Math.abs(delta)}`;
+  return '±0';
+}
@@ -0,0 +1,2 @@
+export * from './elo';
+export * from './localRatings';
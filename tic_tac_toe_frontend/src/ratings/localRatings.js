@@ -0,0 +1,80 @@
+//
+// Ratings computed in the browser
+// Used when the backend doesn't report `elo`: each finished game is rated once
+// (by gameId) from the players' locally recorded ratings, and every player's
+// rating history is kept in localStorage. Ratings the server sends with a game
+// (`ratingChanges`) are recorded as-is instead of being computed.
+//
+
+import { readJson, resolveId, writeJson } from '../offline';
+import { DEFAULT_RATING, rateGame } from './elo';
+
+const RATINGS_KEY = 'tictactoe.ratings.v1';
+// Oldest entries are dropped beyond this many per player
+const MAX_HISTORY = 100;
+
+// PUBLIC_INTERFACE
+export function getLocalRating(playerId) {
+  /** { rating, games, history: [{ gameId, rating, delta, at }] } for a player; defaults for unknown players. */
+  const record = load().players[resolveId(playerId)];
+  return record || { rating: DEFAULT_RATING, games: 0, history: [] };
+}
+
+// PUBLIC_INTERFACE
+export function hasLocalRating(playerId) {
+  /** True once a rated game has been recorded for this player. */
+  return Boolean(load().players[resolveId(playerId)]);
+}
+
+// PUBLIC_INTERFACE
+export function getRatingChange(gameId) {
+  /** The recorded { X, O } rating change for a game, or null if it has not been rated. */
+  return load().games[resolveId(gameId)] || null;
+}
+
+// PUBLIC_INTERFACE
+export function recordGameResult(game, serverChanges = null) {
+  /**
+   * Rate a finished game once and return its { X, O } change ({ before, after, delta } each).
+   * game: { gameId, playerXId, playerOId, status, winner }. Returns null for unfinished
+   * games or missing players. Recording the same game again returns the first result.
+   */
+  if (!game || !game.gameId || !game.playerXId || !game.playerOId) return null;
+  if (game.status !== 'won' && game.status !== 'draw') return null;
+  const data = load();
+  const gameId = resolveId(game.gameId);
+  if (data.games[gameId]) return data.games[gameId];
+
+  const ids = { X: resolveId(game.playerXId), O: resolveId(game.playerOId) };
+  const current = (symbol) => data.players[ids[symbol]] || { rating: DEFAULT_RATING, games: 0, history: [] };
+  const change =
+    normalizeServerChanges(serverChanges) ||
+    rateGame({ X: current('X'), O: current('O') }, game.status === 'draw' ? 'draw' : game.winner);
+
+  const at = new Date().toISOString();
+  ['X', 'O'].forEach((symbol) => {
+    const before = current(symbol);
+    data.players[ids[symbol]] = {
+      rating: change[symbol].after,
+      games: before.games + 1,
+      history: [...before.history, { gameId, rating: change[symbol].after, delta: change[symbol].delta, at }].slice(
+        -MAX_HISTORY
+      ),
+    };
+  });
+  data.games[gameId] = change;
+  writeJson(RATINGS_KEY, data);
+  return change;
+}
+
+function normalizeServerChanges(changes) {
+  if (!changes || !changes.X || !changes.O) return null;
+  const side = ({ before, after }) => ({ before, after, delta: after - before });
+  if ([changes.X, changes.O].some((c) => typeof c.before !== 'number' || typeof c.after !== 'number')) return null;
+  return { X: side(changes.X), O: side(changes.O) };
+}
+
+function load() {
+  const data = readJson(RATINGS_KEY, null);
+  return data && data.players && data.games ? data : { players: {}, games: {} };
+}
@@ -0,0 +1,40 @@
+import { DEFAULT_RATING, expectedScore, FIRST_MOVE_ADVANTAGE, rateGame } from './elo';
+import { getLocalRating, getRatingChange, recordGameResult } from './localRatings';
+
+beforeEach(() => window.localStorage.clear());
+
+const fresh = { rating: DEFAULT_RATING, games: 0 };
+
+test('moving first lowers the reward for winning and softens the cost of losing', () => {
+  expect(expectedScore(1500, 1500)).toBe(0.5);
+  const xWins = rateGame({ X: fresh, O: fresh }, 'X');
+  const oWins = rateGame({ X: fresh, O: fresh }, 'O');
+  expect(xWins.X.delta).toBeGreaterThan(0);
+  expect(xWins.X.delta).toBeLessThan(oWins.O.delta);
+  expect(xWins.X.delta + xWins.O.delta).toBe(0);
+
+  // A draw counts as a small success for O, who had the disadvantage
+  const draw = rateGame({ X: fresh, O: fresh }, 'draw');
+  expect(draw.O.delta).toBeGreaterThan(0);
+  expect(expectedScore(1500 + FIRST_MOVE_ADVANTAGE, 1500)).toBeGreaterThan(0.5);
+});
+
+test('rates each finished game once and keeps a history per player', () => {
+  const game = { gameId: 'g1', playerXId: 'alice', playerOId: 'bob', status: 'won', winner: 'O' };
+  expect(recordGameResult({ ...game, status: 'playing', winner: null })).toBeNull();
+
+  const change = recordGameResult(game);
+  expect(change.O.after).toBeGreaterThan(DEFAULT_RATING);
+  expect(recordGameResult(game)).toEqual(change);
+  expect(getRatingChange('g1')).toEqual(change);
+  expect(getLocalRating('bob')).toMatchObject({ rating: change.O.after, games: 1 });
+  expect(getLocalRating('bob').history).toHaveLength(1);
+
+  // Ratings reported by the server are recorded as they are
+  const fromServer = recordGameResult(
+    { ...game, gameId: 'g2', winner: 'X' },
+    { X: { before: 1480, after: 1500 }, O: { before: 1520, after: 1500 } }
+  );
+  expect(fromServer.X).toEqual({ before: 1480, after: 1500, delta: 20 });
+  expect(getLocalRating('alice')).toMatchObject({ rating: 1500, games: 2 });
+});
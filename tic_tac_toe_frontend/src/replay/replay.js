@@ -0,0 +1,118 @@
+//
+// Game replays
+// - loadReplay() fetches a finished or ongoing game with getGame + getHistory
+//   and rebuilds every position through the engine; games that only exist on
+//   this device (or while the backend is down) come from the local game store
+// - Replays are shareable as /replay/<gameId> links
+//
+
+import { api, isCancelled } from '../api';
+import { applyMove, createGame, isGameOver, loseOnTime } from '../engine';
+import { isImportedId, loadGameRecord } from '../offline';
+import { linkFor, pathFor, ROUTES } from '../router';
+
+// PUBLIC_INTERFACE
+export const PLAYBACK_SPEEDS = Object.freeze([0.5, 1, 2, 4]);
+
+// PUBLIC_INTERFACE
+export const BASE_STEP_MS = 1000;
+
+// PUBLIC_INTERFACE
+export function buildFrames(config, positions, marks = null) {
+  /**
+   * Engine states before the first move and after each move, with `marks` the symbols
+   * placed on Wild (null for the player's own); throws IllegalMoveError on bad data.
+   */
+  const frames = [createGame(config)];
+  positions.forEach((position, i) =>
+    frames.push(applyMove(frames[frames.length - 1], position, { mark: marks ? marks[i] : null }))
+  );
+  return frames;
+}
+
+// PUBLIC_INTERFACE
+export async function loadReplay(gameId, { signal } = {}) {
+  /**
+   * Load a game for replay. Resolves { gameId, frames, players, playerNames, winningLine,
+   * startedAt, finishedAt } where players is { X, O } ({ id, name } or null), winningLine
+   * is the completed line's cells in the final frame (or null) and the times are ISO
+   * strings or null. A game lost on time (timedOut) has that result in its final frame.
+   * Imported games are read from this device only.
+   */
+  let source = isImportedId(gameId) ? fromRecord(loadGameRecord(gameId)) : null;
+  if (!source) {
+    try {
+      const [game, history] = await Promise.all([api.getGame(gameId, { signal }), api.getHistory(gameId, { signal })]);
+      let moves = historyMoves(history);
+      if (moves.length === 0 && Array.isArray(game.moves)) moves = historyMoves(game.moves);
+      const pick = (symbol) =>
+        game[`player${symbol}Id`] ? { id: game[`player${symbol}Id`], name: game[`player${symbol}Name`] || null } : null;
+      source = {
+        config: {
+          size: game.boardSize ?? game.size ?? 3,
+          winLength: game.winLength,
+          variant: game.mode ?? game.variant,
+          boards: game.boards ?? undefined,
+        },
+        positions: moves.map((m) => m.position),
+        marks: moves.map((m) => m.mark),
+        players: { X: pick('X'), O: pick('O') },
+        startedAt: game.createdAt || null,
+        finishedAt: game.finishedAt || null,
+        timedOut: game.timedOut || null,
+      };
+    } catch (e) {
+      source = isCancelled(e) ? null : fromRecord(loadGameRecord(gameId));
+      if (!source) throw e;
+    }
+  }
+  const { config, positions, marks, players, startedAt, finishedAt, timedOut } = source;
+  const frames = buildFrames(config, positions, marks);
+  if (timedOut && !isGameOver(frames[frames.length - 1])) {
+    frames.push(loseOnTime(frames.pop(), timedOut));
+  }
+  const last = frames[frames.length - 1];
+  return {
+    gameId,
+    frames,
+    players,
+    playerNames: { X: players.X?.name || null, O: players.O?.name || null },
+    winningLine: last.winningLine,
+    startedAt,
+    finishedAt,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function replayLinkFor(gameId) {
+  /** Shareable link that opens this app on the replay of `gameId`. */
+  return linkFor(pathFor(ROUTES.REPLAY, { id: gameId }));
+}
+
+/** Replay source from a game saved on this device, or null. */
+function fromRecord(record) {
+  if (!record) return null;
+  return {
+    config: record.config,
+    positions: record.moves,
+    marks: record.moveMarks || null,
+    players: { X: record.players?.X || null, O: record.players?.O || null },
+    startedAt: record.startedAt || null,
+    finishedAt: record.finishedAt || null,
+    timedOut: record.timedOut || null,
+  };
+}
+
+/** { position, mark } of each move in order from a history payload ({ moves: [...] } or an array). */
+function historyMoves(payload) {
+  const moves = Array.isArray(payload) ? payload : payload && Array.isArray(payload.moves) ? payload.moves : [];
+  return moves
+    .map((m, idx) => ({
+      order: m.moveNumber ?? m.number ?? idx + 1,
+      position: m.position ?? m.pos ?? m.cell,
+      mark: m.mark ?? null,
+    }))
+    .filter((m) => typeof m.position === 'number')
+    .sort((a, b) => a.order - b.order)
+    .map(({ position, mark }) => ({ position, mark }));
+}
@@ -0,0 +1,171 @@
+//
+// Client-side routing
+// - Routes are plain paths: /, /game/:id, /join/:id, /replay/:id, /player/:id,
+//   /tournament/:id, /watch/:id, /leaderboard, /history and /tournaments, matched
+//   by matchRoute()
+// - navigate() updates the address bar through the History API and tells
+//   listeners; the browser's back/forward buttons do the same through popstate
+// - A route's `state` travels with its history entry (e.g. { readOnly: true }
+//   when a game is opened for viewing only)
+// - Old ?join=<id> and ?replay=<id> links are rewritten to their routes
+// Paths are relative to the app's base path (PUBLIC_URL), so deep links keep
+// working when the app is served from a subdirectory.
+//
+
+// PUBLIC_INTERFACE
+export const ROUTES = Object.freeze({
+  HOME: 'home',
+  GAME: 'game',
+  JOIN: 'join',
+  REPLAY: 'replay',
+  PLAYER: 'player',
+  LEADERBOARD: 'leaderboard',
+  HISTORY: 'history',
+  TOURNAMENTS: 'tournaments',
+  TOURNAMENT: 'tournament',
+  WATCH: 'watch',
+});
+
+// Routes with an :id segment, keyed by their first path segment
+const ID_ROUTES = Object.freeze({
+  game: ROUTES.GAME,
+  join: ROUTES.JOIN,
+  replay: ROUTES.REPLAY,
+  player: ROUTES.PLAYER,
+  tournament: ROUTES.TOURNAMENT,
+  watch: ROUTES.WATCH,
+});
+
+const PAGE_ROUTES = Object.freeze({
+  '': ROUTES.HOME,
+  leaderboard: ROUTES.LEADERBOARD,
+  history: ROUTES.HISTORY,
+  tournaments: ROUTES.TOURNAMENTS,
+});
+
+// Query parameters of links shared before routes existed
+const LEGACY_PARAMS = Object.freeze({ join: ROUTES.JOIN, replay: ROUTES.REPLAY });
+
+const listeners = new Set();
+let current = null;
+let currentStateKey = null;
+
+// PUBLIC_INTERFACE
+export function matchRoute(pathname) {
+  /** { name, params } for an app path; unknown paths match the home route. */
+  const segments = String(pathname || '')
+    .split('/')
+    .filter(Boolean)
+    .map(safeDecode);
+  if (segments.length === 2 && ID_ROUTES[segments[0]] && segments[1]) {
+    return { name: ID_ROUTES[segments[0]], params: { id: segments[1] } };
+  }
+  if (segments.length <= 1 && PAGE_ROUTES[segments[0] || ''] !== undefined) {
+    return { name: PAGE_ROUTES[segments[0] || ''], params: {} };
+  }
+  return { name: ROUTES.HOME, params: {} };
+}
+
+// PUBLIC_INTERFACE
+export function pathFor(name, params = {}) {
+  /** The app path of a route, e.g. pathFor(ROUTES.GAME, { id: 'g1' }) -> '/game/g1'. */
+  const segment = Object.keys(ID_ROUTES).find((key) => ID_ROUTES[key] === name);
+  if (segment) return `/${segment}/${encodeURIComponent(params.id)}`;
+  const page = Object.keys(PAGE_ROUTES).find((key) => PAGE_ROUTES[key] === name);
+  return `/${page || ''}`;
+}
+
+// PUBLIC_INTERFACE
+export function linkFor(path) {
+  /** Absolute URL of an app path, for sharing. */
+  return new URL(basePath() + path, window.location.origin).toString();
+}
+
+// PUBLIC_INTERFACE
+export function getRoute() {
+  /** The current route: { name, params, path, state }. The same object until the location changes. */
+  const path = appPath(window.location.pathname);
+  const state = window.history.state && window.history.state.route ? window.history.state.route : null;
+  // history.state may be a fresh copy on every read, so compare it by value
+  const stateKey = JSON.stringify(state);
+  if (!current || current.path !== path || currentStateKey !== stateKey) {
+    current = { ...matchRoute(path), path, state };
+    currentStateKey = stateKey;
+  }
+  return current;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeRoute(listener) {
+  /** Call `listener(route)` after every navigation, including back/forward; returns an unsubscribe function. */
+  if (listeners.size === 0) window.addEventListener('popstate', notify);
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) window.removeEventListener('popstate', notify);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function navigate(path, { replace = false, state = null } = {}) {
+  /**
+   * Show the app path `path`. A new history entry is added unless `replace` is set;
+   * `state` (plain data) becomes the route's state.
+   */
+  const from = getRoute().path;
+  const entry = { route: state, from: replace ? (window.history.state && window.history.state.from) || null : from };
+  const url = basePath() + path;
+  if (replace) window.history.replaceState(entry, '', url);
+  else window.history.pushState(entry, '', url);
+  notify();
+}
+
+// PUBLIC_INTERFACE
+export function goBack(fallbackPath = '/') {
+  /** Return to the previous in-app page, or go to `fallbackPath` when the page was opened directly. */
+  if (window.history.state && window.history.state.from) window.history.back();
+  else navigate(fallbackPath, { replace: true });
+}
+
+// PUBLIC_INTERFACE
+export function showBoard() {
+  /** Go to the board (/) from a page that hides it, e.g. after starting a game from a dialog on /history. */
+  const { name } = getRoute();
+  if (name !== ROUTES.HOME && name !== ROUTES.GAME && name !== ROUTES.JOIN) navigate(pathFor(ROUTES.HOME));
+}
+
+// PUBLIC_INTERFACE
+export function redirectLegacyLinks() {
+  /** Rewrite an old ?join=<id> or ?replay=<id> link to its route. Returns true if the URL changed. */
+  const search = new URLSearchParams(window.location.search);
+  const param = Object.keys(LEGACY_PARAMS).find((key) => search.get(key));
+  if (!param) return false;
+  navigate(pathFor(LEGACY_PARAMS[param], { id: search.get(param) }), { replace: true });
+  return true;
+}
+
+/** Path of the app's base URL without a trailing slash ('' when served from the root). */
+function basePath() {
+  const base = process.env.PUBLIC_URL || '';
+  return new URL(base || '/', window.location.origin).pathname.replace(/\/$/, '');
+}
+
+/** `pathname` relative to the app's base path. */
+function appPath(pathname) {
+  const base = basePath();
+  const path = base && pathname.startsWith(base) ? pathname.slice(base.length) : pathname;
+  return path || '/';
+}
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+function notify() {
+  const route = getRoute();
+  listeners.forEach((listener) => listener(route));
+}
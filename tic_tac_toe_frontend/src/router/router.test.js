@@ -0,0 +1,47 @@
+import { getRoute, goBack, matchRoute, navigate, pathFor, redirectLegacyLinks, ROUTES, subscribeRoute } from './router';
+
+afterEach(() => {
+  window.history.replaceState(null, '', '/');
+});
+
+test('matches paths to routes and back', () => {
+  expect(matchRoute('/game/g%201')).toEqual({ name: ROUTES.GAME, params: { id: 'g 1' } });
+  expect(matchRoute('/player/p1/')).toEqual({ name: ROUTES.PLAYER, params: { id: 'p1' } });
+  expect(matchRoute('/leaderboard')).toEqual({ name: ROUTES.LEADERBOARD, params: {} });
+  expect(matchRoute('/tournament/t-1')).toEqual({ name: ROUTES.TOURNAMENT, params: { id: 't-1' } });
+  expect(matchRoute('/')).toEqual({ name: ROUTES.HOME, params: {} });
+  expect(matchRoute('/nowhere/at/all')).toEqual({ name: ROUTES.HOME, params: {} });
+  expect(pathFor(ROUTES.REPLAY, { id: 'g 1' })).toBe('/replay/g%201');
+  expect(pathFor(ROUTES.HISTORY)).toBe('/history');
+  expect(pathFor(ROUTES.TOURNAMENTS)).toBe('/tournaments');
+  expect(pathFor(ROUTES.WATCH, { id: 'g1' })).toBe('/watch/g1');
+  expect(pathFor(ROUTES.HOME)).toBe('/');
+});
+
+test('navigates with state and returns to the previous page', async () => {
+  const seen = [];
+  const unsubscribe = subscribeRoute((route) => seen.push(route.path));
+  navigate('/history');
+  navigate('/game/g1', { state: { readOnly: true } });
+  expect(getRoute()).toMatchObject({ name: ROUTES.GAME, params: { id: 'g1' }, state: { readOnly: true } });
+  expect(getRoute()).toBe(getRoute());
+
+  goBack('/');
+  await new Promise((resolve) => window.addEventListener('popstate', resolve, { once: true }));
+  expect(getRoute().name).toBe(ROUTES.HISTORY);
+  expect(seen).toEqual(['/history', '/game/g1', '/history']);
+  unsubscribe();
+
+  // A page opened directly has nothing to go back to
+  window.history.replaceState(null, '', '/player/p1');
+  goBack('/leaderboard');
+  expect(window.location.pathname).toBe('/leaderboard');
+});
+
+test('rewrites old query-string links', () => {
+  window.history.replaceState(null, '', '/?join=g7');
+  expect(redirectLegacyLinks()).toBe(true);
+  expect(window.location.pathname).toBe('/join/g7');
+  expect(window.location.search).toBe('');
+  expect(redirectLegacyLinks()).toBe(false);
+});
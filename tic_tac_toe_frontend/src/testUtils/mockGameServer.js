@@ -0,0 +1,366 @@
+//
+// In-memory mock of the game backend for tests
+// - fetch(): handles the REST endpoints used by api/client.js
+// - WebSocket: a fake socket class that receives 'game-updated' pushes, and
+//   'presence' pushes counting the sockets opened with ?role=spectator
+// - A stub auth server: /auth/register, /auth/login, /auth/refresh, /auth/logout
+//   issuing bearer tokens. With { requireAuth: true } creating games, moves, undo
+//   and losses on time need a valid token; seats held by an account can only be played by it.
+// Install with `global.fetch = server.fetch` and pass `server.WebSocket`
+// (or assign it to global.WebSocket) to exercise realtime flows in jsdom.
+//
+
+import { applyMove, createGame, gameConfigOf, isGameOver, loseOnTime, undo } from '../engine';
+
+// PUBLIC_INTERFACE
+export function createMockGameServer({ requireAuth = false } = {}) {
+  /** Create an isolated mock backend with its own players, games, accounts and sockets. */
+  const players = new Map();
+  const games = new Map();
+  const sockets = new Set();
+  const accounts = new Map(); // username -> { id, username, name, playerId, password }
+  const accessTokens = new Map(); // token -> username
+  const refreshTokens = new Map();
+  let nextId = 1;
+  let socketsEnabled = true;
+
+  const newId = (prefix) => `${prefix}-${nextId++}`;
+
+  const publicUser = (account) => {
+    const user = { ...account };
+    delete user.password;
+    return user;
+  };
+
+  const issueTokens = (username) => {
+    const accessToken = newId('access');
+    const refreshToken = newId('refresh');
+    accessTokens.set(accessToken, username);
+    refreshTokens.set(refreshToken, username);
+    return { accessToken, refreshToken, user: publicUser(accounts.get(username)) };
+  };
+
+  // Results of a player's games finished at or after `since` (ms timestamp)
+  const statsFor = (playerId, since) => {
+    const row = { id: playerId, name: players.get(playerId).name, wins: 0, losses: 0, draws: 0 };
+    games.forEach(({ state, playerXId, playerOId, finishedAt }) => {
+      if (!finishedAt || Date.parse(finishedAt) < since) return;
+      const symbol = playerXId === playerId ? 'X' : playerOId === playerId ? 'O' : null;
+      if (!symbol) return;
+      if (state.status === 'draw') row.draws += 1;
+      else if (state.winner === symbol) row.wins += 1;
+      else row.losses += 1;
+    });
+    row.gamesPlayed = row.wins + row.losses + row.draws;
+    row.winRate = row.gamesPlayed ? row.wins / row.gamesPlayed : 0;
+    row.score = row.wins * 3 + row.draws;
+    return row;
+  };
+
+  const accountForPlayer = (playerId) => [...accounts.values()].find((a) => a.playerId === playerId) || null;
+
+  // Write routes need a signed-in user when requireAuth is set
+  const authorize = (user) => (requireAuth && !user ? [401, { message: 'Sign in required' }] : null);
+
+  const toPayload = (id) => {
+    const { state, playerXId, playerOId, createdBy, createdAt, finishedAt, timeControl } = games.get(id);
+    const nameOf = (playerId) => (players.has(playerId) ? players.get(playerId).name : null);
+    return {
+      id,
+      playerXId,
+      playerOId,
+      playerXName: nameOf(playerXId),
+      playerOName: nameOf(playerOId),
+      createdBy,
+      createdAt,
+      finishedAt,
+      timeControl,
+      boardSize: state.size,
+      mode: state.variant,
+      ...gameConfigOf(state),
+      ...state,
+    };
+  };
+
+  const broadcast = (id) => {
+    const data = JSON.stringify({ type: 'game-updated', game: toPayload(id) });
+    sockets.forEach((socket) => {
+      if (socket.gameId === id && socket.readyState === MockWebSocket.OPEN) {
+        socket.onmessage && socket.onmessage({ data });
+      }
+    });
+  };
+
+  const broadcastPresence = (id) => {
+    const open = [...sockets].filter((s) => s.gameId === id && s.readyState === MockWebSocket.OPEN);
+    const data = JSON.stringify({ type: 'presence', spectators: open.filter((s) => s.spectator).length });
+    open.forEach((socket) => socket.onmessage && socket.onmessage({ data }));
+  };
+
+  const routes = [
+    ['POST', /^\/auth\/register$/, (_, body) => {
+      if (!body.username || !body.password) return [400, { message: 'Username and password are required' }];
+      if (accounts.has(body.username)) return [409, { message: 'Username is taken' }];
+      const player = { id: newId('player'), name: body.name || body.username };
+      players.set(player.id, player);
+      accounts.set(body.username, {
+        id: newId('user'),
+        username: body.username,
+        name: player.name,
+        playerId: player.id,
+        password: body.password,
+      });
+      return [201, issueTokens(body.username)];
+    }],
+    ['POST', /^\/auth\/login$/, (_, body) => {
+      const account = accounts.get(body.username);
+      if (!account || account.password !== body.password) return [401, { message: 'Wrong username or password' }];
+      return [200, issueTokens(body.username)];
+    }],
+    ['POST', /^\/auth\/refresh$/, (_, body) => {
+      const username = refreshTokens.get(body.refreshToken);
+      if (!username) return [401, { message: 'Session expired' }];
+      refreshTokens.delete(body.refreshToken);
+      return [200, issueTokens(username)];
+    }],
+    ['POST', /^\/auth\/logout$/, (_, body) => {
+      refreshTokens.delete(body.refreshToken);
+      return [200, { ok: true }];
+    }],
+    ['POST', /^\/players$/, (_, body) => {
+      const player = { id: newId('player'), name: body.name };
+      players.set(player.id, player);
+      return [201, player];
+    }],
+    ['POST', /^\/games$/, (_, body, user) => {
+      const denied = authorize(user);
+      if (denied) return denied;
+      const id = newId('game');
+      const state = createGame({
+        size: body.boardSize || 3,
+        winLength: body.winLength,
+        variant: body.mode,
+        boards: body.boards,
+      });
+      games.set(id, {
+        state,
+        playerXId: body.playerXId,
+        playerOId: body.playerOId,
+        createdBy: user ? user.id : null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        timeControl: body.timeControl || null,
+      });
+      return [201, toPayload(id)];
+    }],
+    ['GET', /^\/games$/, (_, __, ___, query) => {
+      const playerId = query.get('player');
+      const result = query.get('result');
+      const from = query.get('from') ? new Date(`${query.get('from')}T00:00:00`).getTime() : -Infinity;
+      const to = query.get('to') ? new Date(`${query.get('to')}T23:59:59.999`).getTime() : Infinity;
+      const page = Number(query.get('page')) || 1;
+      const pageSize = Number(query.get('pageSize')) || 10;
+      const items = [...games.keys()]
+        .map(toPayload)
+        .filter((g) => !playerId || g.playerXId === playerId || g.playerOId === playerId)
+        .filter((g) => !result || gameResultMatches(g, result, playerId))
+        .filter((g) => {
+          const at = Date.parse(g.finishedAt || g.createdAt);
+          return at >= from && at <= to;
+        })
+        .sort((a, b) => (b.finishedAt || b.createdAt).localeCompare(a.finishedAt || a.createdAt));
+      return [200, { items: items.slice((page - 1) * pageSize, page * pageSize), total: items.length, page, pageSize }];
+    }],
+    ['GET', /^\/games\/([^/]+)$/, ([id]) => (games.has(id) ? [200, toPayload(id)] : [404, { message: 'Game not found' }])],
+    ['POST', /^\/games\/([^/]+)\/moves$/, ([id], body, user) => {
+      const denied = authorize(user);
+      if (denied) return denied;
+      if (!games.has(id)) return [404, { message: 'Game not found' }];
+      const game = games.get(id);
+      const seatOwner = accountForPlayer(game.state.currentPlayer === 'X' ? game.playerXId : game.playerOId);
+      if (seatOwner && (!user || seatOwner.id !== user.id)) {
+        return [403, { message: `It is ${seatOwner.name}'s turn` }];
+      }
+      try {
+        game.state = applyMove(game.state, body.position, {
+          playedAt: body.playedAt || new Date().toISOString(),
+          mark: body.mark,
+        });
+      } catch (e) {
+        return [409, { message: e.message, code: e.code }];
+      }
+      if (game.state.status !== 'in-progress') game.finishedAt = new Date().toISOString();
+      broadcast(id);
+      return [200, toPayload(id)];
+    }],
+    ['POST', /^\/games\/([^/]+)\/undo$/, ([id], body, user) => {
+      const denied = authorize(user);
+      if (denied) return denied;
+      if (!games.has(id)) return [404, { message: 'Game not found' }];
+      const game = games.get(id);
+      for (let i = 0; i < (body.count || 1) && game.state.moves.length; i += 1) {
+        game.state = undo(game.state);
+      }
+      game.finishedAt = null;
+      broadcast(id);
+      return [200, toPayload(id)];
+    }],
+    ['POST', /^\/games\/([^/]+)\/timeout$/, ([id], body, user) => {
+      const denied = authorize(user);
+      if (denied) return denied;
+      if (!games.has(id)) return [404, { message: 'Game not found' }];
+      const game = games.get(id);
+      if (isGameOver(game.state)) return [409, { message: 'The game is already over' }];
+      game.state = loseOnTime(game.state, body.player);
+      game.finishedAt = new Date().toISOString();
+      broadcast(id);
+      return [200, toPayload(id)];
+    }],
+    ['GET', /^\/games\/([^/]+)\/history$/, ([id]) =>
+      games.has(id) ? [200, { moves: games.get(id).state.moves }] : [404, { message: 'Game not found' }]],
+    ['GET', /^\/leaderboard$/, (_, __, ___, query) => {
+      const sort = query.get('sort') || 'score';
+      const direction = query.get('order') === 'asc' ? 1 : -1;
+      const needle = (query.get('q') || '').toLowerCase();
+      const page = Number(query.get('page')) || 1;
+      const pageSize = Number(query.get('pageSize')) || 10;
+      const since = windowStart(query.get('window'));
+      const rows = [...players.values()]
+        .map((p) => statsFor(p.id, since))
+        .filter((row) => row.gamesPlayed > 0 && row.name.toLowerCase().includes(needle))
+        .sort((a, b) => (a[sort] - b[sort]) * direction || a.name.localeCompare(b.name));
+      return [200, { items: rows.slice((page - 1) * pageSize, page * pageSize), total: rows.length, page, pageSize }];
+    }],
+    ['GET', /^\/players\/([^/]+)$/, ([id]) => (players.has(id) ? [200, statsFor(id, 0)] : [404, { message: 'Player not found' }])],
+    ['GET', /^\/players\/([^/]+)\/games$/, ([id], _, __, query) => {
+      if (!players.has(id)) return [404, { message: 'Player not found' }];
+      const limit = Number(query.get('limit')) || 20;
+      const items = [...games.keys()]
+        .filter((gameId) => [games.get(gameId).playerXId, games.get(gameId).playerOId].includes(id))
+        .map(toPayload)
+        .sort((a, b) => (b.finishedAt || b.createdAt).localeCompare(a.finishedAt || a.createdAt))
+        .slice(0, limit);
+      return [200, items];
+    }],
+  ];
+
+  async function fetch(url, options = {}) {
+    const { pathname, searchParams } = new URL(url);
+    const method = (options.method || 'GET').toUpperCase();
+    const body = options.body ? JSON.parse(options.body) : {};
+    // A token that is sent must be valid, whether or not the route needs one
+    const authorization = (options.headers && options.headers.Authorization) || '';
+    const token = authorization.replace(/^Bearer /, '');
+    if (token && !accessTokens.has(token)) return jsonResponse(401, { message: 'Token expired' });
+    const user = token ? accounts.get(accessTokens.get(token)) : null;
+    for (const [m, pattern, handler] of routes) {
+      const match = method === m && pathname.match(pattern);
+      if (match) {
+        const [status, payload] = handler(match.slice(1).map(decodeURIComponent), body, user, searchParams);
+        return jsonResponse(status, payload);
+      }
+    }
+    return jsonResponse(404, { message: 'Not found' });
+  }
+
+  class MockWebSocket {
+    constructor(url) {
+      const match = String(url).match(/\/ws\/games\/([^/?]+)/);
+      this.url = url;
+      this.gameId = match ? decodeURIComponent(match[1]) : null;
+      this.spectator = /[?&]role=spectator\b/.test(String(url));
+      this.readyState = MockWebSocket.CONNECTING;
+      sockets.add(this);
+      setTimeout(() => {
+        if (!socketsEnabled || !games.has(this.gameId)) {
+          this.readyState = MockWebSocket.CLOSED;
+          sockets.delete(this);
+          this.onclose && this.onclose({ code: 1006 });
+          return;
+        }
+        this.readyState = MockWebSocket.OPEN;
+        this.onopen && this.onopen({});
+        // Send the current state so late joiners are in sync immediately
+        broadcast(this.gameId);
+        broadcastPresence(this.gameId);
+      }, 0);
+    }
+
+    send() {
+      // Clients only listen; moves are posted over REST
+    }
+
+    close() {
+      const wasOpen = this.readyState === MockWebSocket.OPEN;
+      this.readyState = MockWebSocket.CLOSED;
+      sockets.delete(this);
+      this.onclose && this.onclose({ code: 1000 });
+      if (wasOpen && this.spectator) broadcastPresence(this.gameId);
+    }
+  }
+  MockWebSocket.CONNECTING = 0;
+  MockWebSocket.OPEN = 1;
+  MockWebSocket.CLOSED = 3;
+
+  return {
+    fetch,
+    WebSocket: MockWebSocket,
+    players,
+    games,
+    accounts,
+    /** Invalidate every access token, as if they all expired; refresh tokens still work. */
+    expireAccessTokens() {
+      accessTokens.clear();
+    },
+    /** Invalidate every refresh token, so the next refresh fails. */
+    revokeRefreshTokens() {
+      refreshTokens.clear();
+    },
+    /** Number of sockets currently connected to a game. */
+    connectionCount(gameId) {
+      return [...sockets].filter((s) => s.gameId === gameId && s.readyState === MockWebSocket.OPEN).length;
+    },
+    /** Drop every open socket, as if the server restarted. */
+    dropConnections() {
+      [...sockets].forEach((s) => {
+        s.readyState = MockWebSocket.CLOSED;
+        sockets.delete(s);
+        s.onclose && s.onclose({ code: 1006 });
+      });
+    },
+    /** Refuse (false) or accept (true) new WebSocket connections. */
+    setWebSocketsEnabled(enabled) {
+      socketsEnabled = enabled;
+    },
+  };
+}
+
+/** Start of a leaderboard time window as a ms timestamp ('today', 'week', else all time). */
+function windowStart(window) {
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+  if (window === 'today') return startOfToday.getTime();
+  if (window === 'week') return startOfToday.getTime() - 6 * 24 * 60 * 60 * 1000;
+  return 0;
+}
+
+/** Whether game payload `g` matches a /games `result` filter (win/loss are `playerId`'s). */
+function gameResultMatches(g, result, playerId) {
+  if (result === 'ongoing') return g.status === 'in-progress';
+  if (result === 'finished') return g.status !== 'in-progress';
+  if (result === 'draw') return g.status === 'draw';
+  if (g.status !== 'won') return false;
+  const winnerId = g.winner === 'X' ? g.playerXId : g.playerOId;
+  return result === 'win' ? winnerId === playerId : winnerId !== playerId;
+}
+
+function jsonResponse(status, payload) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+    json: async () => JSON.parse(JSON.stringify(payload)),
+    text: async () => JSON.stringify(payload),
+  };
+}
@@ -0,0 +1,105 @@
+//
+// Color themes
+// - The user picks 'system', 'light', 'dark' or 'high-contrast'; the choice is
+//   kept in localStorage so it survives reloads
+// - 'system' follows the OS: prefers-contrast: more gives high contrast,
+//   prefers-color-scheme: dark gives dark, anything else light
+// - The resolved theme is set as data-theme on <html>; theme.css defines the
+//   color tokens for each one
+// - installTheme() applies it at startup and follows OS changes while the
+//   preference is 'system'
+//
+
+import { readJson, writeJson } from '../offline';
+
+const THEME_KEY = 'tictactoe.theme.v1';
+const CONTRAST_QUERY = '(prefers-contrast: more)';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+// PUBLIC_INTERFACE
+export const THEMES = Object.freeze(['system', 'light', 'dark', 'high-contrast']);
+
+// PUBLIC_INTERFACE
+export const THEME_LABELS = Object.freeze({
+  system: 'System',
+  light: 'Light',
+  dark: 'Dark',
+  'high-contrast': 'High contrast',
+});
+
+const listeners = new Set();
+
+// PUBLIC_INTERFACE
+export function getThemePreference() {
+  /** The stored preference, 'system' when none (or an unknown one) is stored. */
+  const stored = readJson(THEME_KEY, 'system');
+  return THEMES.includes(stored) ? stored : 'system';
+}
+
+// PUBLIC_INTERFACE
+export function setThemePreference(preference) {
+  /** Store the preference, apply it and tell listeners; throws on an unknown theme. */
+  if (!THEMES.includes(preference)) {
+    throw new Error(`Unknown theme "${preference}"`);
+  }
+  writeJson(THEME_KEY, preference);
+  applyTheme();
+}
+
+// PUBLIC_INTERFACE
+export function resolveTheme(preference = getThemePreference()) {
+  /** The theme actually shown for a preference: 'system' becomes light, dark or high contrast. */
+  if (preference !== 'system') return preference;
+  if (matches(CONTRAST_QUERY)) return 'high-contrast';
+  if (matches(DARK_QUERY)) return 'dark';
+  return 'light';
+}
+
+// PUBLIC_INTERFACE
+export function subscribeTheme(listener) {
+  /** Call `listener({ preference, theme })` whenever either changes; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// PUBLIC_INTERFACE
+export function applyTheme() {
+  /** Set data-theme on <html> to the resolved theme and notify listeners. */
+  const state = { preference: getThemePreference(), theme: resolveTheme() };
+  document.documentElement.dataset.theme = state.theme;
+  listeners.forEach((listener) => listener(state));
+  return state;
+}
+
+// PUBLIC_INTERFACE
+export function installTheme() {
+  /** Apply the stored theme and follow OS changes; returns a function that stops following them. */
+  applyTheme();
+  const queries = [CONTRAST_QUERY, DARK_QUERY].map(mediaQuery).filter(Boolean);
+  const onChange = () => {
+    if (getThemePreference() === 'system') applyTheme();
+  };
+  queries.forEach((query) => addChangeListener(query, onChange));
+  return () => queries.forEach((query) => removeChangeListener(query, onChange));
+}
+
+function mediaQuery(query) {
+  // jsdom and very old browsers have no matchMedia
+  return typeof window.matchMedia === 'function' ? window.matchMedia(query) : null;
+}
+
+function matches(query) {
+  const list = mediaQuery(query);
+  return Boolean(list && list.matches);
+}
+
+function addChangeListener(list, listener) {
+  // Safari before 14 only has the deprecated addListener
+  if (list.addEventListener) list.addEventListener('change', listener);
+  else if (list.addListener) list.addListener(listener);
+}
+
+function removeChangeListener(list, listener) {
+  if (list.removeEventListener) list.removeEventListener('change', listener);
+  else if (list.removeListener) list.removeListener(listener);
+}
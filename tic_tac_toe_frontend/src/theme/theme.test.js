@@ -0,0 +1,73 @@
+import { getThemePreference, installTheme, resolveTheme, setThemePreference, subscribeTheme } from '.';
+
+// A matchMedia stand-in whose answers can be changed, firing 'change' like the browser
+function mockMediaQueries(initial) {
+  const matches = { ...initial };
+  const lists = {};
+  window.matchMedia = jest.fn((query) => {
+    if (!lists[query]) {
+      const listeners = new Set();
+      lists[query] = {
+        get matches() {
+          return Boolean(matches[query]);
+        },
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+        fire: () => listeners.forEach((listener) => listener()),
+      };
+    }
+    return lists[query];
+  });
+  return (query, value) => {
+    matches[query] = value;
+    if (lists[query]) lists[query].fire();
+  };
+}
+
+beforeEach(() => {
+  window.localStorage.clear();
+  delete document.documentElement.dataset.theme;
+});
+
+afterEach(() => {
+  delete window.matchMedia;
+});
+
+test('follows the system color scheme and contrast preference', () => {
+  const setMedia = mockMediaQueries({ '(prefers-color-scheme: dark)': true });
+  const stop = installTheme();
+  expect(getThemePreference()).toBe('system');
+  expect(document.documentElement.dataset.theme).toBe('dark');
+
+  setMedia('(prefers-contrast: more)', true);
+  expect(document.documentElement.dataset.theme).toBe('high-contrast');
+  setMedia('(prefers-contrast: more)', false);
+  setMedia('(prefers-color-scheme: dark)', false);
+  expect(document.documentElement.dataset.theme).toBe('light');
+  stop();
+});
+
+test('a chosen theme is stored, applied and overrides the system setting', () => {
+  const setMedia = mockMediaQueries({});
+  const stop = installTheme();
+  const listener = jest.fn();
+  const unsubscribe = subscribeTheme(listener);
+
+  setThemePreference('dark');
+  expect(listener).toHaveBeenLastCalledWith({ preference: 'dark', theme: 'dark' });
+  expect(document.documentElement.dataset.theme).toBe('dark');
+  setMedia('(prefers-contrast: more)', true);
+  expect(document.documentElement.dataset.theme).toBe('dark');
+
+  // A reload reads the stored choice back
+  expect(getThemePreference()).toBe('dark');
+  expect(() => setThemePreference('sepia')).toThrow('Unknown theme');
+  unsubscribe();
+  stop();
+});
+
+test('falls back to light without matchMedia', () => {
+  expect(resolveTheme('system')).toBe('light');
+  installTheme();
+  expect(document.documentElement.dataset.theme).toBe('light');
+});
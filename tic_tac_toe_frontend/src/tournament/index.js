@@ -0,0 +1,2 @@
+export * from './tournament';
+export * from './tournamentStore';
@@ -0,0 +1,301 @@
+//
+// Tournaments
+// - A tournament is a fixed list of players ({ id, name }, as created through
+//   createPlayer) in seed order, playing each pairing as a normal game with the
+//   same game settings (`mode`: variant, size, winLength, boards)
+// - Round robin: everyone meets everyone once, in rounds where nobody plays twice
+//   (circle method; with an odd number of players one sits out each round). A win
+//   scores 1 point and a draw ½; standings rank by points, then wins, then seed.
+// - Single elimination: the bracket is filled up to a power of two with byes for
+//   the top seeds, seed 1 meeting the lowest seed, and winners advance to the next
+//   round automatically. A drawn game is followed by a tiebreak rematch with the
+//   sides swapped; after MAX_TIEBREAKS drawn rematches the higher seed goes through.
+// Every change returns a new tournament object; see tournamentStore.js for persistence.
+//
+// Tournament shape:
+//   {
+//     id, name, format: 'round-robin'|'knockout', createdAt,
+//     players: Array<{ id, name }>,  // seed order
+//     mode: { variant, size, winLength, boards? },  // settings of every game
+//     matches: Array<{
+//       id,                 // e.g. "r1-m2"
+//       round, slot,        // 1-based round, 0-based place in it
+//       playerIds: [a, b],  // a has X in the first game; null until known (or a bye)
+//       games: Array<{ gameId, X, O, result: 'X'|'O'|'draw'|null }>,  // player IDs; result null while playing
+//       result: 'win'|'draw'|'bye'|null,  // null until decided
+//       winnerId: string|null,
+//       bySeed?: true,      // knockout: decided by seed after drawn tiebreaks
+//     }>,
+//   }
+//
+
+import { resolveId } from '../offline';
+
+// PUBLIC_INTERFACE
+export const TOURNAMENT_FORMATS = Object.freeze([
+  { id: 'round-robin', label: 'Round robin' },
+  { id: 'knockout', label: 'Single elimination' },
+]);
+
+// PUBLIC_INTERFACE
+export const MIN_TOURNAMENT_PLAYERS = 2;
+
+// PUBLIC_INTERFACE
+export const MAX_TOURNAMENT_PLAYERS = 16;
+
+// PUBLIC_INTERFACE
+// Drawn rematches played in a knockout match before the higher seed goes through
+export const MAX_TIEBREAKS = 3;
+
+// PUBLIC_INTERFACE
+export class TournamentError extends Error {
+  /** A tournament that can't be created, or a match that can't be played now. */
+  constructor(message) {
+    super(message);
+    this.name = 'TournamentError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export function createTournament({ id, name, format, players, mode, createdAt = new Date().toISOString() }) {
+  /** A new tournament with every pairing of its first round (all rounds for round robin) drawn up. */
+  if (!TOURNAMENT_FORMATS.some((f) => f.id === format)) {
+    throw new TournamentError(`Unknown tournament format "${format}".`);
+  }
+  const list = Array.isArray(players) ? players : [];
+  if (list.length < MIN_TOURNAMENT_PLAYERS || list.length > MAX_TOURNAMENT_PLAYERS) {
+    throw new TournamentError(`A tournament needs ${MIN_TOURNAMENT_PLAYERS} to ${MAX_TOURNAMENT_PLAYERS} players.`);
+  }
+  if (new Set(list.map((p) => p.id)).size !== list.length) {
+    throw new TournamentError('Each player can only be entered once.');
+  }
+  const seeded = list.map((p) => ({ id: p.id, name: p.name }));
+  const ids = seeded.map((p) => p.id);
+  const tournament = {
+    id,
+    name: String(name || '').trim() || 'Tournament',
+    format,
+    createdAt,
+    players: seeded,
+    mode: { ...mode },
+    matches: format === 'knockout' ? knockoutMatches(ids) : roundRobinMatches(ids),
+  };
+  return advanceByes(tournament);
+}
+
+// PUBLIC_INTERFACE
+export function matchStatus(match) {
+  /** 'done' once decided, 'playing' while a game is under way, 'ready' to start, else 'waiting' for players. */
+  if (match.result) return 'done';
+  const last = match.games[match.games.length - 1];
+  if (last && !last.result) return 'playing';
+  return match.playerIds.every(Boolean) ? 'ready' : 'waiting';
+}
+
+// PUBLIC_INTERFACE
+export function getRounds(tournament) {
+  /** The matches grouped by round: [{ round, label, matches }], first round first. */
+  const count = Math.max(0, ...tournament.matches.map((m) => m.round));
+  return Array.from({ length: count }, (_, i) => ({
+    round: i + 1,
+    label: roundLabel(tournament, i + 1, count),
+    matches: tournament.matches.filter((m) => m.round === i + 1),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function getPlayer(tournament, playerId) {
+  /** The entered player with this ID, or null. */
+  return tournament.players.find((p) => p.id === playerId) || null;
+}
+
+// PUBLIC_INTERFACE
+export function nextGameSides(tournament, matchId) {
+  /** { X, O } players of the next game of a match: the sides swap for each tiebreak rematch. */
+  const match = findMatch(tournament, matchId);
+  const [first, second] = match.playerIds;
+  const swapped = match.games.length % 2 === 1;
+  return {
+    X: getPlayer(tournament, swapped ? second : first),
+    O: getPlayer(tournament, swapped ? first : second),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function startMatchGame(tournament, matchId, gameId) {
+  /** Record that the next game of a ready match is being played as `gameId`. */
+  const match = findMatch(tournament, matchId);
+  if (matchStatus(match) !== 'ready') {
+    throw new TournamentError('This match is not ready to be played.');
+  }
+  const { X, O } = nextGameSides(tournament, matchId);
+  const game = { gameId, X: X.id, O: O.id, result: null };
+  return replaceMatch(tournament, { ...match, games: [...match.games, game] });
+}
+
+// PUBLIC_INTERFACE
+export function findMatchForGame(tournament, gameId) {
+  /** The match a game was played for (local game IDs are matched after sync too), or null. */
+  const id = resolveId(gameId);
+  return tournament.matches.find((m) => m.games.some((g) => resolveId(g.gameId) === id)) || null;
+}
+
+// PUBLIC_INTERFACE
+export function recordMatchGame(tournament, gameId, { status, winner }) {
+  /**
+   * Record the result of a finished game ({ status, winner } as on an engine state)
+   * and decide its match: a win decides it, a draw too on round robin; on knockout a
+   * draw calls for a rematch. The winner moves on to the next round. Returns the same
+   * tournament for games it doesn't know, unfinished games and results already recorded.
+   */
+  if (status !== 'won' && status !== 'draw') return tournament;
+  const match = findMatchForGame(tournament, gameId);
+  if (!match || match.result) return tournament;
+  const games = match.games.map((g) =>
+    resolveId(g.gameId) === resolveId(gameId) && !g.result ? { ...g, result: status === 'draw' ? 'draw' : winner } : g
+  );
+  if (games.every((g, i) => g === match.games[i])) return tournament;
+
+  const played = games[games.length - 1];
+  let decided = { ...match, games };
+  if (played.result !== 'draw') {
+    decided = { ...decided, result: 'win', winnerId: played[played.result] };
+  } else if (tournament.format === 'round-robin') {
+    decided = { ...decided, result: 'draw' };
+  } else if (games.length > MAX_TIEBREAKS) {
+    decided = { ...decided, result: 'win', winnerId: higherSeed(tournament, match.playerIds), bySeed: true };
+  }
+  return advanceWinner(replaceMatch(tournament, decided), decided);
+}
+
+// PUBLIC_INTERFACE
+export function getStandings(tournament) {
+  /**
+   * One row per player ({ player, played, wins, draws, losses, points }), ranked by
+   * points, then wins, then seed. Byes don't count as games.
+   */
+  const rows = tournament.players.map((player) => ({ player, played: 0, wins: 0, draws: 0, losses: 0, points: 0 }));
+  const rowOf = (id) => rows.find((r) => r.player.id === id);
+  tournament.matches.forEach((match) => {
+    if (match.result !== 'win' && match.result !== 'draw') return;
+    match.playerIds.forEach((id) => {
+      const row = rowOf(id);
+      row.played += 1;
+      if (match.result === 'draw') row.draws += 1;
+      else if (match.winnerId === id) row.wins += 1;
+      else row.losses += 1;
+      row.points = row.wins + row.draws / 2;
+    });
+  });
+  const seedOf = (row) => tournament.players.indexOf(row.player);
+  return rows.sort((a, b) => b.points - a.points || b.wins - a.wins || seedOf(a) - seedOf(b));
+}
+
+// PUBLIC_INTERFACE
+export function isTournamentOver(tournament) {
+  /** True once every match is decided. */
+  return tournament.matches.every((m) => m.result);
+}
+
+// PUBLIC_INTERFACE
+export function tournamentWinner(tournament) {
+  /** The champion once the tournament is over (the final's winner, or the top of the standings), else null. */
+  if (!isTournamentOver(tournament)) return null;
+  if (tournament.format === 'knockout') {
+    const final = tournament.matches.reduce((last, m) => (m.round > last.round ? m : last));
+    return getPlayer(tournament, final.winnerId);
+  }
+  return getStandings(tournament)[0].player;
+}
+
+/** Every pairing of a round robin, round by round (circle method: the first player stays, the rest rotate). */
+function roundRobinMatches(ids) {
+  const circle = ids.length % 2 === 0 ? [...ids] : [...ids, null];
+  const rounds = circle.length - 1;
+  const matches = [];
+  for (let round = 1; round <= rounds; round += 1) {
+    let slot = 0;
+    for (let i = 0; i < circle.length / 2; i += 1) {
+      const a = circle[i];
+      const b = circle[circle.length - 1 - i];
+      if (a === null || b === null) continue;
+      // The fixed player alternates sides so nobody always moves first
+      const pair = i === 0 && round % 2 === 0 ? [b, a] : [a, b];
+      matches.push(newMatch(round, slot, pair));
+      slot += 1;
+    }
+    circle.splice(1, 0, circle.pop());
+  }
+  return matches;
+}
+
+/** A single-elimination bracket: seeds placed so the top two can only meet in the final; null marks a bye. */
+function knockoutMatches(ids) {
+  let size = 2;
+  while (size < ids.length) size *= 2;
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, total - seed]);
+  }
+  const matches = [];
+  for (let slot = 0; slot < size / 2; slot += 1) {
+    const pair = [order[slot * 2], order[slot * 2 + 1]].map((seed) => ids[seed - 1] ?? null);
+    matches.push(newMatch(1, slot, pair));
+  }
+  let round = 2;
+  for (let count = size / 4; count >= 1; count /= 2) {
+    for (let slot = 0; slot < count; slot += 1) matches.push(newMatch(round, slot, [null, null]));
+    round += 1;
+  }
+  return matches;
+}
+
+function newMatch(round, slot, playerIds) {
+  return { id: `r${round}-m${slot + 1}`, round, slot, playerIds, games: [], result: null, winnerId: null };
+}
+
+/** Send the players with a first-round bye straight into the second round. */
+function advanceByes(tournament) {
+  if (tournament.format !== 'knockout') return tournament;
+  return tournament.matches
+    .filter((m) => m.round === 1 && m.playerIds.some((id) => id === null))
+    .reduce((t, match) => {
+      const bye = { ...match, result: 'bye', winnerId: match.playerIds.find(Boolean) };
+      return advanceWinner(replaceMatch(t, bye), bye);
+    }, tournament);
+}
+
+/** Put the winner of a decided knockout match into its place in the next round. */
+function advanceWinner(tournament, match) {
+  if (tournament.format !== 'knockout' || !match.winnerId) return tournament;
+  const next = tournament.matches.find((m) => m.round === match.round + 1 && m.slot === Math.floor(match.slot / 2));
+  if (!next) return tournament;
+  const playerIds = [...next.playerIds];
+  playerIds[match.slot % 2] = match.winnerId;
+  return replaceMatch(tournament, { ...next, playerIds });
+}
+
+function higherSeed(tournament, playerIds) {
+  const seedOf = (id) => tournament.players.findIndex((p) => p.id === id);
+  return seedOf(playerIds[0]) <= seedOf(playerIds[1]) ? playerIds[0] : playerIds[1];
+}
+
+function roundLabel(tournament, round, count) {
+  if (tournament.format !== 'knockout') return `Round ${round}`;
+  const fromEnd = count - round;
+  if (fromEnd === 0) return 'Final';
+  if (fromEnd === 1) return 'Semi-finals';
+  if (fromEnd === 2) return 'Quarter-finals';
+  return `Round ${round}`;
+}
+
+function findMatch(tournament, matchId) {
+  const match = tournament.matches.find((m) => m.id === matchId);
+  if (!match) throw new TournamentError(`No match "${matchId}" in this tournament.`);
+  return match;
+}
+
+function replaceMatch(tournament, match) {
+  return { ...tournament, matches: tournament.matches.map((m) => (m.id === match.id ? match : m)) };
+}
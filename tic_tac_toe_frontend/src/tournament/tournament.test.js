@@ -0,0 +1,110 @@
+import {
+  createTournament,
+  getRounds,
+  getStandings,
+  matchStatus,
+  MAX_TIEBREAKS,
+  nextGameSides,
+  recordMatchGame,
+  startMatchGame,
+  tournamentWinner,
+  TournamentError,
+} from './tournament';
+import { listTournaments, recordTournamentGame, saveTournament } from './tournamentStore';
+
+const players = ['Alice', 'Bob', 'Carol', 'Dave', 'Erin'].map((name) => ({ id: name.toLowerCase(), name }));
+const mode = { variant: 'classic', size: 3, winLength: 3 };
+
+/** Play the next game of a match as `gameId` and record its result ('X', 'O' or 'draw'). */
+function playGame(tournament, matchId, gameId, result) {
+  const started = startMatchGame(tournament, matchId, gameId);
+  const outcome = result === 'draw' ? { status: 'draw', winner: null } : { status: 'won', winner: result };
+  return recordMatchGame(started, gameId, outcome);
+}
+
+afterEach(() => window.localStorage.clear());
+
+test('round robin pairs everyone once, one sitting out each round when the count is odd', () => {
+  const tournament = createTournament({ id: 't1', format: 'round-robin', players, mode });
+  const rounds = getRounds(tournament);
+  expect(rounds).toHaveLength(5);
+  rounds.forEach(({ matches }) => {
+    expect(matches).toHaveLength(2);
+    const seated = matches.flatMap((m) => m.playerIds);
+    expect(new Set(seated).size).toBe(4);
+  });
+  const pairs = tournament.matches.map((m) => [...m.playerIds].sort().join('-'));
+  expect(new Set(pairs).size).toBe(10);
+  expect(tournament.matches.every((m) => matchStatus(m) === 'ready')).toBe(true);
+});
+
+test('round robin scores wins and draws and crowns the top of the standings', () => {
+  let tournament = createTournament({ id: 't1', format: 'round-robin', players: players.slice(0, 3), mode });
+  // Bob beats Carol, Carol and Alice draw, Bob beats Alice with O
+  expect(tournament.matches.map((m) => m.playerIds)).toEqual([
+    ['bob', 'carol'],
+    ['carol', 'alice'],
+    ['alice', 'bob'],
+  ]);
+  const results = ['X', 'draw', 'O'];
+  tournament.matches.forEach((match, i) => {
+    expect(tournamentWinner(tournament)).toBeNull();
+    tournament = playGame(tournament, match.id, `g${i}`, results[i]);
+  });
+  expect(getStandings(tournament).map((r) => [r.player.name, r.wins, r.draws, r.losses, r.points])).toEqual([
+    ['Bob', 2, 0, 0, 2],
+    ['Alice', 0, 1, 1, 0.5],
+    ['Carol', 0, 1, 1, 0.5],
+  ]);
+  expect(tournamentWinner(tournament)).toEqual({ id: 'bob', name: 'Bob' });
+});
+
+test('knockout gives the top seeds byes and advances winners to the final', () => {
+  let tournament = createTournament({ id: 't2', format: 'knockout', players, mode });
+  const rounds = getRounds(tournament);
+  expect(rounds.map((r) => r.label)).toEqual(['Quarter-finals', 'Semi-finals', 'Final']);
+  // Five players in an eight-player bracket: seeds 1-3 go straight through
+  const byes = rounds[0].matches.filter((m) => m.result === 'bye');
+  expect(byes.map((m) => m.winnerId)).toEqual(['alice', 'bob', 'carol']);
+  const [quarter] = rounds[0].matches.filter((m) => matchStatus(m) === 'ready');
+  expect(quarter.playerIds).toEqual(['dave', 'erin']);
+
+  tournament = playGame(tournament, quarter.id, 'g1', 'O');
+  const semis = getRounds(tournament)[1].matches;
+  expect(semis.map((m) => m.playerIds)).toEqual([
+    ['alice', 'erin'],
+    ['bob', 'carol'],
+  ]);
+  tournament = playGame(tournament, semis[0].id, 'g2', 'X');
+  tournament = playGame(tournament, semis[1].id, 'g3', 'O');
+  const final = getRounds(tournament)[2].matches[0];
+  expect(final.playerIds).toEqual(['alice', 'carol']);
+  expect(tournamentWinner(tournament)).toBeNull();
+  tournament = playGame(tournament, final.id, 'g4', 'O');
+  expect(tournamentWinner(tournament)).toEqual({ id: 'carol', name: 'Carol' });
+});
+
+test('a drawn knockout game is replayed with the sides swapped, then decided by seed', () => {
+  let tournament = createTournament({ id: 't3', format: 'knockout', players: players.slice(0, 2), mode });
+  const final = tournament.matches[0];
+  expect(nextGameSides(tournament, final.id)).toEqual({ X: players[0], O: players[1] });
+  tournament = playGame(tournament, final.id, 'g1', 'draw');
+  expect(matchStatus(tournament.matches[0])).toBe('ready');
+  expect(nextGameSides(tournament, final.id)).toEqual({ X: players[1], O: players[0] });
+  expect(() => startMatchGame(startMatchGame(tournament, final.id, 'g2'), final.id, 'g3')).toThrow(TournamentError);
+
+  for (let i = 0; i < MAX_TIEBREAKS; i += 1) tournament = playGame(tournament, final.id, `t${i}`, 'draw');
+  expect(tournament.matches[0]).toMatchObject({ result: 'win', winnerId: 'alice', bySeed: true });
+});
+
+test('finished games are recorded in the tournament they were played for, once', () => {
+  const tournament = createTournament({ id: 't4', format: 'knockout', players: players.slice(0, 2), mode });
+  saveTournament(startMatchGame(tournament, 'r1-m1', 'game-7'));
+  expect(recordTournamentGame('game-99', { status: 'won', winner: 'X' })).toBeNull();
+  expect(recordTournamentGame('game-7', { status: 'won', winner: 'O' })).toMatchObject({ id: 't4' });
+  expect(recordTournamentGame('game-7', { status: 'won', winner: 'X' })).toBeNull();
+  expect(tournamentWinner(listTournaments()[0])).toEqual({ id: 'bob', name: 'Bob' });
+  expect(() => createTournament({ id: 't5', format: 'knockout', players: players.slice(0, 1), mode })).toThrow(
+    TournamentError
+  );
+});
@@ -0,0 +1,78 @@
+//
+// Tournaments kept in localStorage
+// - Tournaments only live on this device; their games are normal backend games
+//   (or queued local ones) linked to the matches by game ID
+// - recordTournamentGame is called by GameBoard for every finished game, the way
+//   ratings are recorded, so winners advance without any extra step
+// - Listeners are told whenever a tournament is saved
+//
+
+import { readJson, writeJson } from '../offline';
+import { recordMatchGame } from './tournament';
+
+const TOURNAMENTS_KEY = 'tictactoe.tournaments.v1';
+
+const listeners = new Set();
+
+// PUBLIC_INTERFACE
+export function createTournamentId() {
+  /** A new ID for a tournament, such as "tournament-k3j9x2". */
+  return `tournament-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// PUBLIC_INTERFACE
+export function listTournaments() {
+  /** Every stored tournament, newest first. */
+  return Object.values(readJson(TOURNAMENTS_KEY, {})).sort((a, b) =>
+    String(b.createdAt).localeCompare(String(a.createdAt))
+  );
+}
+
+// PUBLIC_INTERFACE
+export function loadTournament(id) {
+  /** A stored tournament by ID, or null. */
+  if (!id) return null;
+  return readJson(TOURNAMENTS_KEY, {})[id] || null;
+}
+
+// PUBLIC_INTERFACE
+export function saveTournament(tournament) {
+  /** Store (or replace) a tournament and tell the listeners. Returns it. */
+  const tournaments = readJson(TOURNAMENTS_KEY, {});
+  tournaments[tournament.id] = tournament;
+  writeJson(TOURNAMENTS_KEY, tournaments);
+  notify();
+  return tournament;
+}
+
+// PUBLIC_INTERFACE
+export function recordTournamentGame(gameId, outcome) {
+  /**
+   * Record a finished game ({ status, winner }) in the tournament it was played for,
+   * advancing the match winner. Returns the updated tournament, or null when the game
+   * isn't a tournament game or its result was already recorded.
+   */
+  if (!gameId) return null;
+  for (const tournament of listTournaments()) {
+    const updated = recordMatchGame(tournament, gameId, outcome);
+    if (updated !== tournament) return saveTournament(updated);
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeTournaments(listener) {
+  /** Call `listener()` whenever a tournament is saved; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify() {
+  listeners.forEach((listener) => {
+    try {
+      listener();
+    } catch {
+      // a failing listener must not stop the others
+    }
+  });
+}